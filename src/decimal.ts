@@ -0,0 +1,138 @@
+export type DecimalInput = number | string | bigint;
+
+export type RoundingMode = 'down' | 'up' | 'nearest';
+
+// a decimal as an integer and the number of digits after the point: 1.25 is { units: 125n, scale: 2 }
+interface ScaledDecimal {
+    units: bigint;
+    scale: number;
+}
+
+const decimalPattern = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i;
+
+/**
+ * Parses a number, bigint or decimal string (exponents allowed) into an exact scaled integer
+ * @param {number|string|bigint} value - the value
+ * @return {object} - units and scale
+ */
+function parse(value: DecimalInput): ScaledDecimal {
+    if (typeof value === 'bigint') return { units: value, scale: 0 };
+    if (typeof value === 'number' && !Number.isFinite(value)) throw new Error(`Not a finite decimal: ${value}`);
+    // String(number) is the shortest representation that reads back as the same double
+    const match = decimalPattern.exec(String(value).trim());
+    if (!match || (!match[2] && !match[3])) throw new Error(`Not a decimal: ${value}`);
+    const [, sign, whole, fraction = '', exponent = '0'] = match;
+    let digits = whole + fraction, scale = fraction.length - Number(exponent);
+    if (scale < 0) {
+        digits += '0'.repeat(-scale);
+        scale = 0;
+    }
+    const units = BigInt(digits || '0');
+    return { units: sign === '-' ? -units : units, scale };
+}
+
+function rescale(value: ScaledDecimal, scale: number): bigint {
+    return value.units * 10n ** BigInt(scale - value.scale);
+}
+
+function format(value: ScaledDecimal): string {
+    if (value.units === 0n) return '0';
+    const negative = value.units < 0n;
+    let digits = (negative ? -value.units : value.units).toString();
+    let scale = value.scale;
+    // drop trailing zeros of the fraction
+    while (scale > 0 && digits.length > 1 && digits.endsWith('0')) {
+        digits = digits.slice(0, -1);
+        scale--;
+    }
+    if (scale > 0) {
+        digits = digits.padStart(scale + 1, '0');
+        digits = digits.slice(0, -scale) + '.' + digits.slice(-scale);
+    }
+    return (negative ? '-' : '') + digits;
+}
+
+/**
+ * Formats a value as a plain decimal string: no exponent, no trailing zeros, e.g. 1e-7 => '0.0000001'
+ * @param {number|string|bigint} value - the value
+ * @return {string} - the decimal string
+ */
+export function toDecimalString(value: DecimalInput): string {
+    return format(parse(value));
+}
+
+/**
+ * Compares two decimals exactly
+ * @param {number|string|bigint} a - first value
+ * @param {number|string|bigint} b - second value
+ * @return {number} - -1, 0 or 1
+ */
+export function compareDecimals(a: DecimalInput, b: DecimalInput): number {
+    const left = parse(a), right = parse(b);
+    const scale = Math.max(left.scale, right.scale);
+    const difference = rescale(left, scale) - rescale(right, scale);
+    return difference === 0n ? 0 : difference < 0n ? -1 : 1;
+}
+
+/**
+ * Multiplies two decimals exactly
+ * @param {number|string|bigint} a - first factor
+ * @param {number|string|bigint} b - second factor
+ * @return {string} - the product as a decimal string
+ */
+export function multiplyDecimals(a: DecimalInput, b: DecimalInput): string {
+    const left = parse(a), right = parse(b);
+    return format({ units: left.units * right.units, scale: left.scale + right.scale });
+}
+
+/**
+ * Rounds a value to a multiple of an increment (a tick size or step size), exactly
+ * @param {number|string|bigint} value - the value
+ * @param {number|string|bigint} increment - the increment, 0 leaves the value as is
+ * @param {string} mode - down (towards zero), up (away from zero) or nearest (half away from zero)
+ * @return {string} - the rounded value as a decimal string
+ */
+export function roundToIncrement(value: DecimalInput, increment: DecimalInput, mode: RoundingMode = 'down'): string {
+    const number = parse(value), step = parse(increment);
+    if (step.units === 0n) return format(number);
+    const scale = Math.max(number.scale, step.scale);
+    const units = rescale(number, scale), stepUnits = rescale(step, scale);
+    const negative = units < 0n;
+    const magnitude = negative ? -units : units, size = stepUnits < 0n ? -stepUnits : stepUnits;
+    let steps = magnitude / size;
+    const remainder = magnitude % size;
+    if (remainder && (mode === 'up' || (mode === 'nearest' && remainder * 2n >= size))) steps++;
+    const rounded = steps * size;
+    return format({ units: negative ? -rounded : rounded, scale });
+}
+
+/**
+ * Whether a value is a multiple of an increment
+ * @param {number|string|bigint} value - the value
+ * @param {number|string|bigint} increment - the increment, 0 accepts any value
+ * @return {boolean} - true when no rounding is needed
+ */
+export function isMultipleOf(value: DecimalInput, increment: DecimalInput): boolean {
+    return compareDecimals(roundToIncrement(value, increment, 'down'), value) === 0;
+}
+
+/**
+ * Adds two decimals exactly
+ * @param {number|string|bigint} a - first term
+ * @param {number|string|bigint} b - second term
+ * @return {string} - the sum as a decimal string
+ */
+export function addDecimals(a: DecimalInput, b: DecimalInput): string {
+    const left = parse(a), right = parse(b);
+    const scale = Math.max(left.scale, right.scale);
+    return format({ units: rescale(left, scale) + rescale(right, scale), scale });
+}
+
+/**
+ * The decimal a float was meant to be: 15 significant digits drop the binary artifacts, 0.1 + 0.2 => '0.3'
+ * @param {number} value - the float
+ * @return {string} - the decimal string
+ */
+export function floatToDecimalString(value: number): string {
+    return toDecimalString(Number.isInteger(value) ? value : value.toPrecision(15));
+}
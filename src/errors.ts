@@ -0,0 +1,163 @@
+export interface BinanceErrorDetails {
+    status?: number; // http status code, 0 when the request never got a response
+    code?: number; // binance error code, e.g. -1021
+    msg?: string; // binance error message
+    url?: string;
+    method?: string;
+    usedWeight?: number; // x-mbx-used-weight-1m (or x-sapi-used-ip-weight-1m) at the time of the error
+    orderCount?: Record<string, number>; // x-mbx-order-count-* headers keyed by interval, e.g. { '10s': 3, '1d': 120 }
+    retryAfter?: number; // Retry-After header, in seconds
+    body?: string; // raw response body
+    data?: any; // the data object of the body, e.g. the results of a failed cancel-replace
+    cause?: unknown; // underlying error for failures that never reached binance
+}
+
+/**
+ * Base class of every error thrown for a rejected Binance request
+ */
+export class BinanceError extends Error {
+    status: number;
+    code: number;
+    msg: string;
+    url: string;
+    method: string;
+    usedWeight: number;
+    orderCount: Record<string, number>;
+    retryAfter: number;
+    body: string;
+    data: any;
+
+    constructor(message: string, details: BinanceErrorDetails = {}) {
+        super(message, details.cause === undefined ? undefined : { cause: details.cause });
+        this.name = new.target.name;
+        this.status = details.status;
+        this.code = details.code;
+        this.msg = details.msg;
+        this.url = details.url;
+        this.method = details.method;
+        this.usedWeight = details.usedWeight;
+        this.orderCount = details.orderCount || {};
+        this.retryAfter = details.retryAfter;
+        this.body = details.body;
+        this.data = details.data;
+    }
+}
+
+/**
+ * The request failed before a response was received (connection reset, DNS failure, ...), status is 0
+ */
+export class NetworkError extends BinanceError {}
+
+/**
+ * No complete response within the request timeout, the request was aborted
+ */
+export class RequestTimeoutError extends NetworkError {}
+
+/**
+ * HTTP 429 or -1003: too much request weight or too many orders
+ */
+export class RateLimitError extends BinanceError {}
+
+/**
+ * HTTP 418: the IP has been auto-banned for ignoring 429s, check retryAfter
+ */
+export class IpBanError extends RateLimitError {}
+
+/**
+ * -1022: the signature of the request is not valid
+ */
+export class InvalidSignatureError extends BinanceError {}
+
+/**
+ * -1021: the timestamp is ahead of the server time or outside of the recvWindow
+ */
+export class TimestampError extends BinanceError {}
+
+/**
+ * -2010 / -2018 / -2019: not enough balance or margin for the order
+ */
+export class InsufficientBalanceError extends BinanceError {}
+
+/**
+ * -1013 and futures filter codes: price, quantity or notional rejected by a symbol filter
+ */
+export class FilterFailureError extends BinanceError {}
+
+/**
+ * An order rejected by the orderValidation option before it was sent, msg reads like the binance filter failure
+ */
+export class OrderValidationError extends FilterFailureError {
+    symbol: string;
+    filterType: string; // the failed symbol filter, e.g. LOT_SIZE, or STATUS when the symbol does not trade
+
+    constructor(message: string, symbol: string, filterType: string) {
+        super(message, { status: 0, msg: `Filter failure: ${filterType}` });
+        this.symbol = symbol;
+        this.filterType = filterType;
+    }
+}
+
+/**
+ * -2011 / -2013: the order to cancel or query does not exist
+ */
+export class UnknownOrderError extends BinanceError {}
+
+/**
+ * -2010 / -2021: a stop or take profit order would trigger (or a LIMIT_MAKER would match) immediately
+ */
+export class OrderWouldTriggerError extends BinanceError {}
+
+/**
+ * -2021 / -2022 from cancel-replace: the cancel, the new order or both failed, data holds cancelResult, newOrderResult,
+ * cancelResponse and newOrderResponse
+ */
+export class CancelReplaceError extends BinanceError {}
+
+const futuresFilterCodes = [ -4003, -4004, -4005, -4013, -4014, -4023, -4024, -4131, -4164 ];
+
+/**
+ * Picks the most specific error class for a rejected request
+ * @param {object} details - status, binance code and msg of the failed request
+ * @return {class} - the error class to instantiate
+ */
+export function classifyBinanceError(details: BinanceErrorDetails): typeof BinanceError {
+    const { status, code } = details;
+    const msg = (details.msg || '').toLowerCase();
+    if (status === 418) return IpBanError;
+    if (status === 429 || code === -1003 || code === -1015) return RateLimitError;
+    if (code === -1021) return TimestampError;
+    if (code === -1022) return InvalidSignatureError;
+    // cancel-replace reuses -2021 for its partial failures
+    if ((code === -2021 || code === -2022) && (details.url || '').includes('order/cancelReplace')) return CancelReplaceError;
+    if (code === -2011 || code === -2013) return UnknownOrderError;
+    if (code === -2018 || code === -2019) return InsufficientBalanceError;
+    if (code === -2021) return OrderWouldTriggerError;
+    if (code === -2010) {
+        if (msg.includes('insufficient balance')) return InsufficientBalanceError;
+        if (msg.includes('immediately trigger') || msg.includes('immediately match')) return OrderWouldTriggerError;
+    }
+    if (msg.startsWith('filter failure') || futuresFilterCodes.includes(code)) return FilterFailureError;
+    return BinanceError;
+}
+
+/**
+ * Builds the error for a rejected request, parsing the binance {code, msg} body when there is one
+ * @param {string} body - raw response body
+ * @param {object} details - everything known about the request besides the body
+ * @return {BinanceError} - an instance of the most specific error class
+ */
+export function createBinanceError(body: string, details: BinanceErrorDetails = {}): BinanceError {
+    details = Object.assign({ body }, details);
+    try {
+        const parsed = JSON.parse(body);
+        if (parsed && typeof parsed === 'object') {
+            if (typeof parsed.code === 'number') details.code = parsed.code;
+            if (typeof parsed.msg === 'string') details.msg = parsed.msg;
+            if (parsed.data !== undefined) details.data = parsed.data;
+        }
+    } catch (e) {
+        // not json (e.g. an html page from a proxy or the WAF), keep the raw body as message
+    }
+    const ErrorClass = classifyBinanceError(details);
+    return new ErrorClass(body || details.msg || `HTTP ${details.status}`, details);
+}
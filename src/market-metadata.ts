@@ -0,0 +1,176 @@
+import { StreamMarket } from './stream-manager.js';
+
+export interface MarketMetadataOptions {
+    refreshInterval: number; // ms between background reloads of the markets loaded so far, 0 keeps the first load
+}
+
+export const defaultMarketMetadataOptions: MarketMetadataOptions = {
+    refreshInterval: 3600000,
+};
+
+export interface ContractMetadata {
+    pair: string;
+    contractType: string; // PERPETUAL, CURRENT_QUARTER, ...
+    marginAsset: string;
+    contractSize?: number; // delivery: quote value of one contract
+    deliveryDate: number;
+    onboardDate: number;
+    pricePrecision: number;
+    quantityPrecision: number;
+}
+
+export interface SymbolMetadata {
+    market: StreamMarket;
+    symbol: string;
+    status: string; // TRADING, BREAK, ... (contractStatus for delivery)
+    baseAsset: string;
+    quoteAsset: string;
+    // the filter values are kept as the decimal strings binance sends
+    tickSize: string;
+    minPrice: string;
+    maxPrice: string;
+    stepSize: string;
+    minQty: string;
+    maxQty: string;
+    minNotional: string; // MIN_NOTIONAL or NOTIONAL, undefined when the market has no notional filter
+    permissions: string[]; // spot only, empty for futures and delivery
+    orderTypes: string[];
+    filters: { [filterType: string]: any }; // every filter of the symbol by filterType
+    contract?: ContractMetadata; // futures and delivery
+}
+
+// the symbols the smart order router can fill an order on from each other, they share the base asset
+export interface SorConfig {
+    baseAsset: string;
+    symbols: string[];
+}
+
+/**
+ * Extracts the metadata of one symbol of an exchangeInfo response
+ * @param {string} market - spot, futures or delivery
+ * @param {object} info - the symbol entry of exchangeInfo
+ * @return {object} - the SymbolMetadata
+ */
+export function parseSymbolMetadata(market: StreamMarket, info: any): SymbolMetadata {
+    const filters = {};
+    for (const filter of info.filters || []) filters[filter.filterType] = filter;
+    const price = filters['PRICE_FILTER'] || {}, lot = filters['LOT_SIZE'] || {};
+    const notional = filters['NOTIONAL'] || filters['MIN_NOTIONAL'];
+    // spot moved permissions to permissionSets, a symbol is tradable with any of the sets
+    const permissions = new Set<string>(info.permissions || []);
+    for (const set of info.permissionSets || []) set.forEach(permission => permissions.add(permission));
+    const metadata: SymbolMetadata = {
+        market,
+        symbol: info.symbol,
+        status: info.status || info.contractStatus,
+        baseAsset: info.baseAsset,
+        quoteAsset: info.quoteAsset,
+        tickSize: price.tickSize,
+        minPrice: price.minPrice,
+        maxPrice: price.maxPrice,
+        stepSize: lot.stepSize,
+        minQty: lot.minQty,
+        maxQty: lot.maxQty,
+        minNotional: notional ? notional.minNotional || notional.notional : undefined,
+        permissions: Array.from(permissions),
+        orderTypes: info.orderTypes || info.OrderType || [],
+        filters,
+    };
+    if (market !== 'spot') {
+        metadata.contract = {
+            pair: info.pair,
+            contractType: info.contractType,
+            marginAsset: info.marginAsset,
+            deliveryDate: info.deliveryDate,
+            onboardDate: info.onboardDate,
+            pricePrecision: info.pricePrecision,
+            quantityPrecision: info.quantityPrecision,
+        };
+        if (info.contractSize !== undefined) metadata.contract.contractSize = info.contractSize;
+    }
+    return metadata;
+}
+
+/**
+ * Symbol metadata of spot, futures and delivery built from exchangeInfo. A market is loaded on first use,
+ * reloaded in the background every refreshInterval and updated by every full exchangeInfo response.
+ */
+export class MarketMetadata {
+    options: MarketMetadataOptions = Object.assign({}, defaultMarketMetadataOptions);
+    // eslint-disable-next-line no-unused-vars
+    fetch: (market: StreamMarket) => Promise<any>; // requests the exchangeInfo of a market, its response has to reach update()
+    symbols: { [market: string]: { [symbol: string]: SymbolMetadata } } = {};
+    loadedAt: { [market: string]: number } = {};
+    loading: { [market: string]: Promise<{ [symbol: string]: SymbolMetadata }> } = {};
+    sors: SorConfig[] = []; // from the spot exchangeInfo
+    timer: any = undefined;
+
+    // eslint-disable-next-line no-unused-vars
+    constructor(fetch: (market: StreamMarket) => Promise<any>) {
+        this.fetch = fetch;
+    }
+
+    configure(options: Partial<MarketMetadataOptions>) {
+        this.options = Object.assign({}, defaultMarketMetadataOptions, options);
+        if (this.timer) this.startRefresh();
+    }
+
+    /**
+     * The metadata of a market, requested once when it was never loaded. Concurrent calls share the request
+     * @param {string} market - spot, futures or delivery
+     * @param {boolean} reload - request exchangeInfo even when the market is loaded
+     * @return {promise} - SymbolMetadata by symbol
+     */
+    load(market: StreamMarket, reload = false): Promise<{ [symbol: string]: SymbolMetadata }> {
+        if (this.loadedAt[market] && !reload) return Promise.resolve(this.symbols[market]);
+        if (!this.loading[market]) {
+            this.loading[market] = this.fetch(market).then(() => this.symbols[market] || {}).finally(() => {
+                delete this.loading[market];
+            });
+            if (!this.timer && this.options.refreshInterval) this.startRefresh();
+        }
+        return this.loading[market];
+    }
+
+    /**
+     * Stores the symbols of an exchangeInfo response
+     * @param {string} market - spot, futures or delivery
+     * @param {object} info - the exchangeInfo response
+     * @param {boolean} complete - the response lists every symbol of the market, symbols missing from it are dropped
+     * @return {undefined}
+     */
+    update(market: StreamMarket, info: any, complete = false) {
+        if (!info || !Array.isArray(info.symbols)) return;
+        if (market === 'spot' && complete && Array.isArray(info.sors)) this.sors = info.sors.map(sor => ({ baseAsset: sor.baseAsset, symbols: sor.symbols || [] }));
+        const symbols = complete ? {} : Object.assign({}, this.symbols[market]);
+        for (const symbol of info.symbols) symbols[symbol.symbol] = parseSymbolMetadata(market, symbol);
+        this.symbols[market] = symbols;
+        if (complete) this.loadedAt[market] = Date.now();
+    }
+
+    /**
+     * The cached metadata of a symbol, without requesting anything
+     * @param {string} symbol - the symbol
+     * @param {string} market - spot, futures or delivery
+     * @return {object} - the SymbolMetadata, undefined when it is not cached
+     */
+    get(symbol: string, market: StreamMarket = 'spot'): SymbolMetadata {
+        const symbols = this.symbols[market];
+        return symbols ? symbols[symbol] : undefined;
+    }
+
+    startRefresh() {
+        this.stopRefresh();
+        if (!this.options.refreshInterval) return;
+        this.timer = setInterval(() => {
+            Object.keys(this.loadedAt).forEach(market => this.load(market as StreamMarket, true).catch(() => undefined));
+        }, this.options.refreshInterval);
+        // never keep the process alive just for the refresh
+        if (this.timer.unref) this.timer.unref();
+    }
+
+    stopRefresh() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = undefined;
+    }
+}
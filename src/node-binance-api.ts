@@ -1,5 +1,6 @@
 
 import WebSocket from 'ws';
+import { EventEmitter } from 'events';
 // import request from 'request';
 import crypto from 'crypto';
 import file from 'fs';
@@ -16,7 +17,28 @@ import nodeFetch from 'node-fetch';
 import zip from 'lodash.zipobject';
 import stringHash from 'string-hash';
 // eslint-disable-next-line
-import { Interval, PositionRisk, Order, FuturesOrder, PositionSide, WorkingType, OrderType, OrderStatus, TimeInForce, Callback, IConstructorArgs, OrderSide, FundingRate, CancelOrder, AggregatedTrade, Trade, MyTrade, WithdrawHistoryResponse, DepositHistoryResponse, DepositAddress, WithdrawResponse, Candle, FuturesCancelAllOpenOrder, OrderBook, Ticker, FuturesUserTrade, Account, FuturesAccountInfo, FuturesBalance, QueryOrder, HttpMethod, BookTicker, DailyStats, PremiumIndex, OpenInterest, IWebsocketsMethods } from './types.js';
+import { Interval, PositionRisk, Order, FuturesOrder, PositionSide, WorkingType, OrderType, OrderStatus, TimeInForce, Callback, IConstructorArgs, OrderSide, FundingRate, CancelOrder, AggregatedTrade, Trade, MyTrade, WithdrawHistoryResponse, DepositHistoryResponse, DepositAddress, WithdrawResponse, Candle, FuturesCancelAllOpenOrder, OrderBook, Ticker, FuturesUserTrade, Account, FuturesAccountInfo, FuturesBalance, QueryOrder, HttpMethod, BookTicker, DailyStats, PremiumIndex, OpenInterest, IWebsocketsMethods, Middleware, RequestContext, TimeMarket, TimeSyncOptions, TimeDriftEvent, DepthResyncEvent, OrderList, OrderListLeg, OrderListSideLeg, OrderListPendingOco, CancelReplaceResponse, AmendKeepPriorityResponse, FuturesOrderModification, FuturesOrderAmendment, SorOrder, Allocation } from './types.js';
+import { BinanceError, NetworkError, RequestTimeoutError, RateLimitError, IpBanError, InvalidSignatureError, TimestampError, InsufficientBalanceError, FilterFailureError, OrderValidationError, UnknownOrderError, OrderWouldTriggerError, CancelReplaceError, classifyBinanceError, createBinanceError } from './errors.js';
+import { RateLimiter, RateLimitBucket, requestWeight, isOrderRequest } from './rate-limiter.js';
+export type { RateLimitBucket, RateLimitBudget, RateLimiterOptions } from './rate-limiter.js';
+import { RetryOptions, ReconnectOptions, defaultReconnectOptions, resolveRetryOptions, retryDelay, isRetryableError, sleep } from './retry.js';
+import { WsApiConnection, WsApiMarket } from './ws-api.js';
+export type { WsApiMarket } from './ws-api.js';
+import { StreamManager, StreamMarket, StreamCallback, StreamEvent, streamLimits } from './stream-manager.js';
+export type { StreamMarket, StreamCallback, StreamEvent } from './stream-manager.js';
+import { StreamIterator, StreamIteratorOptions, StreamOverflowError, defaultStreamIteratorOptions } from './stream-iterator.js';
+import { MarketMetadata, SymbolMetadata, SorConfig } from './market-metadata.js';
+import { addDecimals, floatToDecimalString, multiplyDecimals, roundToIncrement } from './decimal.js';
+import { OrderValidationOptions, OrderReference, ValidatedOrder, resolveOrderValidationOptions, validateOrder } from './order-validation.js';
+export type { OrderValidationOptions, ValidatedOrder } from './order-validation.js';
+export type { RoundingMode } from './decimal.js';
+export type { MarketMetadataOptions, SymbolMetadata, ContractMetadata, SorConfig } from './market-metadata.js';
+import { OrderBookSide, PriceLevel, FillEstimate, orderBookSides, estimateFill, bookSpread, bookMidPrice, bookMicroprice, bookImbalance } from './order-book.js';
+export type { OrderBookSide, OrderBookSides, PriceLevel, PriceLevels, FillEstimate } from './order-book.js';
+export type { StreamIterator, StreamIteratorOptions, OverflowPolicy, StreamOverflowError } from './stream-iterator.js';
+export type { RetryOptions, ReconnectOptions, ReconnectEvent } from './retry.js';
+export type { HttpTransport, Middleware, RequestContext, TimeMarket, TimeSyncOptions, TimeDriftEvent, DepthResyncEvent, OrderList, OrderListLeg, OrderListSideLeg, OrderListPendingOco, CancelReplaceMode, CancelReplaceResult, CancelReplaceResponse, AmendedOrder, AmendKeepPriorityResponse, FuturesOrderModification, FuturesOrderAmendment, SorOrder, SorOrderFill, Allocation } from './types.js';
+export type { BinanceErrorDetails, BinanceError, NetworkError, RequestTimeoutError, RateLimitError, IpBanError, InvalidSignatureError, TimestampError, InsufficientBalanceError, FilterFailureError, OrderValidationError, UnknownOrderError, OrderWouldTriggerError, CancelReplaceError } from './errors.js';
 // export { Interval, PositionRisk, Order, FuturesOrder, PositionSide, WorkingType, OrderType, OrderStatus, TimeInForce, Callback, IConstructorArgs, OrderSide, FundingRate, CancelOrder, AggregatedTrade, Trade, MyTrade, WithdrawHistoryResponse, DepositHistoryResponse, DepositAddress, WithdrawResponse, Candle, FuturesCancelAllOpenOrder, OrderBook, Ticker, FuturesUserTrade, FuturesAccountInfo, FuturesBalance, QueryOrder } from './types';
 
 export interface Dictionary<T> {
@@ -25,7 +47,25 @@ export interface Dictionary<T> {
 
 export type Dict = Dictionary<any>;
 
-export default class Binance {
+export default class Binance extends EventEmitter {
+
+    // error classes live on the class (not as named exports) so the cjs bundle keeps `module.exports = Binance`
+    static BinanceError = BinanceError;
+    static NetworkError = NetworkError;
+    static RequestTimeoutError = RequestTimeoutError;
+    static RateLimitError = RateLimitError;
+    static IpBanError = IpBanError;
+    static InvalidSignatureError = InvalidSignatureError;
+    static TimestampError = TimestampError;
+    static InsufficientBalanceError = InsufficientBalanceError;
+    static FilterFailureError = FilterFailureError;
+    static OrderValidationError = OrderValidationError;
+    static UnknownOrderError = UnknownOrderError;
+    static OrderWouldTriggerError = OrderWouldTriggerError;
+    static CancelReplaceError = CancelReplaceError;
+    static classifyError = classifyBinanceError;
+    static isRetryableError = isRetryableError;
+    static StreamOverflowError = StreamOverflowError;
 
     domain = 'com';
     base = `https://api.binance.${this.domain}/api/`;
@@ -48,6 +88,10 @@ export default class Binance {
     streamTest = `wss://stream.testnet.binance.vision/ws/`;
     combineStream = `wss://stream.binance.${this.domain}:9443/stream?streams=`;
     combineStreamTest = `wss://testnet.binance.vision/stream?streams=`;
+    wsApi = `wss://ws-api.binance.${this.domain}:443/ws-api/v3`;
+    wsApiTest = `wss://ws-api.testnet.binance.vision/ws-api/v3`;
+    wsFapi = `wss://ws-fapi.binance.${this.domain}/ws-fapi/v1`;
+    wsFapiTest = `wss://testnet.binancefuture.com/ws-fapi/v1`;
 
     verbose = false;
 
@@ -68,6 +112,11 @@ export default class Binance {
     test = false;
 
     timeOffset: number = 0;
+    futuresTimeOffset: number = undefined; // falls back to the spot offset until futures time was synced
+    deliveryTimeOffset: number = undefined; // falls back to the spot offset until delivery time was synced
+    timeSyncPolicy: TimeSyncOptions = undefined;
+    timeSyncTimer: any = undefined;
+    timeMarkets = new Set<TimeMarket>(); // markets that sent signed requests, resynced by the timer
 
     userAgent = 'Mozilla/4.0 (compatible; Node Binance API)';
     contentType = 'application/x-www-form-urlencoded';
@@ -77,6 +126,8 @@ export default class Binance {
     // Websockets Options
     isAlive = false;
     socketHeartbeatInterval: any = null;
+    futuresSocketHeartbeatInterval: any = null;
+    deliverySocketHeartbeatInterval: any = null;
     // endpoint: string = ""; // endpoint for WS?
     reconnect = true;
 
@@ -96,10 +147,23 @@ export default class Binance {
     deliveryKlineQueue: Dict = {};
     depthCache: Dict = {};
     depthCacheContext: Dict = {};
+    futuresDepthCache: Dict = {};
+    futuresDepthCacheContext: Dict = {};
+    deliveryDepthCache: Dict = {};
+    deliveryDepthCacheContext: Dict = {};
     ohlcLatest: Dict = {};
     klineQueue: Dict = {};
     ohlc: Dict = {};
     info: Dict = {};
+    rateLimiter = new RateLimiter();
+    marketMetadata = new MarketMetadata(market => this.marketExchangeInfo(market));
+    retryPolicy: RetryOptions = undefined;
+    orderValidationPolicy: OrderValidationOptions = undefined;
+    middleware: Middleware[] = [];
+    wsApiConnections: { [market: string]: WsApiConnection } = {};
+    streamManagers: { [market: string]: StreamManager } = {};
+    reconnectPolicy: ReconnectOptions = defaultReconnectOptions;
+    reconnectStates: Dict = {}; // by socket url: attempts, policy override and pending timer of the reconnects
 
     websockets: IWebsocketsMethods = { // deprecated structure, keeping it for backwards compatibility
         userData: this.userData.bind(this),
@@ -147,6 +211,7 @@ export default class Binance {
         recvWindow: 5000,
         useServerTime: false,
         reconnect: true,
+        socketRotation: 85800000, // 23h50m, Binance drops stream connections after 24 hours
         keepAlive: true,
         verbose: false,
         test: false,
@@ -162,6 +227,7 @@ export default class Binance {
     };
 
     constructor(userOptions: Partial<IConstructorArgs> | string = {}) {
+        super();
 
         if (userOptions) {
             this.setOptions(userOptions);
@@ -190,6 +256,17 @@ export default class Binance {
         if (!this.Options.keepAlive) this.Options.keepAlive = this.default_options.keepAlive;
         if (!this.Options.localAddress) this.Options.localAddress = this.default_options.localAddress;
         if (!this.Options.family) this.Options.family = this.default_options.family;
+        this.rateLimiter.configure(this.Options.rateLimiter || false);
+        this.marketMetadata.configure(this.Options.marketMetadata || {});
+        this.retryPolicy = resolveRetryOptions(this.Options.retry || false);
+        this.orderValidationPolicy = resolveOrderValidationOptions(this.Options.orderValidation || false);
+        if (this.Options.middleware) this.middleware = this.Options.middleware.slice();
+        this.reconnectPolicy = Object.assign({}, defaultReconnectOptions, this.Options.reconnectPolicy || {});
+        this.timeSyncPolicy = this.Options.timeSync ? Object.assign({
+            interval: 600000,
+            driftThreshold: 1000,
+            resyncOnTimestampError: true,
+        }, typeof this.Options.timeSync === 'object' ? this.Options.timeSync : {}) : undefined;
         if (this.Options.urls !== undefined) {
             const { urls } = this.Options;
             if (urls.base) this.base = urls.base;
@@ -207,6 +284,10 @@ export default class Binance {
             if (urls.dstreamSingle) this.dstreamSingle = urls.dstreamSingle;
             if (urls.dstreamTest) this.dstreamTest = urls.dstreamTest;
             if (urls.dstreamSingleTest) this.dstreamSingleTest = urls.dstreamSingleTest;
+            if (urls.wsApi) this.wsApi = urls.wsApi;
+            if (urls.wsApiTest) this.wsApiTest = urls.wsApiTest;
+            if (urls.wsFapi) this.wsFapi = urls.wsFapi;
+            if (urls.wsFapiTest) this.wsFapiTest = urls.wsFapiTest;
         }
 
         if (this.Options.APIKEY) this.APIKEY = this.Options.APIKEY;
@@ -221,9 +302,10 @@ export default class Binance {
     async setOptions(opt = {}): Promise<Binance> {
 
         this.assignOptions(opt);
+        this.stopTimeSync();
+        if (this.timeSyncPolicy && this.timeSyncPolicy.interval) this.startTimeSync(this.timeSyncPolicy.interval);
         if (this.Options.useServerTime) {
-            const res = await this.publicSpotRequest('v3/time');
-            this.timeOffset = res.serverTime - new Date().getTime();
+            await this.syncTime('spot');
         }
         return this;
     }
@@ -261,6 +343,11 @@ export default class Binance {
         return this.stream;
     }
 
+    getWsApiUrl(market: WsApiMarket = 'spot') {
+        if (market === 'futures') return this.Options.test ? this.wsFapiTest : this.wsFapi;
+        return this.Options.test ? this.wsApiTest : this.wsApi;
+    }
+
     uuid22(a?: any) {
         return a ? (a ^ Math.random() * 16 >> a / 4).toString(16) : (([1e7] as any) + 1e3 + 4e3 + 8e5).replace(/[018]/g, this.uuid22);
     }
@@ -333,35 +420,79 @@ export default class Binance {
         return opt;
     }
 
-    async reqHandler(response) {
+    /**
+     * Reads a response header from either a fetch Headers instance or a plain object
+     * @param {object} response - the http response
+     * @param {string} name - lowercase header name
+     * @return {string} the header value or undefined
+     */
+    getResponseHeader(response, name: string): string {
+        const headers = response && response.headers;
+        if (!headers) return undefined;
+        if (typeof headers.get === 'function') return headers.get(name) ?? undefined;
+        return headers[name];
+    }
+
+    /**
+     * Finds which rate limit bucket (spot, sapi, fapi, dapi) a request url is counted in
+     * @param {string} url - the request url
+     * @return {object} - bucket and endpoint path (e.g. v3/depth), undefined for unknown urls
+     */
+    getRateLimitTarget(url: string): { bucket: RateLimitBucket, path: string } {
+        const match = /\/(api|sapi|fapi|dapi)\/(v\d+\/[^?]*)/.exec(url || '');
+        if (!match) return undefined;
+        const bucket = (match[1] === 'api' ? 'spot' : match[1]) as RateLimitBucket;
+        return { bucket, path: match[2] };
+    }
+
+    async reqHandler(response, opt: Dict = {}) {
         this.info.lastRequest = new Date().getTime();
+        let usedWeight: number = undefined;
+        const orderCount: Dict = {};
         if (response) {
             this.info.statusCode = response.status || 0;
-            if (response.request) this.info.lastURL = response.request.uri.href;
+            this.info.lastURL = response.url || opt.url;
             if (response.headers) {
-                this.info.usedWeight = response.headers['x-mbx-used-weight-1m'] || 0;
-                this.info.orderCount1s = response.headers['x-mbx-order-count-1s'] || 0;
-                this.info.orderCount1m = response.headers['x-mbx-order-count-1m'] || 0;
-                this.info.orderCount1h = response.headers['x-mbx-order-count-1h'] || 0;
-                this.info.orderCount1d = response.headers['x-mbx-order-count-1d'] || 0;
+                const weight = this.getResponseHeader(response, 'x-mbx-used-weight-1m') || this.getResponseHeader(response, 'x-sapi-used-ip-weight-1m');
+                if (weight !== undefined) usedWeight = Number(weight);
+                for (const interval of ['1s', '10s', '1m', '1h', '1d']) {
+                    const count = this.getResponseHeader(response, 'x-mbx-order-count-' + interval);
+                    if (count !== undefined) orderCount[interval] = Number(count);
+                }
+                this.info.usedWeight = usedWeight || 0;
+                this.info.orderCount1s = orderCount['1s'] || 0;
+                this.info.orderCount10s = orderCount['10s'] || 0;
+                this.info.orderCount1m = orderCount['1m'] || 0;
+                this.info.orderCount1h = orderCount['1h'] || 0;
+                this.info.orderCount1d = orderCount['1d'] || 0;
             }
         }
+        const target = this.getRateLimitTarget(opt.url || (response && response.url));
+        if (target) this.rateLimiter.update(target.bucket, usedWeight, orderCount);
 
         if (response && response.status !== 200) {
-            // let parsedResponse = '';
-            // try {
-            //     parsedResponse = await response.json();
-            // } catch (e) {
-            //     parsedResponse = await response.text();
-            // }
-            const error = new Error(await response.text());
-            // error.code = response.status;
-            // error.url = response.url;
-            throw error;
+            const retryAfter = this.getResponseHeader(response, 'retry-after');
+            if (target && retryAfter !== undefined && (response.status === 429 || response.status === 418)) {
+                this.rateLimiter.block(target.bucket, Number(retryAfter));
+            }
+            throw createBinanceError(await response.text(), {
+                status: response.status,
+                url: opt.url || response.url,
+                method: opt.method,
+                usedWeight,
+                orderCount,
+                retryAfter: retryAfter !== undefined ? Number(retryAfter) : undefined,
+            });
         }
     }
 
-    async proxyRequest(opt: any) {
+    /**
+     * Sends a request, aborting it after the request timeout or when the signal is aborted
+     * @param {object} opt - the request object built by reqObj/reqObjPOST/futuresRequest
+     * @param {AbortSignal} signal - optional, cancels the request
+     * @return {promise} - the parsed json response
+     */
+    async proxyRequest(opt: any, signal?: AbortSignal) {
         // const req = request(this.addProxy(opt), this.reqHandler(cb)).on('error', (err) => { cb(err, {}) });
         // family: opt.family,
         // timeout: opt.timeout,
@@ -396,6 +527,13 @@ export default class Binance {
             reqOptions.agent = new SocksProxyAgent(socksproxy);
         }
 
+        const target = this.getRateLimitTarget(opt.url);
+        if (target) {
+            const params = opt.qs || opt.form || {};
+            await this.rateLimiter.acquire(target.bucket, requestWeight(target.bucket, target.path, opt.method, params), isOrderRequest(target.bucket, target.path, opt.method), signal);
+        }
+
+        const sentParams = this.requestParams(opt);
         if (urlProxy) {
             opt.url = urlProxy + opt.url;
         }
@@ -405,11 +543,67 @@ export default class Binance {
         if (reqOptions.agent) {
             fetchImplementation = nodeFetch;
         }
+        if (this.Options.transport) {
+            fetchImplementation = this.Options.transport;
+        }
 
-        const response = await fetchImplementation(opt.url, reqOptions);
+        if (signal && signal.aborted) throw signal.reason;
+        const context: RequestContext = {
+            method: opt.method,
+            url: opt.url,
+            params: sentParams,
+            headers: reqOptions.headers || {},
+            startTime: Date.now(),
+        };
+        await this.runMiddleware('beforeRequest', context);
+        reqOptions.headers = context.headers;
+
+        // opt-in, recvWindow is about the signed timestamp and says nothing about how long an endpoint may take
+        const timeout = this.Options.timeout;
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = timeout ? setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout) : undefined;
+        const onAbort = () => controller.abort(signal.reason);
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        reqOptions.signal = controller.signal;
+
+        let json;
+        context.startTime = Date.now();
+        try {
+            let response;
+            try {
+                response = await fetchImplementation(opt.url, reqOptions);
+            } catch (error) {
+                throw new NetworkError(error.message, { status: 0, url: opt.url, method: opt.method, cause: error });
+            }
+            context.response = response;
+            context.status = response.status;
+
+            await this.reqHandler(response, opt);
+            json = await response.json();
+        } catch (error) {
+            let failure = error;
+            // the timeout also covers reading the body, which can hang just as well as connecting
+            if (timedOut) {
+                failure = new RequestTimeoutError(`Request timed out after ${timeout}ms`, { status: 0, url: opt.url, method: opt.method, cause: error });
+            } else if (signal && signal.aborted) {
+                failure = signal.reason;
+            }
+            context.error = failure;
+            context.duration = Date.now() - context.startTime;
+            await this.runMiddleware('onError', context);
+            throw failure;
+        } finally {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', onAbort);
+        }
 
-        await this.reqHandler(response);
-        const json = await response.json();
+        context.data = json;
+        context.duration = Date.now() - context.startTime;
+        await this.runMiddleware('afterResponse', context);
 
         if (this.Options.verbose) {
             this.Options.log('HTTP Response:', json);
@@ -417,6 +611,51 @@ export default class Binance {
         return json;
     }
 
+    /**
+     * Collects the parameters a request object sends, from its query string and form body
+     * @param {object} opt - the request object
+     * @return {object} - parameters by name, signature included
+     */
+    requestParams(opt: any): Dict {
+        const start = opt.url.indexOf('?');
+        const params = start === -1 ? {} : Object.fromEntries(new URLSearchParams(opt.url.slice(start + 1)));
+        return Object.assign(params, opt.form);
+    }
+
+    /**
+     * Registers request hooks: beforeRequest (may change headers), afterResponse and onError,
+     * each called with the method, url, sent params and timing of every REST call
+     * @param {object} middleware - object with any of the three hooks
+     * @return {Binance} - this, for chaining
+     */
+    use(middleware: Middleware): Binance {
+        this.middleware.push(middleware);
+        return this;
+    }
+
+    /**
+     * Calls one hook of every registered middleware in registration order
+     * @param {string} hook - beforeRequest, afterResponse or onError
+     * @param {object} context - the request context handed to the hooks
+     * @return {promise} - resolves once all hooks ran
+     */
+    async runMiddleware(hook: keyof Middleware, context: RequestContext) {
+        for (const middleware of this.middleware) {
+            if (middleware[hook]) await middleware[hook](context);
+        }
+    }
+
+    /**
+     * Splits the AbortSignal passed as params.signal from the request parameters so it never reaches the query string
+     * @param {object} data - the request parameters
+     * @return {array} - [signal, parameters without the signal]
+     */
+    extractSignal(data: Dict): [AbortSignal | undefined, Dict] {
+        if (!data || !('signal' in data)) return [undefined, data];
+        const { signal, ...rest } = data;
+        return [signal, rest];
+    }
+
     reqObj(url: string, data: Dict = {}, method: HttpMethod = 'GET', key?: string) {
         return {
             url: url,
@@ -424,7 +663,6 @@ export default class Binance {
             method: method,
             family: this.Options.family,
             localAddress: this.Options.localAddress,
-            timeout: this.Options.recvWindow,
             forever: this.Options.keepAlive,
             headers: {
                 'User-Agent': this.userAgent,
@@ -441,7 +679,6 @@ export default class Binance {
             method: method,
             family: this.Options.family,
             localAddress: this.Options.localAddress,
-            timeout: this.Options.recvWindow,
             forever: this.Options.keepAlive,
             qsStringifyOptions: {
                 arrayFormat: 'repeat'
@@ -455,9 +692,11 @@ export default class Binance {
     }
 
     async publicRequest(url: string, data: Dict = {}, method: HttpMethod = 'GET') {
+        let signal: AbortSignal;
+        [signal, data] = this.extractSignal(data);
         const query = this.makeQueryString(data);
-        const opt = this.reqObj(url + (query ? '?' + query : ''), data, method);
-        const res = await this.proxyRequest(opt);
+        // a fresh request object per attempt, proxyRequest prefixes the url proxy in place
+        const res = await this.retryRequest(method, () => this.proxyRequest(this.reqObj(url + (query ? '?' + query : ''), data, method), signal), undefined, signal);
         return res;
     }
 
@@ -515,6 +754,8 @@ export default class Binance {
      */
     async futuresRequest(url: string, data: Dict = {}, method: HttpMethod = 'GET', isPrivate = false) {
         let query = '';
+        let signal: AbortSignal;
+        [signal, data] = this.extractSignal(data);
         const headers = {
             'User-Agent': this.userAgent,
             'Content-type': 'application/x-www-form-urlencoded'
@@ -526,28 +767,28 @@ export default class Binance {
             headers['X-MBX-APIKEY'] = this.APIKEY;
         }
 
-        const opt = {
-            headers: this.extend(headers, this.headers),
-            url: url,
-            method: method,
-            timeout: this.Options.recvWindow,
-            followAllRedirects: true
-        };
-        query = this.makeQueryString(data);
-        if (method === 'GET') {
-            opt.url = `${url}?${query}`;
-        }
-        if (isPrivate) {
-            data.timestamp = new Date().getTime();
-            if (this.timeOffset) {
-                data.timestamp += this.timeOffset;
-            }
+        // every attempt is signed again with a fresh timestamp
+        const response = await this.retryRequest(method, () => this.withTimeResync(this.getTimeMarket(url), () => {
+            delete data.signature;
+            const opt = {
+                headers: this.extend(headers, this.headers),
+                url: url,
+                method: method,
+                followAllRedirects: true
+            };
             query = this.makeQueryString(data);
-            data.signature = this.generateSignature(query);
-            opt.url = `${url}?${query}&signature=${data.signature}`;
-        }
-        (opt as any).qs = data;
-        const response = await this.proxyRequest(opt);
+            if (method === 'GET') {
+                opt.url = `${url}?${query}`;
+            }
+            if (isPrivate) {
+                data.timestamp = this.getTimestamp(this.getTimeMarket(url));
+                query = this.makeQueryString(data);
+                data.signature = this.generateSignature(query);
+                opt.url = `${url}?${query}&signature=${data.signature}`;
+            }
+            (opt as any).qs = data;
+            return this.proxyRequest(opt, signal);
+        }), undefined, signal);
         return response;
 
     }
@@ -562,10 +803,10 @@ export default class Binance {
             .reduce((a, k) => {
                 if (Array.isArray(q[k])) {
                     q[k].forEach(v => {
-                        a.push(k + "=" + encodeURIComponent(v));
+                        a.push(k + "=" + encodeURIComponent(this.preciseValue(v)));
                     });
                 } else if (q[k] !== undefined) {
-                    a.push(k + "=" + encodeURIComponent(q[k]));
+                    a.push(k + "=" + encodeURIComponent(this.preciseValue(q[k])));
                 }
                 return a;
             }, [])
@@ -573,6 +814,30 @@ export default class Binance {
         return res;
     }
 
+    /**
+     * In precise mode a float parameter is sent as the decimal it was meant to be (0.1 + 0.2 as 0.3), never with binary artifacts or an exponent
+     * @param {any} value - the parameter value
+     * @return {any} - the value to serialise
+     */
+    preciseValue(value: any) {
+        if (!this.Options.precise || typeof value !== 'number' || !Number.isFinite(value)) return value;
+        return floatToDecimalString(value);
+    }
+
+    /**
+     * The request parameters with preciseValue applied, so a signature and the body it signs serialise numbers the same way
+     * @param {object} data - the request parameters
+     * @return {object} - a copy in precise mode, data itself otherwise
+     */
+    preciseParams(data: Dict): Dict {
+        if (!this.Options.precise) return data;
+        const params = {};
+        for (const key of Object.keys(data)) {
+            params[key] = Array.isArray(data[key]) ? data[key].map(value => this.preciseValue(value)) : this.preciseValue(data[key]);
+        }
+        return params;
+    }
+
     /**
      * Create a http request to the public API
      * @param {string} url - The http endpoint
@@ -583,13 +848,14 @@ export default class Binance {
      */
     async apiRequest(url: string, data: Dict = {}, method: HttpMethod = 'GET') {
         this.requireApiKey('apiRequest');
-        const opt = this.reqObj(
+        let signal: AbortSignal;
+        [signal, data] = this.extractSignal(data);
+        const res = await this.retryRequest(method, () => this.proxyRequest(this.reqObj(
             url,
             data,
             method,
             this.APIKEY
-        );
-        const res = await this.proxyRequest(opt);
+        ), signal), undefined, signal);
         return res;
     }
 
@@ -653,34 +919,128 @@ export default class Binance {
      */
     async signedRequest(url: string, data: Dict = {}, method: HttpMethod = 'GET', noDataInSignature = false) {
         this.requireApiSecret('signedRequest');
+        let signal: AbortSignal;
+        [signal, data] = this.extractSignal(data);
+        data = this.preciseParams(data);
+        // every attempt is signed again with a fresh timestamp
+        return await this.retryRequest(method, () => this.withTimeResync(this.getTimeMarket(url), async () => {
+            delete data.signature; // left in data by a previous POST attempt
+            data.timestamp = this.getTimestamp(this.getTimeMarket(url));
 
-        data.timestamp = new Date().getTime();
-        if (this.timeOffset) data.timestamp += this.timeOffset;
+            if (!data.recvWindow) data.recvWindow = this.Options.recvWindow;
+            const query = method === 'POST' && noDataInSignature ? '' : this.makeQueryString(data);
 
-        if (!data.recvWindow) data.recvWindow = this.Options.recvWindow;
-        const query = method === 'POST' && noDataInSignature ? '' : this.makeQueryString(data);
+            const signature = this.generateSignature(query);
 
-        const signature = this.generateSignature(query);
-    
-        if (method === 'POST') {
-            const opt = this.reqObjPOST(
-                url,
-                data,
-                method,
-                this.APIKEY
-            );
-            opt.form.signature = signature;
-            const reqPost = await this.proxyRequest(opt);
-            return reqPost;
-        } else {
-            const opt = this.reqObj(
-                url + '?' + query + '&signature=' + signature,
-                data,
-                method,
-                this.APIKEY
-            );
-            const reqGet = await this.proxyRequest(opt);
-            return reqGet;
+            if (method === 'POST') {
+                const opt = this.reqObjPOST(
+                    url,
+                    data,
+                    method,
+                    this.APIKEY
+                );
+                opt.form.signature = signature;
+                const reqPost = await this.proxyRequest(opt, signal);
+                return reqPost;
+            } else {
+                const opt = this.reqObj(
+                    url + '?' + query + '&signature=' + signature,
+                    data,
+                    method,
+                    this.APIKEY
+                );
+                const reqGet = await this.proxyRequest(opt, signal);
+                return reqGet;
+            }
+        }), undefined, signal);
+    }
+
+    /**
+     * Market whose server clock signs requests to the given url
+     * @param {string} url - request url
+     * @return {string} - spot, fapi or dapi
+     */
+    getTimeMarket(url: string): TimeMarket {
+        const target = this.getRateLimitTarget(url);
+        if (target && (target.bucket === 'fapi' || target.bucket === 'dapi')) return target.bucket;
+        return 'spot';
+    }
+
+    /**
+     * Offset between the server clock of a market and the local clock
+     * @param {string} market - spot, fapi or dapi
+     * @return {number} - ms to add to the local time
+     */
+    getTimeOffset(market: TimeMarket = 'spot'): number {
+        if (market === 'fapi' && this.futuresTimeOffset !== undefined) return this.futuresTimeOffset;
+        if (market === 'dapi' && this.deliveryTimeOffset !== undefined) return this.deliveryTimeOffset;
+        return this.timeOffset;
+    }
+
+    /**
+     * Timestamp for a signed request, corrected by the clock offset of its market
+     * @param {string} market - spot, fapi or dapi
+     * @return {number} - ms timestamp
+     */
+    getTimestamp(market: TimeMarket = 'spot'): number {
+        this.timeMarkets.add(market);
+        return new Date().getTime() + (this.getTimeOffset(market) || 0);
+    }
+
+    /**
+     * Sends a signed request once more after a -1021 timestamp error, once the clock of its market was resynced
+     * @param {string} market - spot, fapi or dapi
+     * @param {function} request - signs and sends the request
+     * @return {promise} - the response
+     */
+    async withTimeResync<T>(market: TimeMarket, request: () => Promise<T>): Promise<T> {
+        try {
+            return await request();
+        } catch (error) {
+            if (!(error instanceof TimestampError) || !this.timeSyncPolicy || !this.timeSyncPolicy.resyncOnTimestampError) throw error;
+            await this.syncTime(market);
+            return await request();
+        }
+    }
+
+    /**
+     * Runs a request with the retry policy: GET requests are retried on transient errors,
+     * other methods only when a recover function can tell whether the first attempt went through
+     * @param {string} method - the http method of the request
+     * @param {function} request - sends one attempt, called again for every retry
+     * @param {function} recover - optional, looks up the result of a failed attempt, returns undefined to send it again
+     * @param {AbortSignal} signal - optional, cancels the wait between attempts
+     * @return {promise} - the response of the first successful attempt
+     */
+    async retryRequest<T>(method: HttpMethod, request: () => Promise<T>, recover?: () => Promise<T | undefined>, signal?: AbortSignal): Promise<T> {
+        const policy = this.retryPolicy;
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await request();
+            } catch (error) {
+                if (!policy || (method !== 'GET' && !recover) || attempt >= policy.maxAttempts || !policy.retryOn(error)) throw error;
+                const delay = retryDelay(policy, attempt);
+                if (this.Options.verbose) this.Options.log(`retrying ${method} request in ${Math.round(delay)}ms (attempt ${attempt + 1}/${policy.maxAttempts}):`, error.message);
+                await sleep(delay, signal);
+                if (recover) {
+                    const existing = await recover();
+                    if (existing !== undefined) return existing;
+                }
+            }
+        }
+    }
+
+    /**
+     * Recover function for retryRequest: queries an order by client id, resolving undefined when the exchange never received it
+     * @param {function} query - order status request by origClientOrderId
+     * @return {promise} - the order, or undefined when it does not exist
+     */
+    async findOrder<T>(query: () => Promise<T>): Promise<T | undefined> {
+        try {
+            return await query();
+        } catch (error) {
+            if (error instanceof UnknownOrderError) return undefined;
+            throw error;
         }
     }
 
@@ -725,24 +1085,16 @@ export default class Binance {
     // --- ENDPOINTS --- //
 
     /**
-     * Create a signed spot order
-     * @see https://developers.binance.com/docs/binance-spot-api-docs/rest-api/trading-endpoints#new-order-trade
-     * @see https://developers.binance.com/docs/binance-spot-api-docs/rest-api/public-api-endpoints#test-new-order-trade
-     * @see https://developers.binance.com/docs/binance-spot-api-docs/rest-api/trading-endpoints#new-order-list---oco-trade
+     * Builds the parameters of a spot order, shared by the REST and WebSocket API order methods
      * @param {OrderType} type - LIMIT, MARKET, STOP_LOSS, STOP_LOSS_LIMIT, TAKE_PROFIT, TAKE_PROFIT_LIMIT, LIMIT_MAKER
      * @param {OrderSide} side - BUY or SELL
      * @param {string} symbol - The symbol to buy or sell
      * @param {string} quantity - The quantity to buy or sell
      * @param {string} price - The price per unit to transact each unit at
      * @param {object} params - additional order settings
-     * @return {undefined}
+     * @return {object} - the order parameters, newClientOrderId included
      */
-    async order(type: OrderType, side: OrderSide, symbol: string, quantity: number, price?: number, params: Dict = {}): Promise<Order> {
-        let endpoint = params.type === 'OCO' ? 'v3/orderList/oco' : 'v3/order';
-        if (params.test) {
-            delete params.test;
-            endpoint += '/test';
-        }
+    spotOrderPayload(type: OrderType, side: OrderSide, symbol: string, quantity: number | string, price?: number | string, params: Dict = {}): Dict {
         const request = {
             symbol: symbol,
             side: side,
@@ -763,15 +1115,6 @@ export default class Binance {
             request.quoteOrderQty = params.quoteOrderQty;
             delete request.quantity;
         }
-        if (request.type === 'OCO') {
-            request.price = price;
-            request.stopLimitPrice = params.stopLimitPrice;
-            request.stopLimitTimeInForce = 'GTC';
-            delete request.type;
-            // if (typeof params.listClientOrderId !== 'undefined') opt.listClientOrderId = params.listClientOrderId;
-            // if (typeof params.limitClientOrderId !== 'undefined') opt.limitClientOrderId = params.limitClientOrderId;
-            // if (typeof params.stopClientOrderId !== 'undefined') opt.stopClientOrderId = params.stopClientOrderId;
-        }
         // if (typeof params.timeInForce !== 'undefined') opt.timeInForce = params.timeInForce;
         // if (typeof params.newOrderRespType !== 'undefined') opt.newOrderRespType = params.newOrderRespType;
         if (!params.newClientOrderId) {
@@ -790,7 +1133,34 @@ export default class Binance {
             request.stopPrice = params.stopPrice;
             if (request.type === 'LIMIT') throw Error('stopPrice: Must set "type" to one of the following: STOP_LOSS, STOP_LOSS_LIMIT, TAKE_PROFIT, TAKE_PROFIT_LIMIT');
         }
-        const response = await this.privateSpotRequest(endpoint, this.extend(request, params), 'POST');
+        return this.extend(request, params);
+    }
+
+    /**
+     * Create a signed spot order
+     * @see https://developers.binance.com/docs/binance-spot-api-docs/rest-api/trading-endpoints#new-order-trade
+     * @see https://developers.binance.com/docs/binance-spot-api-docs/rest-api/public-api-endpoints#test-new-order-trade
+     * @see https://developers.binance.com/docs/binance-spot-api-docs/rest-api/trading-endpoints#new-order-list---oco-trade
+     * @param {OrderType} type - LIMIT, MARKET, STOP_LOSS, STOP_LOSS_LIMIT, TAKE_PROFIT, TAKE_PROFIT_LIMIT, LIMIT_MAKER
+     * @param {OrderSide} side - BUY or SELL
+     * @param {string} symbol - The symbol to buy or sell
+     * @param {string} quantity - The quantity to buy or sell
+     * @param {string} price - The price per unit to transact each unit at
+     * @param {object} params - additional order settings, type OCO places an OCO from the parameters of the retired OCO endpoint (see ocoOrder)
+     * @return {promise} - the Order, the OrderList for type OCO
+     */
+    async order(type: OrderType, side: OrderSide, symbol: string, quantity: number | string, price?: number | string, params: Dict = {}): Promise<Order | OrderList> {
+        if (params.type === 'OCO') return await this.legacyOcoOrder(side, symbol, quantity, price, params);
+        let endpoint = 'v3/order';
+        if (params.test) {
+            delete params.test;
+            endpoint += '/test';
+        }
+        if (this.orderValidationPolicy) [quantity, price] = await this.applyOrderValidation('spot', type, side, symbol, quantity, price, params);
+        const payload = this.spotOrderPayload(type, side, symbol, quantity, price, params);
+        // only a plain order can be looked up by newClientOrderId before sending it again
+        const recover = endpoint === 'v3/order' ? () => this.findOrder(() => this.orderStatus(symbol, undefined, { origClientOrderId: payload.newClientOrderId, signal: params.signal })) : undefined;
+        const response = await this.retryRequest('POST', () => this.privateSpotRequest(endpoint, payload, 'POST'), recover, params.signal);
         // to do error handling
         // if ( !response ) {
         //     if ( callback ) callback( error, response );
@@ -813,7 +1183,7 @@ export default class Binance {
     * @param {object} flags - additional buy order flags
     * @return {promise or undefined} - omitting the callback returns a promise
     */
-    async buy(symbol: string, quantity: number, price: number, flags = {}) {
+    async buy(symbol: string, quantity: number | string, price: number | string, flags = {}) {
         return await this.order('LIMIT', 'BUY', symbol, quantity, price, flags);
     }
 
@@ -826,7 +1196,7 @@ export default class Binance {
 * @param {function} callback - the callback function
 * @return {promise or undefined} - omitting the callback returns a promise
 */
-    async sell(symbol: string, quantity: number, price: number, flags = {}) {
+    async sell(symbol: string, quantity: number | string, price: number | string, flags = {}) {
         return await this.order('LIMIT', 'SELL', symbol, quantity, price, flags);
     }
 
@@ -840,7 +1210,7 @@ export default class Binance {
 * @param {object} params - additional buy order flags
 * @return {promise or undefined} - omitting the callback returns a promise
 */
-    async marketBuy(symbol: string, quantity: number, params: Dict = {}) {
+    async marketBuy(symbol: string, quantity: number | string, params: Dict = {}) {
         return await this.order('MARKET', 'BUY', symbol, quantity, 0, params);
     }
 
@@ -856,7 +1226,7 @@ export default class Binance {
 * @param {object} params - additional buy order flags
 * @return {promise or undefined} - omitting the callback returns a promise
 */
-    async limitOrder(side: OrderSide, symbol: string, quantity: number, price: number, params: Dict = {}) {
+    async limitOrder(side: OrderSide, symbol: string, quantity: number | string, price: number | string, params: Dict = {}) {
         return await this.order('LIMIT', side, symbol, quantity, price, params);
     }
 
@@ -870,7 +1240,7 @@ export default class Binance {
 * @param {object} params - additional buy order flags
 * @return {promise or undefined} - omitting the callback returns a promise
 */
-    async marketBuyWithCost(symbol: string, cost: number, params: Dict = {}) {
+    async marketBuyWithCost(symbol: string, cost: number | string, params: Dict = {}) {
         params.quoteOrderQty = cost;
         return await this.order('MARKET', 'BUY', symbol, 0, 0, params);
     }
@@ -885,7 +1255,7 @@ export default class Binance {
     * @param {object} flags - additional buy order flags
     * @return {promise or undefined} - omitting the callback returns a promise
     */
-    async marketSell(symbol: string, quantity: number, params: Dict = {}) {
+    async marketSell(symbol: string, quantity: number | string, params: Dict = {}) {
         return await this.order('MARKET', 'SELL', symbol, quantity, 0, params);
     }
 
@@ -899,7 +1269,7 @@ export default class Binance {
     * @param {object} flags - additional buy order flags
     * @return {promise or undefined} - omitting the callback returns a promise
     */
-    async marketSellWithCost(symbol: string, cost: number, params: Dict = {}) {
+    async marketSellWithCost(symbol: string, cost: number | string, params: Dict = {}) {
         params.quoteOrderQty = cost;
         return await this.order('MARKET', 'SELL', symbol, 0, 0, params);
     }
@@ -915,6 +1285,44 @@ export default class Binance {
         return await this.privateSpotRequest('v3/order', this.extend({ symbol: symbol, orderId: orderid }, params), 'DELETE');
     }
 
+    /**
+     * Cancels an order and places a new one in a single request, the way to reprice a resting order
+     * @see https://developers.binance.com/docs/binance-spot-api-docs/rest-api/trading-endpoints#cancel-an-existing-order-and-send-a-new-order-trade
+     * @param {string} symbol - the symbol
+     * @param {string} orderid - the orderId to cancel, or cancelOrigClientOrderId in params
+     * @param {OrderType} type - the type of the new order
+     * @param {OrderSide} side - the side of the new order
+     * @param {number|string} quantity - the quantity of the new order
+     * @param {number|string} price - the price of the new order
+     * @param {object} params - additional settings of the new order, cancelRestrictions, orderRateLimitExceededMode and cancelReplaceMode:
+     * STOP_ON_FAILURE (default) places the new order only when the cancel succeeded, ALLOW_FAILURE places it anyway
+     * @return {promise} - the results of both, rejects with a CancelReplaceError holding them in data when one failed
+     */
+    async cancelReplace(symbol: string, orderid: number | string | undefined, type: OrderType, side: OrderSide, quantity: number | string, price?: number | string, params: Dict = {}): Promise<CancelReplaceResponse> {
+        if (this.orderValidationPolicy) [quantity, price] = await this.applyOrderValidation('spot', type, side, symbol, quantity, price, params, true);
+        const payload = this.spotOrderPayload(type, side, symbol, quantity, price, params);
+        if (!payload.cancelReplaceMode) payload.cancelReplaceMode = 'STOP_ON_FAILURE';
+        if (orderid !== undefined) payload.cancelOrderId = orderid;
+        if (!payload.cancelNewClientOrderId) payload.cancelNewClientOrderId = this.SPOT_PREFIX + this.uuid22();
+        return await this.privateSpotRequest('v3/order/cancelReplace', payload, 'POST');
+    }
+
+    /**
+     * Reduces the quantity of an open order without losing its place in the queue
+     * @see https://developers.binance.com/docs/binance-spot-api-docs/rest-api/trading-endpoints#order-amend-keep-priority-trade
+     * @param {string} symbol - the symbol
+     * @param {string} orderid - the orderId to amend, or origClientOrderId in params
+     * @param {number|string} quantity - the new quantity, below the current one
+     * @param {object} params - additional settings, newClientOrderId renames the order
+     * @return {promise} - the amended order
+     */
+    async amendKeepPriority(symbol: string, orderid: number | string | undefined, quantity: number | string, params: Dict = {}): Promise<AmendKeepPriorityResponse> {
+        const request = { symbol, newQty: quantity } as Dict;
+        if (orderid !== undefined) request.orderId = orderid;
+        if (!params.newClientOrderId) request.newClientOrderId = this.SPOT_PREFIX + this.uuid22();
+        return await this.privateSpotRequest('v3/order/amend/keepPriority', this.extend(request, params), 'PUT');
+    }
+
     /**
 * Gets the status of an order
 * @see https://developers.binance.com/docs/binance-spot-api-docs/rest-api/trading-endpoints#query-order-user_data
@@ -988,6 +1396,214 @@ export default class Binance {
         return await this.privateSpotRequest('v3/allOrders', parameters);
     }
 
+    /**
+     * Builds the parameters of one leg of an order list, prefixed with the name of the leg: price => abovePrice, workingPrice, ...
+     * Limit legs get a GTC timeInForce and every leg a client order id unless given, the orderValidation option checks and rounds the leg
+     * @param {string} prefix - above, below, working, pending, pendingAbove or pendingBelow
+     * @param {string} symbol - the symbol
+     * @param {OrderSide} side - the side of the leg
+     * @param {number|string} quantity - the quantity of the leg
+     * @param {object} leg - the OrderListLeg
+     * @return {promise} - the prefixed parameters, side and quantity included
+     */
+    async orderListLeg(prefix: string, symbol: string, side: OrderSide, quantity: number | string, leg: OrderListLeg): Promise<Dict> {
+        const request = this.extend({ side, quantity }, leg) as Dict;
+        if (this.orderValidationPolicy) {
+            const validated = await this.validateOrder(leg.type, side, symbol, quantity, leg.price, { stopPrice: leg.stopPrice }, 'spot', this.orderValidationPolicy);
+            Object.assign(request, validated);
+        }
+        if (leg.type.includes('LIMIT') && leg.type !== 'LIMIT_MAKER' && !leg.timeInForce) request.timeInForce = 'GTC';
+        if (!leg.clientOrderId) request.clientOrderId = this.SPOT_PREFIX + this.uuid22();
+        const params = {} as Dict;
+        for (const key of Object.keys(request)) {
+            if (request[key] !== undefined) params[prefix + key[0].toUpperCase() + key.slice(1)] = request[key];
+        }
+        return params;
+    }
+
+    /**
+     * Places an order list, with a generated listClientOrderId that finds the list again when the retry policy sends it twice
+     * @param {string} endpoint - v3/orderList/oco, v3/orderList/oto or v3/orderList/otoco
+     * @param {object} request - the parameters of the list
+     * @param {object} params - additional list settings
+     * @return {promise} - the OrderList
+     */
+    async placeOrderList(endpoint: string, request: Dict, params: Dict = {}): Promise<OrderList> {
+        const payload = this.extend(request, params);
+        if (!payload.listClientOrderId) payload.listClientOrderId = this.SPOT_PREFIX + this.uuid22();
+        const recover = () => this.findOrder(() => this.orderListStatus(undefined, { origClientOrderId: payload.listClientOrderId, signal: params.signal }));
+        return await this.retryRequest('POST', () => this.privateSpotRequest(endpoint, payload, 'POST'), recover, params.signal);
+    }
+
+    /**
+     * Places an OCO: two orders of the same side and quantity, one above and one below the market, filling one cancels the other
+     * @see https://developers.binance.com/docs/binance-spot-api-docs/rest-api/trading-endpoints#new-order-list---oco-trade
+     * @param {OrderSide} side - BUY or SELL
+     * @param {string} symbol - the symbol
+     * @param {number|string} quantity - the quantity of both orders
+     * @param {object} above - the leg above the market: STOP_LOSS, STOP_LOSS_LIMIT, TAKE_PROFIT, TAKE_PROFIT_LIMIT or LIMIT_MAKER
+     * @param {object} below - the leg below the market, same types
+     * @param {object} params - additional list settings: listClientOrderId, newOrderRespType, selfTradePreventionMode
+     * @return {promise} - the OrderList
+     */
+    async ocoOrder(side: OrderSide, symbol: string, quantity: number | string, above: OrderListLeg, below: OrderListLeg, params: Dict = {}): Promise<OrderList> {
+        const legs = this.extend(await this.orderListLeg('above', symbol, side, quantity, above), await this.orderListLeg('below', symbol, side, quantity, below));
+        const request = { symbol, side, quantity: legs.aboveQuantity } as Dict;
+        for (const field of ['aboveSide', 'aboveQuantity', 'belowSide', 'belowQuantity']) delete legs[field];
+        return await this.placeOrderList('v3/orderList/oco', this.extend(request, legs), params);
+    }
+
+    /**
+     * Places an OTO: the pending order is placed once the working order is fully filled
+     * @see https://developers.binance.com/docs/binance-spot-api-docs/rest-api/trading-endpoints#new-order-list---oto-trade
+     * @param {string} symbol - the symbol
+     * @param {object} working - the working order: LIMIT or LIMIT_MAKER, with its side and quantity
+     * @param {object} pending - the pending order, any type, with its side and quantity
+     * @param {object} params - additional list settings: listClientOrderId, newOrderRespType, selfTradePreventionMode
+     * @return {promise} - the OrderList
+     */
+    async otoOrder(symbol: string, working: OrderListSideLeg, pending: OrderListSideLeg, params: Dict = {}): Promise<OrderList> {
+        const request = this.extend(
+            { symbol },
+            await this.orderListLeg('working', symbol, working.side, working.quantity, working),
+            await this.orderListLeg('pending', symbol, pending.side, pending.quantity, pending),
+        );
+        return await this.placeOrderList('v3/orderList/oto', request, params);
+    }
+
+    /**
+     * Places an OTOCO: an OCO is placed once the working order is fully filled
+     * @see https://developers.binance.com/docs/binance-spot-api-docs/rest-api/trading-endpoints#new-order-list---otoco-trade
+     * @param {string} symbol - the symbol
+     * @param {object} working - the working order: LIMIT or LIMIT_MAKER, with its side and quantity
+     * @param {object} pending - the side and quantity of the pending OCO and its above and (optional) below legs
+     * @param {object} params - additional list settings: listClientOrderId, newOrderRespType, selfTradePreventionMode
+     * @return {promise} - the OrderList
+     */
+    async otocoOrder(symbol: string, working: OrderListSideLeg, pending: OrderListPendingOco, params: Dict = {}): Promise<OrderList> {
+        const request = this.extend({ symbol }, await this.orderListLeg('working', symbol, working.side, working.quantity, working));
+        const legs = await this.orderListLeg('pendingAbove', symbol, pending.side, pending.quantity, pending.above);
+        if (pending.below) Object.assign(legs, await this.orderListLeg('pendingBelow', symbol, pending.side, pending.quantity, pending.below));
+        request.pendingSide = pending.side;
+        request.pendingQuantity = legs.pendingAboveQuantity;
+        for (const field of ['pendingAboveSide', 'pendingAboveQuantity', 'pendingBelowSide', 'pendingBelowQuantity']) delete legs[field];
+        return await this.placeOrderList('v3/orderList/otoco', this.extend(request, legs), params);
+    }
+
+    /**
+     * Places an OCO from the parameters of the retired OCO endpoint: a LIMIT_MAKER at price and a stop at stopPrice,
+     * STOP_LOSS_LIMIT at stopLimitPrice when one is given, STOP_LOSS otherwise
+     * @return {promise} - the OrderList
+     */
+    async legacyOcoOrder(side: OrderSide, symbol: string, quantity: number | string, price: number | string, params: Dict = {}): Promise<OrderList> {
+        // there is no test endpoint for order lists, sending it would place a real order
+        if (params.test) throw new Error('legacyOcoOrder: OCO orders cannot be tested, Binance has no order list test endpoint');
+        const { stopPrice, stopLimitPrice, stopLimitTimeInForce, limitClientOrderId, stopClientOrderId, limitIcebergQty, stopIcebergQty, ...rest } = params;
+        delete rest.type;
+        const limit: OrderListLeg = { type: 'LIMIT_MAKER', price, clientOrderId: limitClientOrderId, icebergQty: limitIcebergQty };
+        const stop: OrderListLeg = stopLimitPrice
+            ? { type: 'STOP_LOSS_LIMIT', price: stopLimitPrice, stopPrice, timeInForce: stopLimitTimeInForce, clientOrderId: stopClientOrderId, icebergQty: stopIcebergQty }
+            : { type: 'STOP_LOSS', stopPrice, clientOrderId: stopClientOrderId };
+        // a sell takes profit above the market and stops out below it, a buy the other way round
+        return side === 'SELL' ? await this.ocoOrder(side, symbol, quantity, limit, stop, rest) : await this.ocoOrder(side, symbol, quantity, stop, limit, rest);
+    }
+
+    /**
+     * Cancels an order list, all of its open orders
+     * @see https://developers.binance.com/docs/binance-spot-api-docs/rest-api/trading-endpoints#cancel-order-list-trade
+     * @param {string} symbol - the symbol
+     * @param {number} orderListId - the id of the list, or listClientOrderId in params
+     * @param {object} params - additional settings: listClientOrderId, newClientOrderId
+     * @return {promise} - the OrderList, with orderReports of the canceled orders
+     */
+    async cancelOrderList(symbol: string, orderListId?: number, params: Dict = {}): Promise<OrderList> {
+        const parameters = orderListId !== undefined ? { symbol, orderListId } : { symbol };
+        return await this.privateSpotRequest('v3/orderList', this.extend(parameters, params), 'DELETE');
+    }
+
+    /**
+     * Gets the status of an order list
+     * @see https://developers.binance.com/docs/binance-spot-api-docs/rest-api/account-endpoints#query-order-list-user_data
+     * @param {number} orderListId - the id of the list, or origClientOrderId (its listClientOrderId) in params
+     * @param {object} params - additional settings
+     * @return {promise} - the OrderList
+     */
+    async orderListStatus(orderListId?: number, params: Dict = {}): Promise<OrderList> {
+        const parameters = orderListId !== undefined ? { orderListId } : {};
+        return await this.privateSpotRequest('v3/orderList', this.extend(parameters, params));
+    }
+
+    /**
+     * Gets the order lists of the account, by time or from an order list id
+     * @see https://developers.binance.com/docs/binance-spot-api-docs/rest-api/account-endpoints#query-all-order-lists-user_data
+     * @param {object} params - fromId, startTime, endTime, limit
+     * @return {promise} - the OrderLists
+     */
+    async allOrderLists(params: Dict = {}): Promise<OrderList[]> {
+        return await this.privateSpotRequest('v3/allOrderList', params);
+    }
+
+    /**
+     * Gets the open order lists of the account
+     * @see https://developers.binance.com/docs/binance-spot-api-docs/rest-api/account-endpoints#query-open-order-lists-user_data
+     * @param {object} params - additional settings
+     * @return {promise} - the OrderLists
+     */
+    async openOrderLists(params: Dict = {}): Promise<OrderList[]> {
+        return await this.privateSpotRequest('v3/openOrderList', params);
+    }
+
+    /**
+     * Places a spot order through the smart order router, which can fill it on every symbol of the SOR configuration of its base asset
+     * @see https://developers.binance.com/docs/binance-spot-api-docs/rest-api/trading-endpoints#new-order-using-sor-trade
+     * @param {OrderType} type - LIMIT or MARKET
+     * @param {OrderSide} side - BUY or SELL
+     * @param {string} symbol - The symbol to buy or sell
+     * @param {number|string} quantity - The quantity to buy or sell
+     * @param {number|string} price - The price per unit, for LIMIT orders
+     * @param {object} params - additional order settings, test sends it to the test endpoint
+     * @return {promise} - the order, with the fills of every symbol it was routed to
+     */
+    async sorOrder(type: OrderType, side: OrderSide, symbol: string, quantity: number | string, price?: number | string, params: Dict = {}): Promise<SorOrder> {
+        if (type !== 'LIMIT' && type !== 'MARKET') throw new Error(`sorOrder: the smart order router only takes LIMIT and MARKET orders, not ${type}`);
+        let endpoint = 'v3/sor/order';
+        if (params.test) {
+            delete params.test;
+            endpoint += '/test';
+        }
+        if (this.orderValidationPolicy) [quantity, price] = await this.applyOrderValidation('spot', type, side, symbol, quantity, price, params);
+        const payload = this.spotOrderPayload(type, side, symbol, quantity, price, params);
+        // a routed order is queried like any other order
+        const recover = endpoint === 'v3/sor/order' ? () => this.findOrder(() => this.orderStatus(symbol, undefined, { origClientOrderId: payload.newClientOrderId, signal: params.signal })) : undefined;
+        return await this.retryRequest('POST', () => this.privateSpotRequest(endpoint, payload, 'POST'), recover, params.signal);
+    }
+
+    /**
+     * Tests a smart order routing order without sending it to the matching engine
+     * @see https://developers.binance.com/docs/binance-spot-api-docs/rest-api/trading-endpoints#test-new-order-using-sor-trade
+     * @param {OrderType} type - LIMIT or MARKET
+     * @param {OrderSide} side - BUY or SELL
+     * @param {string} symbol - The symbol to buy or sell
+     * @param {number|string} quantity - The quantity to buy or sell
+     * @param {number|string} price - The price per unit, for LIMIT orders
+     * @param {object} params - additional order settings, computeCommissionRates returns the commission of the order
+     * @return {promise} - empty, or the commission rates
+     */
+    async sorOrderTest(type: OrderType, side: OrderSide, symbol: string, quantity: number | string, price?: number | string, params: Dict = {}): Promise<Dict> {
+        return await this.sorOrder(type, side, symbol, quantity, price, this.extend(params, { test: true }));
+    }
+
+    /**
+     * Gets the allocations of the account: the fills of smart order routing orders on other symbols
+     * @see https://developers.binance.com/docs/binance-spot-api-docs/rest-api/account-endpoints#query-allocations-user_data
+     * @param {string} symbol - the symbol
+     * @param {object} params - startTime, endTime, fromAllocationId, limit, orderId
+     * @return {promise} - the Allocations
+     */
+    async myAllocations(symbol: string, params: Dict = {}): Promise<Allocation[]> {
+        return await this.privateSpotRequest('v3/myAllocations', this.extend({ symbol }, params));
+    }
+
     /**
      * Create a signed margin order
      * @see https://developers.binance.com/docs/margin_trading/trade/Margin-Account-New-Order
@@ -998,9 +1614,10 @@ export default class Binance {
      * @param {object} params - additional order settings
      * @return {undefined}
      */
-    async marginOrder(type: OrderType, side: string, symbol: string, quantity: number, price?: number, params: Dict = {}) {
+    async marginOrder(type: OrderType, side: string, symbol: string, quantity: number | string, price?: number | string, params: Dict = {}) {
         let endpoint = 'v1/margin/order';
         if (this.Options.test || params.test) endpoint += '/test';
+        if (this.orderValidationPolicy) [quantity, price] = await this.applyOrderValidation('margin', type, side, symbol, quantity, price, params);
         const request = {
             symbol: symbol,
             side: side,
@@ -1051,7 +1668,24 @@ export default class Binance {
      * @param params extra parameters to be sent in the request
      * @returns
      */
-    async futuresOrder(type: OrderType, side: string, symbol: string, quantity: number, price?: number, params: Dict = {}): Promise<FuturesOrder> {
+    async futuresOrder(type: OrderType, side: string, symbol: string, quantity: number | string, price?: number | string, params: Dict = {}): Promise<FuturesOrder> {
+        if (this.orderValidationPolicy) [quantity, price] = await this.applyOrderValidation('futures', type, side, symbol, quantity, price, params);
+        params = this.futuresOrderPayload(type, side, symbol, quantity, price, params);
+        const recover = () => this.findOrder(() => this.futuresOrderStatus(symbol, { origClientOrderId: params.newClientOrderId, signal: params.signal }));
+        return await this.retryRequest('POST', () => this.privateFuturesRequest('v1/order', params, 'POST'), recover, params.signal);
+    }
+
+    /**
+     * Builds the parameters of a USD-M futures order, shared by the REST and WebSocket API order methods
+     * @param type
+     * @param side
+     * @param symbol symbol if the market
+     * @param quantity
+     * @param price
+     * @param params extra parameters to be sent in the request
+     * @returns the order parameters, newClientOrderId included
+     */
+    futuresOrderPayload(type: OrderType, side: string, symbol: string, quantity: number | string, price?: number | string, params: Dict = {}): Dict {
         params.symbol = symbol;
         params.side = side;
         params.type = type;
@@ -1072,10 +1706,11 @@ export default class Binance {
         if (!params.newClientOrderId) {
             params.newClientOrderId = this.CONTRACT_PREFIX + this.uuid22();
         }
-        return await this.privateFuturesRequest('v1/order', params, 'POST');
+        return params;
     }
 
-    async deliveryOrder(type: OrderType, side: string, symbol: string, quantity: number, price?: number, params: Dict = {}): Promise<FuturesOrder> {
+    async deliveryOrder(type: OrderType, side: string, symbol: string, quantity: number | string, price?: number | string, params: Dict = {}): Promise<FuturesOrder> {
+        if (this.orderValidationPolicy) [quantity, price] = await this.applyOrderValidation('delivery', type, side, symbol, quantity, price, params);
         params.symbol = symbol;
         params.side = side;
         params.quantity = quantity;
@@ -1099,7 +1734,240 @@ export default class Binance {
         if (!params.newClientOrderId) {
             params.newClientOrderId = this.CONTRACT_PREFIX + this.uuid22();
         }
-        return await this.privateDeliveryRequest('v1/order', params, 'POST');
+        const recover = () => this.findOrder(() => this.deliveryOrderStatus(symbol, { origClientOrderId: params.newClientOrderId, signal: params.signal }));
+        return await this.retryRequest('POST', () => this.privateDeliveryRequest('v1/order', params, 'POST'), recover, params.signal);
+    }
+
+    /**
+     * Checks an order against the exchangeInfo filters of its symbol (PRICE_FILTER, LOT_SIZE, MARKET_LOT_SIZE, MIN_NOTIONAL, NOTIONAL,
+     * PERCENT_PRICE_BY_SIDE, PERCENT_PRICE, MAX_NUM_ORDERS) and rounds price and quantity to valid increments.
+     * The orderValidation option runs it before every order, it can be called on its own as well
+     * @param {OrderType} type - LIMIT, MARKET, ...
+     * @param {OrderSide} side - BUY or SELL
+     * @param {string} symbol - the symbol
+     * @param {number|string} quantity - the quantity
+     * @param {number|string} price - the price, for limit orders
+     * @param {object} params - stopPrice, quoteOrderQty and reduceOnly are checked too
+     * @param {string} market - optional, spot (default), margin, futures or delivery
+     * @param {object} options - optional, overrides fields of the orderValidation option (of the defaults when it is off)
+     * @param {boolean} replacesOrder - optional, the order modifies or replaces an open one, which skips MAX_NUM_ORDERS and the open orders request
+     * @return {promise} - quantity, price, stopPrice and quoteOrderQty as exact decimal strings, rejects with an OrderValidationError
+     */
+    async validateOrder(type: OrderType, side: string, symbol: string, quantity?: number | string, price?: number | string, params: Dict = {}, market: StreamMarket | 'margin' = 'spot', options: Partial<OrderValidationOptions> = {}, replacesOrder = false): Promise<ValidatedOrder> {
+        const policy: OrderValidationOptions = Object.assign({}, this.orderValidationPolicy || resolveOrderValidationOptions(true), options);
+        const metadata = await this.symbolInfo(symbol, market === 'margin' ? 'spot' : market);
+        if (!metadata) throw new OrderValidationError(`${symbol}: unknown ${market} symbol (STATUS)`, symbol, 'STATUS');
+        const reference = policy.marketChecks ? await this.orderReference(market, symbol, params, !replacesOrder) : {};
+        const order = { type, side, quantity, price, stopPrice: params.stopPrice, quoteOrderQty: params.quoteOrderQty, reduceOnly: [params.reduceOnly, params.closePosition].some(flag => flag === true || flag === 'true'), replacesOrder };
+        return validateOrder(metadata, order, policy, reference);
+    }
+
+    /**
+     * Validates an order with the orderValidation option, the validated stopPrice and quoteOrderQty replace the ones in params
+     * @return {promise} - the validated quantity and price
+     */
+    async applyOrderValidation(market: StreamMarket | 'margin', type: OrderType, side: string, symbol: string, quantity: number | string, price: number | string, params: Dict, replacesOrder = false): Promise<[number | string, number | string]> {
+        const validated = await this.validateOrder(type, side, symbol, quantity, price, params, market, {}, replacesOrder);
+        if (validated.stopPrice) params.stopPrice = validated.stopPrice;
+        if (validated.quoteOrderQty) params.quoteOrderQty = validated.quoteOrderQty;
+        return [validated.quantity !== undefined ? validated.quantity : quantity, validated.price !== undefined ? validated.price : price];
+    }
+
+    /**
+     * The reference price (average price for spot, mark price for futures and delivery) and open order count of a symbol
+     * @param {boolean} withOpenOrders - optional, false leaves out the open order count
+     * @return {promise} - the OrderReference
+     */
+    async orderReference(market: StreamMarket | 'margin', symbol: string, params: Dict = {}, withOpenOrders = true): Promise<OrderReference> {
+        let openOrders: Promise<any[]>;
+        if (!withOpenOrders) openOrders = Promise.resolve(undefined);
+        else if (market === 'futures') openOrders = this.futuresOpenOrders(symbol);
+        else if (market === 'delivery') openOrders = this.deliveryOpenOrders(symbol);
+        else if (market === 'margin') openOrders = this.mgOpenOrders(symbol, 'isIsolated' in params ? { isIsolated: params.isIsolated } : {});
+        else openOrders = this.openOrders(symbol);
+        const count = (open: any[]) => open ? open.length : undefined;
+        if (market === 'futures') {
+            const [premium, open] = await Promise.all([this.futuresMarkPrice(symbol), openOrders]);
+            return { price: (premium as PremiumIndex).markPrice, openOrders: count(open) };
+        }
+        if (market === 'delivery') {
+            const [premium, open] = await Promise.all([this.deliveryMarkPrice(symbol), openOrders]);
+            return { price: [].concat(premium)[0].markPrice, openOrders: count(open) };
+        }
+        const [average, open] = await Promise.all([this.avgPrice(symbol), openOrders]);
+        return { price: average.price, openOrders: count(open) };
+    }
+
+    // ------ WebSocket API ------ //
+
+    /**
+     * The WebSocket API connection of a market, created on first use
+     * @param {string} market - spot or futures
+     * @return {WsApiConnection} - the connection
+     */
+    wsApiConnection(market: WsApiMarket = 'spot'): WsApiConnection {
+        if (!this.wsApiConnections[market]) {
+            this.wsApiConnections[market] = new WsApiConnection(this.getWsApiUrl(market), socketUrl => this.createWebSocket(socketUrl));
+        }
+        return this.wsApiConnections[market];
+    }
+
+    /**
+     * Signs WebSocket API parameters: name=value pairs sorted by name, without url encoding
+     * @param {object} params - the request parameters
+     * @return {string} - the signature
+     */
+    wsApiSignature(params: Dict): string {
+        const query = Object.keys(params)
+            .filter(key => params[key] !== undefined)
+            .sort()
+            .map(key => `${key}=${params[key]}`)
+            .join('&');
+        return this.generateSignature(query, false);
+    }
+
+    /**
+     * Sends a request over the WebSocket API and resolves with its result, errors are thrown as BinanceError subclasses
+     * @see https://developers.binance.com/docs/binance-spot-api-docs/web-socket-api/general-api-information
+     * @param {string} method - ws-api method, e.g. order.place
+     * @param {object} params - request parameters, an AbortSignal can be passed as signal
+     * @param {string} market - spot or futures
+     * @param {boolean} signed - whether the request needs a timestamp and signature
+     * @return {promise} - the result of the response
+     */
+    async wsApiRequest(method: string, params: Dict = {}, market: WsApiMarket = 'spot', signed = false): Promise<any> {
+        let signal: AbortSignal;
+        [signal, params] = this.extractSignal(params);
+        params = this.preciseParams(params);
+        const connection = this.wsApiConnection(market);
+        const timeout = this.Options.timeout || this.Options.recvWindow;
+        const timeMarket: TimeMarket = market === 'futures' ? 'fapi' : 'spot';
+        const send = async () => {
+            if (!signed) return await connection.request(method, params, timeout, signal);
+            this.requireApiSecret(method);
+            await connection.open();
+            const payload = this.extend(params);
+            if (!payload.recvWindow) payload.recvWindow = this.Options.recvWindow;
+            payload.timestamp = this.getTimestamp(timeMarket);
+            // an authenticated session (session.logon) only needs the timestamp
+            if (!connection.authenticated) {
+                payload.apiKey = this.APIKEY;
+                payload.signature = this.wsApiSignature(payload);
+            }
+            return await connection.request(method, payload, timeout, signal);
+        };
+        return await this.withTimeResync(timeMarket, send);
+    }
+
+    /**
+     * Authenticates the WebSocket API connection, later requests on it are not signed individually. Requires an Ed25519 key
+     * @see https://developers.binance.com/docs/binance-spot-api-docs/web-socket-api/session-authentication
+     * @param {string} market - spot or futures
+     * @return {promise} - session status
+     */
+    async wsApiLogon(market: WsApiMarket = 'spot') {
+        const connection = this.wsApiConnection(market);
+        await connection.open();
+        connection.authenticated = false;
+        const res = await this.wsApiRequest('session.logon', {}, market, true);
+        connection.authenticated = true;
+        return res;
+    }
+
+    /**
+     * Creates a spot order over the WebSocket API, takes the same arguments as order()
+     * @see https://developers.binance.com/docs/binance-spot-api-docs/web-socket-api/trading-requests#place-new-order-trade
+     * @param {OrderType} type - LIMIT, MARKET, STOP_LOSS, STOP_LOSS_LIMIT, TAKE_PROFIT, TAKE_PROFIT_LIMIT, LIMIT_MAKER
+     * @param {OrderSide} side - BUY or SELL
+     * @param {string} symbol - The symbol to buy or sell
+     * @param {string} quantity - The quantity to buy or sell
+     * @param {string} price - The price per unit to transact each unit at
+     * @param {object} params - additional order settings, test: true sends order.test
+     * @return {promise} - the order
+     */
+    async wsApiOrder(type: OrderType, side: OrderSide, symbol: string, quantity: number | string, price?: number | string, params: Dict = {}): Promise<Order> {
+        let method = 'order.place';
+        if (params.test) {
+            delete params.test;
+            method = 'order.test';
+        }
+        return await this.wsApiRequest(method, this.spotOrderPayload(type, side, symbol, quantity, price, params), 'spot', true);
+    }
+
+    /**
+     * Cancels a spot order over the WebSocket API
+     * @see https://developers.binance.com/docs/binance-spot-api-docs/web-socket-api/trading-requests#cancel-order-trade
+     * @param {string} symbol - the symbol to cancel
+     * @param {string} orderid - the orderid to cancel
+     * @param {object} params - additional params, e.g. origClientOrderId
+     * @return {promise} - the cancelled order
+     */
+    async wsApiCancel(symbol: string, orderid?: number | string, params: Dict = {}): Promise<CancelOrder> {
+        const parameters = this.extend({ symbol: symbol }, orderid ? { orderId: orderid } : {}, params);
+        return await this.wsApiRequest('order.cancel', parameters, 'spot', true);
+    }
+
+    /**
+     * Queries a spot order over the WebSocket API
+     * @see https://developers.binance.com/docs/binance-spot-api-docs/web-socket-api/account-requests#query-order-user_data
+     * @param {string} symbol - the symbol of the order
+     * @param {string} orderid - the orderid, or pass origClientOrderId in params
+     * @param {object} params - additional params
+     * @return {promise} - the order
+     */
+    async wsApiOrderStatus(symbol: string, orderid?: number | string, params: Dict = {}): Promise<QueryOrder> {
+        const parameters = this.extend({ symbol: symbol }, orderid ? { orderId: orderid } : {}, params);
+        return await this.wsApiRequest('order.status', parameters, 'spot', true);
+    }
+
+    /**
+     * Gets the open spot orders over the WebSocket API
+     * @see https://developers.binance.com/docs/binance-spot-api-docs/web-socket-api/account-requests#current-open-orders-user_data
+     * @param {string} symbol - optional, all symbols when omitted
+     * @param {object} params - additional params
+     * @return {promise} - the open orders
+     */
+    async wsApiOpenOrders(symbol?: string, params: Dict = {}): Promise<QueryOrder[]> {
+        const parameters = this.extend(symbol ? { symbol: symbol } : {}, params);
+        return await this.wsApiRequest('openOrders.status', parameters, 'spot', true);
+    }
+
+    /**
+     * Gets the spot account information over the WebSocket API
+     * @see https://developers.binance.com/docs/binance-spot-api-docs/web-socket-api/account-requests#account-information-user_data
+     * @param {object} params - additional params
+     * @return {promise} - the account
+     */
+    async wsApiAccount(params: Dict = {}): Promise<Account> {
+        return await this.wsApiRequest('account.status', params, 'spot', true);
+    }
+
+    /**
+     * Creates a USD-M futures order over the WebSocket API, takes the same arguments as futuresOrder()
+     * @see https://developers.binance.com/docs/derivatives/usds-margined-futures/trade/websocket-api
+     * @param type
+     * @param side
+     * @param symbol symbol if the market
+     * @param quantity
+     * @param price
+     * @param params extra parameters to be sent in the request
+     * @returns the order
+     */
+    async wsApiFuturesOrder(type: OrderType, side: string, symbol: string, quantity: number | string, price?: number | string, params: Dict = {}): Promise<FuturesOrder> {
+        return await this.wsApiRequest('order.place', this.futuresOrderPayload(type, side, symbol, quantity, price, params), 'futures', true);
+    }
+
+    /**
+     * Closes the WebSocket API connections, pending requests are rejected
+     * @param {string} market - optional, spot or futures, both when omitted
+     * @return {undefined}
+     */
+    wsApiClose(market?: WsApiMarket) {
+        for (const key of Object.keys(this.wsApiConnections)) {
+            if (market && key !== market) continue;
+            this.wsApiConnections[key].close();
+            delete this.wsApiConnections[key];
+        }
     }
 
     // ------ WS RELATED FUNCTIONS ------ //
@@ -1121,6 +1989,7 @@ export default class Binance {
                 ws.isAlive = false;
                 if (ws.readyState === WebSocket.OPEN) ws.ping(this.noop);
             } else {
+                this.emitStreamEvent('stale', ws);
                 if (this.Options.verbose) this.Options.log('Terminating inactive/broken WebSocket: ' + ws.endpoint);
                 if (ws.readyState === WebSocket.OPEN) ws.terminate();
             }
@@ -1135,9 +2004,12 @@ export default class Binance {
     handleSocketOpen(wsBind, opened_callback: Callback) {
         wsBind.isAlive = true;
         if (Object.keys(this.subscriptions).length === 0) {
-            this.socketHeartbeatInterval = setInterval(this.socketHeartbeat, this.heartBeatInterval);
+            this.socketHeartbeatInterval = setInterval(() => this.socketHeartbeat(), this.heartBeatInterval);
         }
         this.subscriptions[wsBind.url] = wsBind;
+        this.handleReconnected(wsBind);
+        this.scheduleRotation(wsBind);
+        this.emitStreamEvent('open', wsBind);
         if (typeof opened_callback === 'function') opened_callback(wsBind.url);
     }
 
@@ -1149,21 +2021,22 @@ export default class Binance {
      * @return {undefined}
      */
     handleSocketClose(wsBind, reconnect: Function, code, reason: string) {
-        delete this.subscriptions[wsBind.url];
+        // a rotated socket shares its url with the replacement
+        if (this.subscriptions[wsBind.url] === wsBind) delete this.subscriptions[wsBind.url];
         if (this.subscriptions && Object.keys(this.subscriptions).length === 0) {
             clearInterval(this.socketHeartbeatInterval);
         }
-        this.Options.log('WebSocket closed: ' + wsBind.url +
-            (code ? ' (' + code + ')' : '') +
-            (reason ? ' ' + reason : ''));
+        // the old socket of a planned rotation is no outage, only a verbose log tells about it
+        const retired = wsBind.retired;
+        if (!retired) {
+            this.Options.log('WebSocket closed: ' + wsBind.url +
+                (code ? ' (' + code + ')' : '') +
+                (reason ? ' ' + reason : ''));
+        } else if (this.Options.verbose) this.Options.log('WebSocket retired socket closed: ' + wsBind.url);
+        this.handleRotationClose(wsBind, this.subscriptions);
+        if (!retired) this.emitStreamEvent('close', wsBind, { code, reason: reason ? reason.toString() : '' });
         if (this.Options.reconnect && wsBind.reconnect && reconnect) {
-            if (wsBind.url && wsBind.url.length === 60) this.Options.log('Account data WebSocket reconnecting...');
-            else this.Options.log('WebSocket reconnecting: ' + wsBind.url + '...');
-            try {
-                reconnect();
-            } catch (error) {
-                this.Options.log('WebSocket reconnect error: ' + error.message);
-            }
+            this.scheduleReconnect(wsBind, reconnect, wsBind.url && wsBind.url.length === 60 ? 'Account data WebSocket' : 'WebSocket');
         }
     }
 
@@ -1178,6 +2051,7 @@ export default class Binance {
         this.Options.log('WebSocket error: ' + wsBind.url +
             (error.code ? ' (' + error.code + ')' : '') +
             (error.message ? ' ' + error.message : ''));
+        this.emitStreamEvent('error', wsBind, { error });
     }
 
     /**
@@ -1188,30 +2062,205 @@ export default class Binance {
         wsBind.isAlive = true;
     }
 
-    // ----- WS ENDPOINTS ----- //
+    /**
+     * Emits a stream lifecycle event (open, close, error, reconnect, stale or message) for monitoring.
+     * Nothing is emitted without listeners, so an unhandled 'error' event never throws.
+     * A throwing listener is logged and does not stop the stream callback
+     * @param {string} type - the event name
+     * @param {WebSocket} wsBind - the socket, undefined when details already describe it
+     * @param {object} details - event specific fields, e.g. code and reason of a close
+     * @return {undefined}
+     */
+    emitStreamEvent(type: string, wsBind, details: Partial<StreamEvent> = {}) {
+        if (!this.listenerCount(type)) return;
+        const event: StreamEvent = wsBind ? { market: wsBind.market, endpoint: wsBind.endpoint, url: wsBind.url, streams: wsBind.streams } : {} as StreamEvent;
+        try {
+            this.emit(type, Object.assign(event, details));
+        } catch (error) {
+            this.Options.log(`Stream ${type} listener error: ${error.message}`);
+        }
+    }
 
     /**
-    * Get Binance server time
-    * @return {promise or undefined} - omitting the callback returns a promise
-    */
-    async time() {
-        const res = await this.publicSpotRequest('v3/time', {});
-        return res;
+     * Reconnects a closed socket after an exponential backoff delay, shared by the spot, futures and delivery sockets.
+     * Attempts are counted per socket url until it opens again, after maxAttempts the socket stays closed
+     * @param {WebSocket} wsBind - the closed socket
+     * @param {function} reconnect - opens the subscription again
+     * @param {string} label - socket family for the log
+     * @return {undefined}
+     */
+    scheduleReconnect(wsBind, reconnect: Function, label = 'WebSocket') {
+        let state = this.reconnectStates[wsBind.url];
+        if (!state) state = this.reconnectStates[wsBind.url] = { attempts: 0 };
+        if (wsBind.reconnectPolicy) state.policy = Object.assign({}, this.reconnectPolicy, wsBind.reconnectPolicy);
+        const policy: ReconnectOptions = state.policy || this.reconnectPolicy;
+        if (policy.maxAttempts && state.attempts >= policy.maxAttempts) {
+            delete this.reconnectStates[wsBind.url];
+            this.Options.log(`${label} reconnect gave up after ${state.attempts} attempts: ${wsBind.url}`);
+            if (policy.onGiveUp) policy.onGiveUp({ url: wsBind.url, attempt: state.attempts });
+            return;
+        }
+        state.attempts++;
+        const delay = Math.round(retryDelay(policy, state.attempts));
+        this.Options.log(`${label} reconnecting in ${delay}ms (attempt ${state.attempts}): ${wsBind.url}`);
+        if (policy.onReconnecting) policy.onReconnecting({ url: wsBind.url, attempt: state.attempts, delay });
+        this.emitStreamEvent('reconnect', wsBind, { attempt: state.attempts, delay });
+        state.timer = setTimeout(() => {
+            state.timer = undefined;
+            try {
+                reconnect();
+            } catch (error) {
+                this.Options.log(`${label} reconnect error: ${error.message}`);
+            }
+        }, delay);
     }
 
     /**
-     * Used to subscribe to a single websocket endpoint
-     * @param {string} endpoint - endpoint to connect to
-     * @param {function} callback - the function to call when information is received
-     * @param {boolean} reconnect - whether to reconnect on disconnect
-     * @param {object} opened_callback - the function to call when opened
+     * Called when a socket opens, ends the reconnect attempts of its url. A per subscription policy is kept
+     * by url because the stream methods reconnect without it
+     * @param {WebSocket} wsBind - the opened socket
+     * @return {undefined}
+     */
+    handleReconnected(wsBind) {
+        let state = this.reconnectStates[wsBind.url];
+        if (!state) {
+            if (!wsBind.reconnectPolicy) return;
+            state = this.reconnectStates[wsBind.url] = { attempts: 0 };
+        }
+        if (wsBind.reconnectPolicy) state.policy = Object.assign({}, this.reconnectPolicy, wsBind.reconnectPolicy);
+        if (!state.attempts) return;
+        const policy: ReconnectOptions = state.policy || this.reconnectPolicy;
+        if (policy.onReconnected) policy.onReconnected({ url: wsBind.url, attempt: state.attempts });
+        state.attempts = 0;
+        if (!state.policy) delete this.reconnectStates[wsBind.url];
+    }
+
+    /**
+     * Stops a pending reconnect of a socket, used by the terminate methods
+     * @param {string} endpoint - the socket url
+     * @return {undefined}
+     */
+    cancelReconnect(endpoint: string) {
+        const state = this.reconnectStates[endpoint];
+        if (!state) return;
+        clearTimeout(state.timer);
+        delete this.reconnectStates[endpoint];
+    }
+
+    /**
+     * Starts the timer that replaces an open socket before Binance drops it after 24 hours
+     * @param {WebSocket} wsBind - the opened socket
+     * @return {undefined}
+     */
+    scheduleRotation(wsBind) {
+        clearTimeout(wsBind.rotationTimer);
+        if (!this.Options.socketRotation || !wsBind.resubscribe) return;
+        wsBind.rotationTimer = setTimeout(() => this.rotateSocket(wsBind), this.Options.socketRotation);
+    }
+
+    /**
+     * Opens a replacement for a socket with the same streams and callback. The old socket keeps delivering
+     * until the replacement delivers a message the old one has not, then the old socket is closed.
+     * No reconnect callback runs, so caches like depthCache and ohlc are kept
+     * @param {WebSocket} wsBind - the socket to replace
+     * @return {WebSocket} - the replacement, undefined when the socket is not open or already rotating
+     */
+    rotateSocket(wsBind) {
+        clearTimeout(wsBind.rotationTimer);
+        if (wsBind.rotation || wsBind.readyState !== WebSocket.OPEN || !wsBind.resubscribe) return undefined;
+        if (this.Options.verbose) this.Options.log('WebSocket rotating: ' + wsBind.url);
+        wsBind.rotation = { seen: new Set<string>() };
+        const replacement = wsBind.resubscribe();
+        // the old socket is the fallback until the switch, the replacement must not reconnect on its own
+        replacement.reconnect = false;
+        replacement.replaces = wsBind;
+        wsBind.rotation.replacement = replacement;
+        return replacement;
+    }
+
+    /**
+     * Decides whether a socket message is delivered, switching rotated sockets over without gaps or duplicates
+     * @param {WebSocket} wsBind - the socket that received the message
+     * @param {object} data - the raw message
+     * @return {boolean} - false to drop the message
+     */
+    acceptSocketMessage(wsBind, data): boolean {
+        if (wsBind.retired) return false;
+        if (wsBind.rotation) {
+            const seen: Set<string> = wsBind.rotation.seen;
+            seen.add(data.toString());
+            if (seen.size > 10000) seen.delete(seen.values().next().value);
+            return true;
+        }
+        const old = wsBind.replaces;
+        if (!old) return true;
+        // both sockets send the same events in the same order, skip those the old socket delivered already
+        if (old.rotation && old.rotation.seen.has(data.toString())) return false;
+        delete wsBind.replaces;
+        if (!old.retired) this.retireSocket(old);
+        return true;
+    }
+
+    /**
+     * Closes the old socket of a rotation, the replacement takes over including the reconnects
+     * @param {WebSocket} old - the rotated socket
+     * @return {undefined}
+     */
+    retireSocket(old) {
+        old.retired = true;
+        old.reconnect = false;
+        old.removeAllListeners('message');
+        const replacement = old.rotation && old.rotation.replacement;
+        if (replacement) replacement.reconnect = this.Options.reconnect;
+        if (old.readyState === WebSocket.OPEN || old.readyState === WebSocket.CONNECTING) old.terminate();
+        if (this.Options.verbose) this.Options.log('WebSocket rotated: ' + old.url);
+    }
+
+    /**
+     * Called by the close handlers: a rotated socket closing early hands over to its replacement,
+     * a replacement failing before the switch leaves the old socket in charge until it is dropped
+     * @param {WebSocket} wsBind - the closed socket
+     * @param {object} subscriptions - the subscriptions of the socket family
+     * @return {undefined}
+     */
+    handleRotationClose(wsBind, subscriptions: Dict) {
+        clearTimeout(wsBind.rotationTimer);
+        if (wsBind.rotation && !wsBind.retired) this.retireSocket(wsBind);
+        const old = wsBind.replaces;
+        if (old && !old.retired) {
+            delete wsBind.replaces;
+            delete old.rotation;
+            subscriptions[old.url] = old;
+        }
+    }
+
+    /**
+     * Used by the terminate methods, closes the other socket of a rotation in progress
+     * @param {WebSocket} wsBind - the socket being terminated
+     * @return {undefined}
+     */
+    stopRotation(wsBind) {
+        const other = wsBind.rotation ? wsBind.rotation.replacement : wsBind.replaces;
+        delete wsBind.replaces;
+        delete wsBind.rotation;
+        clearTimeout(wsBind.rotationTimer);
+        if (!other || other.retired) return;
+        other.retired = true;
+        other.reconnect = false;
+        other.removeAllListeners('message');
+        delete other.rotation;
+        delete other.replaces;
+        other.terminate();
+    }
+
+    /**
+     * Opens a websocket, through the socks or https proxy when one is configured
+     * @param {string} socketUrl - the websocket url
      * @return {WebSocket} - websocket reference
      */
-    subscribe(endpoint: string, callback: Callback, reconnect?: Callback, opened_callback?: Callback) {
+    createWebSocket(socketUrl: string): WebSocket {
         const httpsproxy = this.getHttpsProxy();
         let socksproxy = this.getSocksProxy();
-        let ws: WebSocket = undefined;
-
         if (socksproxy) {
             socksproxy = this.proxyReplacewithIp(socksproxy);
             if (this.Options.verbose) this.Options.log('using socks proxy server ' + socksproxy);
@@ -1220,30 +2269,254 @@ export default class Binance {
                 host: this.parseProxy(socksproxy)[1],
                 port: this.parseProxy(socksproxy)[2]
             });
-            ws = new WebSocket(this.getStreamUrl() + endpoint, { agent: agent });
-        } else if (httpsproxy) {
+            return new WebSocket(socketUrl, { agent: agent });
+        }
+        if (httpsproxy) {
+            if (this.Options.verbose) this.Options.log('using proxy server ' + httpsproxy);
             const config = url.parse(httpsproxy);
             const agent = new HttpsProxyAgent(config);
-            if (this.Options.verbose) this.Options.log('using proxy server ' + agent);
-            ws = new WebSocket(this.getStreamUrl() + endpoint, { agent: agent });
-        } else {
-            ws = new WebSocket(this.getStreamUrl() + endpoint);
+            return new WebSocket(socketUrl, { agent: agent });
+        }
+        return new WebSocket(socketUrl);
+    }
+
+    // ----- Live subscriptions ----- //
+
+    /**
+     * The multiplexed stream connections of a market, created on first use
+     * @param {string} market - spot, futures or delivery
+     * @return {StreamManager} - the stream manager
+     */
+    streamManager(market: StreamMarket = 'spot'): StreamManager {
+        if (!this.streamManagers[market]) {
+            let combined = this.getCombineStreamUrl();
+            if (market === 'futures') combined = this.Options.test ? this.fstreamTest : this.fstream;
+            if (market === 'delivery') combined = this.Options.test ? this.dstreamTest : this.dstream;
+            this.streamManagers[market] = new StreamManager(combined.replace(/\?streams=$/, ''), streamLimits[market], {
+                createSocket: socketUrl => this.createWebSocket(socketUrl),
+                log: (...args) => this.Options.log(...args),
+                reconnect: this.Options.reconnect,
+                reconnectPolicy: this.reconnectPolicy,
+                market,
+                emit: (type, event) => this.emitStreamEvent(type, undefined, event),
+                listening: type => this.listenerCount(type) > 0,
+            });
+        }
+        return this.streamManagers[market];
+    }
+
+    /**
+     * Subscribes to spot streams on shared connections with live SUBSCRIBE messages, no new socket per call
+     * @see https://developers.binance.com/docs/binance-spot-api-docs/web-socket-streams#live-subscribingunsubscribing-to-streams
+     * @param {array|string} streams - stream names, e.g. btcusdt@trade
+     * @param {function} callback - called with the data and the stream name of every message
+     * @return {array} - the stream names
+     */
+    liveSubscribe(streams: string | string[], callback: StreamCallback) {
+        if (!Array.isArray(streams)) streams = [streams];
+        this.streamManager('spot').subscribe(streams, callback);
+        return streams;
+    }
+
+    /**
+     * Removes a callback from spot streams, streams without callbacks are unsubscribed
+     * @param {array|string} streams - stream names
+     * @param {function} callback - optional, every callback of the streams when omitted
+     * @return {undefined}
+     */
+    liveUnsubscribe(streams: string | string[], callback?: StreamCallback) {
+        if (!Array.isArray(streams)) streams = [streams];
+        if (this.streamManagers.spot) this.streamManagers.spot.unsubscribe(streams, callback);
+    }
+
+    /**
+     * Lists the live spot subscriptions as reported by the server (LIST_SUBSCRIPTIONS)
+     * @return {promise} - stream names
+     */
+    async liveSubscriptions(): Promise<string[]> {
+        return this.streamManagers.spot ? await this.streamManagers.spot.listSubscriptions() : [];
+    }
+
+    /**
+     * Subscribes to USD-M futures streams on shared connections with live SUBSCRIBE messages
+     * @see https://developers.binance.com/docs/derivatives/usds-margined-futures/websocket-market-streams/Live-Subscribing-Unsubscribing-to-streams
+     * @param {array|string} streams - stream names, e.g. btcusdt@aggTrade
+     * @param {function} callback - called with the data and the stream name of every message
+     * @return {array} - the stream names
+     */
+    futuresLiveSubscribe(streams: string | string[], callback: StreamCallback) {
+        if (!Array.isArray(streams)) streams = [streams];
+        this.streamManager('futures').subscribe(streams, callback);
+        return streams;
+    }
+
+    /**
+     * Removes a callback from USD-M futures streams, streams without callbacks are unsubscribed
+     * @param {array|string} streams - stream names
+     * @param {function} callback - optional, every callback of the streams when omitted
+     * @return {undefined}
+     */
+    futuresLiveUnsubscribe(streams: string | string[], callback?: StreamCallback) {
+        if (!Array.isArray(streams)) streams = [streams];
+        if (this.streamManagers.futures) this.streamManagers.futures.unsubscribe(streams, callback);
+    }
+
+    /**
+     * Lists the live USD-M futures subscriptions as reported by the server (LIST_SUBSCRIPTIONS)
+     * @return {promise} - stream names
+     */
+    async futuresLiveSubscriptions(): Promise<string[]> {
+        return this.streamManagers.futures ? await this.streamManagers.futures.listSubscriptions() : [];
+    }
+
+    /**
+     * Subscribes to COIN-M delivery streams on shared connections with live SUBSCRIBE messages
+     * @see https://developers.binance.com/docs/derivatives/coin-margined-futures/websocket-market-streams/Live-Subscribing-Unsubscribing-to-streams
+     * @param {array|string} streams - stream names, e.g. btcusd_perp@aggTrade
+     * @param {function} callback - called with the data and the stream name of every message
+     * @return {array} - the stream names
+     */
+    deliveryLiveSubscribe(streams: string | string[], callback: StreamCallback) {
+        if (!Array.isArray(streams)) streams = [streams];
+        this.streamManager('delivery').subscribe(streams, callback);
+        return streams;
+    }
+
+    /**
+     * Removes a callback from COIN-M delivery streams, streams without callbacks are unsubscribed
+     * @param {array|string} streams - stream names
+     * @param {function} callback - optional, every callback of the streams when omitted
+     * @return {undefined}
+     */
+    deliveryLiveUnsubscribe(streams: string | string[], callback?: StreamCallback) {
+        if (!Array.isArray(streams)) streams = [streams];
+        if (this.streamManagers.delivery) this.streamManagers.delivery.unsubscribe(streams, callback);
+    }
+
+    /**
+     * Lists the live COIN-M delivery subscriptions as reported by the server (LIST_SUBSCRIPTIONS)
+     * @return {promise} - stream names
+     */
+    async deliveryLiveSubscriptions(): Promise<string[]> {
+        return this.streamManagers.delivery ? await this.streamManagers.delivery.listSubscriptions() : [];
+    }
+
+    /**
+     * Closes the live subscription connections
+     * @param {string} market - optional, spot, futures or delivery, all markets when omitted
+     * @return {undefined}
+     */
+    liveClose(market?: StreamMarket) {
+        for (const key of Object.keys(this.streamManagers)) {
+            if (market && key !== market) continue;
+            this.streamManagers[key].close();
+            delete this.streamManagers[key];
+        }
+    }
+
+    // ----- Stream iterators ----- //
+
+    /**
+     * Consumes any stream method with `for await`, the method gets `push` as its callback. The stream methods have no
+     * iterator form of their own, this adapter is how they are iterated.
+     * Callbacks with several arguments (chart, depthCache, ...) yield them as an array.
+     * Leaving the loop terminates the socket returned by the method, or reported through `subscribed` for the user data streams
+     * @example for await (const trade of binance.iterate(push => binance.tradesStream('BTCUSDT', push))) {}
+     * @param {function} subscribe - called with push and subscribed, starts the stream and returns its endpoint
+     * @param {object} options - optional bufferSize {number} (default 1000) and overflow {string} (dropOldest (default), dropNewest or error)
+     * @return {StreamIterator} - async iterable of the stream messages
+     */
+    // eslint-disable-next-line no-unused-vars
+    iterate<T = any>(subscribe: (push: Callback, subscribed: (endpoint: string) => void) => any, options: Partial<StreamIteratorOptions> = {}): StreamIterator<T> {
+        let endpoint: string = undefined;
+        const iterator = new StreamIterator<T>(Object.assign({}, defaultStreamIteratorOptions, options), () => {
+            if (endpoint) this.terminateStream(endpoint);
+        });
+        const push = (...values) => {
+            // a socket that was still connecting when the iteration ended
+            if (iterator.done) return endpoint && this.terminateStream(endpoint);
+            iterator.push(values.length > 1 ? values : values[0]);
+        };
+        const result = subscribe(push, subscribed => {
+            endpoint = subscribed;
+            if (iterator.done) this.terminateStream(endpoint);
+        });
+        if (typeof result === 'string') endpoint = result;
+        return iterator;
+    }
+
+    /**
+     * Terminates a spot, futures or delivery socket by its url or endpoint, without reconnecting
+     * @param {string} endpoint - socket url as returned by the stream methods, or the endpoint (e.g. a listen key)
+     * @return {boolean} - false when no open socket matched
+     */
+    terminateStream(endpoint: string): boolean {
+        const families: [Dict, Function][] = [
+            [this.subscriptions, this.terminate],
+            [this.futuresSubscriptions, this.futuresTerminate],
+            [this.deliverySubscriptions, this.deliveryTerminate],
+        ];
+        for (const [subscriptions, terminate] of families) {
+            const key = subscriptions[endpoint] ? endpoint : Object.keys(subscriptions).find(url => subscriptions[url].endpoint === endpoint);
+            if (!key) continue;
+            terminate.call(this, key);
+            return true;
         }
+        // not open, e.g. waiting for a reconnect
+        this.cancelReconnect(endpoint);
+        return false;
+    }
+
+    // ----- WS ENDPOINTS ----- //
+
+    /**
+    * Get Binance server time
+    * @return {promise or undefined} - omitting the callback returns a promise
+    */
+    async time() {
+        const res = await this.publicSpotRequest('v3/time', {});
+        return res;
+    }
+
+    /**
+     * Used to subscribe to a single websocket endpoint
+     * @param {string} endpoint - endpoint to connect to
+     * @param {function} callback - the function to call when information is received
+     * @param {boolean} reconnect - whether to reconnect on disconnect
+     * @param {object} opened_callback - the function to call when opened
+     * @param {object} reconnectPolicy - optional, overrides the reconnectPolicy option for this socket
+     * @return {WebSocket} - websocket reference
+     */
+    subscribe(endpoint: string, callback: Callback, reconnect?: Callback, opened_callback?: Callback, reconnectPolicy?: Partial<ReconnectOptions>) {
+        const ws: WebSocket = this.createWebSocket(this.getStreamUrl() + endpoint);
+        (ws as any).reconnectPolicy = reconnectPolicy;
+        (ws as any).resubscribe = () => this.subscribe(endpoint, callback, reconnect, undefined, reconnectPolicy);
 
         if (this.Options.verbose) this.Options.log('Subscribed to ' + endpoint);
         (ws as any).reconnect = this.Options.reconnect;
         (ws as any).endpoint = endpoint;
+        (ws as any).market = 'spot';
+        (ws as any).streams = [endpoint];
         (ws as any).isAlive = false;
         ws.on('open', this.handleSocketOpen.bind(this, ws, opened_callback));
         ws.on('pong', this.handleSocketHeartbeat.bind(this, ws));
         ws.on('error', this.handleSocketError.bind(this, ws));
         ws.on('close', this.handleSocketClose.bind(this, ws, reconnect));
         ws.on('message', data => {
+            if (!this.acceptSocketMessage(ws, data)) return;
+            if (this.Options.verbose) this.Options.log('WebSocket data:', data);
+            let message;
             try {
-                if (this.Options.verbose) this.Options.log('WebSocket data:', data);
-                callback(JSONbig.parse(data as any));
+                message = JSONbig.parse(data as any);
             } catch (error) {
                 this.Options.log('Parse error: ' + error.message);
+                return;
+            }
+            this.emitStreamEvent('message', ws, { stream: (ws as any).endpoint, data: message });
+            try {
+                callback(message);
+            } catch (error) {
+                this.Options.log('Callback error: ' + error.message);
             }
         });
         return ws;
@@ -1255,33 +2528,20 @@ export default class Binance {
      * @param {function} callback - the function to call when information is received
      * @param {boolean} reconnect - whether to reconnect on disconnect
      * @param {object} opened_callback - the function to call when opened
+     * @param {object} reconnectPolicy - optional, overrides the reconnectPolicy option for this socket
+     * @param {boolean} withStreamName - optional, passes the stream name to the callback after the data
      * @return {WebSocket} - websocket reference
      */
-    subscribeCombined(streams: any, callback: Callback, reconnect?: Callback, opened_callback?: Callback) {
-        const httpsproxy = this.getHttpsProxy();
-        let socksproxy = this.getSocksProxy();
+    subscribeCombined(streams: any, callback: Callback, reconnect?: Callback, opened_callback?: Callback, reconnectPolicy?: Partial<ReconnectOptions>, withStreamName = false) {
         const queryParams = streams.join('/');
-        let ws: any = undefined;
-        if (socksproxy) {
-            socksproxy = this.proxyReplacewithIp(socksproxy);
-            if (this.Options.verbose) this.Options.log('using socks proxy server ' + socksproxy);
-            const agent = new SocksProxyAgent({
-                protocol: this.parseProxy(socksproxy)[0],
-                host: this.parseProxy(socksproxy)[1],
-                port: this.parseProxy(socksproxy)[2]
-            });
-            ws = new WebSocket(this.getCombineStreamUrl() + queryParams, { agent: agent });
-        } else if (httpsproxy) {
-            if (this.Options.verbose) this.Options.log('using proxy server ' + httpsproxy);
-            const config = url.parse(httpsproxy);
-            const agent = new HttpsProxyAgent(config);
-            ws = new WebSocket(this.getCombineStreamUrl() + queryParams, { agent: agent });
-        } else {
-            ws = new WebSocket(this.getCombineStreamUrl() + queryParams);
-        }
+        const ws: any = this.createWebSocket(this.getCombineStreamUrl() + queryParams);
+        ws.reconnectPolicy = reconnectPolicy;
+        ws.resubscribe = () => this.subscribeCombined(streams, callback, reconnect, undefined, reconnectPolicy, withStreamName);
 
         ws.reconnect = this.Options.reconnect;
         ws.endpoint = stringHash(queryParams);
+        ws.market = 'spot';
+        ws.streams = streams;
         ws.isAlive = false;
         if (this.Options.verbose) {
             this.Options.log('CombinedStream: Subscribed to [' + ws.endpoint + '] ' + queryParams);
@@ -1291,12 +2551,21 @@ export default class Binance {
         ws.on('error', this.handleSocketError.bind(this, ws));
         ws.on('close', this.handleSocketClose.bind(this, ws, reconnect));
         ws.on('message', data => {
+            if (!this.acceptSocketMessage(ws, data)) return;
+            if (this.Options.verbose) this.Options.log('CombinedStream: WebSocket data:', data);
+            let message;
             try {
-                if (this.Options.verbose) this.Options.log('CombinedStream: WebSocket data:', data
-                );
-                callback(JSONbig.parse(data).data);
+                message = JSONbig.parse(data);
             } catch (error) {
                 this.Options.log('CombinedStream: Parse error: ' + error.message);
+                return;
+            }
+            this.emitStreamEvent('message', ws, { stream: message.stream, data: message.data });
+            try {
+                if (withStreamName) callback(message.data, message.stream);
+                else callback(message.data);
+            } catch (error) {
+                this.Options.log('CombinedStream: Callback error: ' + error.message);
             }
         });
         return ws;
@@ -1310,8 +2579,10 @@ export default class Binance {
      */
     terminate(endpoint: string, reconnect = false) {
         if (this.Options.verbose) this.Options.log('WebSocket terminating:', endpoint);
+        this.cancelReconnect(endpoint);
         const ws = this.subscriptions[endpoint];
         if (!ws) return;
+        this.stopRotation(ws);
         ws.removeAllListeners('message');
         ws.reconnect = reconnect;
         ws.terminate();
@@ -1330,6 +2601,7 @@ export default class Binance {
                 ws.isAlive = false;
                 if (ws.readyState === WebSocket.OPEN) ws.ping(this.noop);
             } else {
+                this.emitStreamEvent('stale', ws);
                 if (this.Options.verbose) this.Options.log(`Terminating zombie futures WebSocket: ${ws.endpoint}`);
                 if (ws.readyState === WebSocket.OPEN) ws.terminate();
             }
@@ -1344,9 +2616,12 @@ export default class Binance {
     handleFuturesSocketOpen(wsBind: any, openCallback: Callback) {
         wsBind.isAlive = true;
         if (Object.keys(this.futuresSubscriptions).length === 0) {
-            this.socketHeartbeatInterval = setInterval(this.futuresSocketHeartbeat, this.heartBeatInterval);
+            this.futuresSocketHeartbeatInterval = setInterval(() => this.futuresSocketHeartbeat(), this.heartBeatInterval);
         }
         this.futuresSubscriptions[wsBind.url] = wsBind;
+        this.handleReconnected(wsBind);
+        this.scheduleRotation(wsBind);
+        this.emitStreamEvent('open', wsBind);
         if (typeof openCallback === 'function') openCallback(wsBind.url);
     }
 
@@ -1358,21 +2633,22 @@ export default class Binance {
      * @return {undefined}
      */
     handleFuturesSocketClose(wsBind, reconnect, code, reason) {
-        delete this.futuresSubscriptions[wsBind.url];
+        // a rotated socket shares its url with the replacement
+        if (this.futuresSubscriptions[wsBind.url] === wsBind) delete this.futuresSubscriptions[wsBind.url];
         if (this.futuresSubscriptions && Object.keys(this.futuresSubscriptions).length === 0) {
-            clearInterval(this.socketHeartbeatInterval);
+            clearInterval(this.futuresSocketHeartbeatInterval);
         }
-        this.Options.log('Futures WebSocket closed: ' + wsBind.url +
-            (code ? ' (' + code + ')' : '') +
-            (reason ? ' ' + reason : ''));
+        // the old socket of a planned rotation is no outage, only a verbose log tells about it
+        const retired = wsBind.retired;
+        if (!retired) {
+            this.Options.log('Futures WebSocket closed: ' + wsBind.url +
+                (code ? ' (' + code + ')' : '') +
+                (reason ? ' ' + reason : ''));
+        } else if (this.Options.verbose) this.Options.log('Futures WebSocket retired socket closed: ' + wsBind.url);
+        this.handleRotationClose(wsBind, this.futuresSubscriptions);
+        if (!retired) this.emitStreamEvent('close', wsBind, { code, reason: reason ? reason.toString() : '' });
         if (this.Options.reconnect && wsBind.reconnect && reconnect) {
-            if (wsBind.url && wsBind.url.length === 60) this.Options.log('Futures account data WebSocket reconnecting...');
-            else this.Options.log('Futures WebSocket reconnecting: ' + wsBind.url + '...');
-            try {
-                reconnect();
-            } catch (error) {
-                this.Options.log('Futures WebSocket reconnect error: ' + error.message);
-            }
+            this.scheduleReconnect(wsBind, reconnect, wsBind.url && wsBind.url.length === 60 ? 'Futures account data WebSocket' : 'Futures WebSocket');
         }
     }
 
@@ -1385,6 +2661,7 @@ export default class Binance {
         this.Options.log('Futures WebSocket error: ' + wsBind.url +
             (error.code ? ' (' + error.code + ')' : '') +
             (error.message ? ' ' + error.message : ''));
+        this.emitStreamEvent('error', wsBind, { error });
     }
 
     /**
@@ -1399,7 +2676,7 @@ export default class Binance {
      * Used to subscribe to a single futures websocket endpoint
      * @param {string} endpoint - endpoint to connect to
      * @param {function} callback - the function to call when information is received
-     * @param {object} params - Optional reconnect {boolean} (whether to reconnect on disconnect), openCallback {function}, id {string}
+     * @param {object} params - Optional reconnect {boolean} (whether to reconnect on disconnect), openCallback {function}, id {string}, reconnectPolicy {object} (overrides the reconnectPolicy option)
      * @return {WebSocket} - websocket reference
      */
     futuresSubscribeSingle(endpoint: string, callback: Callback, params: Dict = {}) {
@@ -1433,17 +2710,30 @@ export default class Binance {
         callback = callback.bind(this);
         ws.reconnect = this.Options.reconnect;
         ws.endpoint = endpoint;
+        ws.market = 'futures';
+        ws.streams = [endpoint];
         ws.isAlive = false;
+        ws.reconnectPolicy = params.reconnectPolicy;
+        ws.resubscribe = () => this.futuresSubscribeSingle(endpoint, callback, Object.assign({}, params, { openCallback: false }));
         ws.on('open', this.handleFuturesSocketOpen.bind(this, ws, params.openCallback));
         ws.on('pong', this.handleFuturesSocketHeartbeat.bind(this, ws));
         ws.on('error', this.handleFuturesSocketError.bind(this, ws));
         ws.on('close', this.handleFuturesSocketClose.bind(this, ws, params.reconnect));
         ws.on('message', data => {
+            if (!this.acceptSocketMessage(ws, data)) return;
+            if (this.Options.verbose) this.Options.log('futuresSubscribeSingle: Received data:', data);
+            let message;
             try {
-                if (this.Options.verbose) this.Options.log('futuresSubscribeSingle: Received data:', data);
-                callback(JSONbig.parse(data));
+                message = JSONbig.parse(data);
             } catch (error) {
                 this.Options.log('Parse error: ' + error.message);
+                return;
+            }
+            this.emitStreamEvent('message', ws, { stream: ws.endpoint, data: message });
+            try {
+                callback(message);
+            } catch (error) {
+                this.Options.log('Callback error: ' + error.message);
             }
         });
         return ws;
@@ -1453,7 +2743,7 @@ export default class Binance {
      * Used to subscribe to a combined futures websocket endpoint
      * @param {string} streams - streams to connect to
      * @param {function} callback - the function to call when information is received
-     * @param {object} params - Optional reconnect {boolean} (whether to reconnect on disconnect), openCallback {function}, id {string}
+     * @param {object} params - Optional reconnect {boolean} (whether to reconnect on disconnect), openCallback {function}, id {string}, reconnectPolicy {object} (overrides the reconnectPolicy option), withStreamName {boolean} (passes the stream name to the callback after the data)
      * @return {WebSocket} - websocket reference
      */
     futuresSubscribe(streams, callback: Callback, params: Dict = {}) {
@@ -1486,20 +2776,34 @@ export default class Binance {
 
         ws.reconnect = this.Options.reconnect;
         ws.endpoint = stringHash(queryParams);
+        ws.market = 'futures';
+        ws.streams = streams;
         ws.isAlive = false;
         if (this.Options.verbose) {
             this.Options.log(`futuresSubscribe: Subscribed to [${ws.endpoint}] ${queryParams}`);
         }
+        ws.reconnectPolicy = params.reconnectPolicy;
+        ws.resubscribe = () => this.futuresSubscribe(streams, callback, Object.assign({}, params, { openCallback: false }));
         ws.on('open', this.handleFuturesSocketOpen.bind(this, ws, params.openCallback));
         ws.on('pong', this.handleFuturesSocketHeartbeat.bind(this, ws));
         ws.on('error', this.handleFuturesSocketError.bind(this, ws));
         ws.on('close', this.handleFuturesSocketClose.bind(this, ws, params.reconnect));
         ws.on('message', data => {
+            if (!this.acceptSocketMessage(ws, data)) return;
+            if (this.Options.verbose) this.Options.log('futuresSubscribe: Received data:', data);
+            let message;
             try {
-                if (this.Options.verbose) this.Options.log('futuresSubscribe: Received data:', data);
-                callback(JSONbig.parse(data).data);
+                message = JSONbig.parse(data);
             } catch (error) {
                 this.Options.log(`futuresSubscribe: Parse error: ${error.message}`);
+                return;
+            }
+            this.emitStreamEvent('message', ws, { stream: message.stream, data: message.data });
+            try {
+                if (params.withStreamName) callback(message.data, message.stream);
+                else callback(message.data);
+            } catch (error) {
+                this.Options.log(`futuresSubscribe: Callback error: ${error.message}`);
             }
         });
         return ws;
@@ -1513,8 +2817,10 @@ export default class Binance {
      */
     futuresTerminate(endpoint: string, reconnect = false) {
         if (this.Options.verbose) this.Options.log('Futures WebSocket terminating:', endpoint);
+        this.cancelReconnect(endpoint);
         const ws = this.futuresSubscriptions[endpoint];
         if (!ws) return;
+        this.stopRotation(ws);
         ws.removeAllListeners('message');
         ws.reconnect = reconnect;
         ws.terminate();
@@ -2044,6 +3350,7 @@ export default class Binance {
                 ws.isAlive = false;
                 if (ws.readyState === WebSocket.OPEN) ws.ping(this.noop);
             } else {
+                this.emitStreamEvent('stale', ws);
                 if (this.Options.verbose) this.Options.log(`Terminating zombie delivery WebSocket: ${ws.endpoint}`);
                 if (ws.readyState === WebSocket.OPEN) ws.terminate();
             }
@@ -2056,11 +3363,14 @@ export default class Binance {
      * @return {undefined}
      */
     handleDeliverySocketOpen(wsBind, openCallback: Callback) {
-        this.isAlive = true;
+        wsBind.isAlive = true;
         if (Object.keys(this.deliverySubscriptions).length === 0) {
-            this.socketHeartbeatInterval = setInterval(this.deliverySocketHeartbeat, 30000);
+            this.deliverySocketHeartbeatInterval = setInterval(() => this.deliverySocketHeartbeat(), 30000);
         }
-        this.deliverySubscriptions[wsBind.url] = this;
+        this.deliverySubscriptions[wsBind.url] = wsBind;
+        this.handleReconnected(wsBind);
+        this.scheduleRotation(wsBind);
+        this.emitStreamEvent('open', wsBind);
         if (typeof openCallback === 'function') openCallback(wsBind.url);
     }
 
@@ -2072,21 +3382,22 @@ export default class Binance {
      * @return {undefined}
      */
     handleDeliverySocketClose(wsBind, reconnect, code, reason) {
-        delete this.deliverySubscriptions[wsBind.url];
+        // a rotated socket shares its url with the replacement
+        if (this.deliverySubscriptions[wsBind.url] === wsBind) delete this.deliverySubscriptions[wsBind.url];
         if (this.deliverySubscriptions && Object.keys(this.deliverySubscriptions).length === 0) {
-            clearInterval(this.socketHeartbeatInterval);
+            clearInterval(this.deliverySocketHeartbeatInterval);
         }
-        this.Options.log('Delivery WebSocket closed: ' + wsBind.url +
-            (code ? ' (' + code + ')' : '') +
-            (reason ? ' ' + reason : ''));
+        // the old socket of a planned rotation is no outage, only a verbose log tells about it
+        const retired = wsBind.retired;
+        if (!retired) {
+            this.Options.log('Delivery WebSocket closed: ' + wsBind.url +
+                (code ? ' (' + code + ')' : '') +
+                (reason ? ' ' + reason : ''));
+        } else if (this.Options.verbose) this.Options.log('Delivery WebSocket retired socket closed: ' + wsBind.url);
+        this.handleRotationClose(wsBind, this.deliverySubscriptions);
+        if (!retired) this.emitStreamEvent('close', wsBind, { code, reason: reason ? reason.toString() : '' });
         if (this.Options.reconnect && wsBind.reconnect && reconnect) {
-            if (wsBind.url && wsBind.url.length === 60) this.Options.log('Delivery account data WebSocket reconnecting...');
-            else this.Options.log('Delivery WebSocket reconnecting: ' + wsBind.url + '...');
-            try {
-                reconnect();
-            } catch (error) {
-                this.Options.log('Delivery WebSocket reconnect error: ' + error.message);
-            }
+            this.scheduleReconnect(wsBind, reconnect, wsBind.url && wsBind.url.length === 60 ? 'Delivery account data WebSocket' : 'Delivery WebSocket');
         }
     }
 
@@ -2099,21 +3410,22 @@ export default class Binance {
         this.Options.log('Delivery WebSocket error: ' + wsBind.url +
             (error.code ? ' (' + error.code + ')' : '') +
             (error.message ? ' ' + error.message : ''));
+        this.emitStreamEvent('error', wsBind, { error });
     }
 
     /**
      * Called on each delivery socket heartbeat
      * @return {undefined}
      */
-    handleDeliverySocketHeartbeat() {
-        this.isAlive = true;
+    handleDeliverySocketHeartbeat(wsBind) {
+        wsBind.isAlive = true;
     }
 
     /**
      * Used to subscribe to a single delivery websocket endpoint
      * @param {string} endpoint - endpoint to connect to
      * @param {function} callback - the function to call when information is received
-     * @param {object} params - Optional reconnect {boolean} (whether to reconnect on disconnect), openCallback {function}, id {string}
+     * @param {object} params - Optional reconnect {boolean} (whether to reconnect on disconnect), openCallback {function}, id {string}, reconnectPolicy {object} (overrides the reconnectPolicy option)
      * @return {WebSocket} - websocket reference
      */
     deliverySubscribeSingle(endpoint: string, callback: Callback, params: Dict = {}) {
@@ -2145,17 +3457,30 @@ export default class Binance {
         if (this.Options.verbose) this.Options.log('deliverySubscribeSingle: Subscribed to ' + endpoint);
         ws.reconnect = this.Options.reconnect;
         ws.endpoint = endpoint;
+        ws.market = 'delivery';
+        ws.streams = [endpoint];
         ws.isAlive = false;
+        ws.reconnectPolicy = params.reconnectPolicy;
+        ws.resubscribe = () => this.deliverySubscribeSingle(endpoint, callback, Object.assign({}, params, { openCallback: false }));
         ws.on('open', this.handleDeliverySocketOpen.bind(this, ws, params.openCallback));
         ws.on('pong', this.handleDeliverySocketHeartbeat.bind(this, ws));
         ws.on('error', this.handleDeliverySocketError.bind(this, ws));
         ws.on('close', this.handleDeliverySocketClose.bind(this, ws, params.reconnect));
         ws.on('message', data => {
+            if (!this.acceptSocketMessage(ws, data)) return;
+            if (this.Options.verbose) this.Options.log('deliverySubscribeSingle: Received data:', data);
+            let message;
             try {
-                if (this.Options.verbose) this.Options.log('deliverySubscribeSingle: Received data:', data);
-                callback(JSONbig.parse(data));
+                message = JSONbig.parse(data);
             } catch (error) {
                 this.Options.log('Parse error: ' + error.message);
+                return;
+            }
+            this.emitStreamEvent('message', ws, { stream: ws.endpoint, data: message });
+            try {
+                callback(message);
+            } catch (error) {
+                this.Options.log('Callback error: ' + error.message);
             }
         });
         return ws;
@@ -2165,7 +3490,7 @@ export default class Binance {
      * Used to subscribe to a combined delivery websocket endpoint
      * @param {string} streams - streams to connect to
      * @param {function} callback - the function to call when information is received
-     * @param {object} params - Optional reconnect {boolean} (whether to reconnect on disconnect), openCallback {function}, id {string}
+     * @param {object} params - Optional reconnect {boolean} (whether to reconnect on disconnect), openCallback {function}, id {string}, reconnectPolicy {object} (overrides the reconnectPolicy option), withStreamName {boolean} (passes the stream name to the callback after the data)
      * @return {WebSocket} - websocket reference
      */
     deliverySubscribe(streams, callback: Callback, params: Dict = {}) {
@@ -2198,20 +3523,34 @@ export default class Binance {
 
         ws.reconnect = this.Options.reconnect;
         ws.endpoint = stringHash(queryParams);
+        ws.market = 'delivery';
+        ws.streams = streams;
         ws.isAlive = false;
         if (this.Options.verbose) {
             this.Options.log(`deliverySubscribe: Subscribed to [${ws.endpoint}] ${queryParams}`);
         }
+        ws.reconnectPolicy = params.reconnectPolicy;
+        ws.resubscribe = () => this.deliverySubscribe(streams, callback, Object.assign({}, params, { openCallback: false }));
         ws.on('open', this.handleDeliverySocketOpen.bind(this, ws,params.openCallback));
         ws.on('pong', this.handleDeliverySocketHeartbeat.bind(this, ws));
         ws.on('error', this.handleDeliverySocketError.bind(this, ws));
         ws.on('close', this.handleDeliverySocketClose.bind(this, ws, params.reconnect));
         ws.on('message', data => {
+            if (!this.acceptSocketMessage(ws, data)) return;
+            if (this.Options.verbose) this.Options.log('deliverySubscribe: Received data:', data);
+            let message;
             try {
-                if (this.Options.verbose) this.Options.log('deliverySubscribe: Received data:', data);
-                callback(JSONbig.parse(data).data);
+                message = JSONbig.parse(data);
             } catch (error) {
                 this.Options.log(`deliverySubscribe: Parse error: ${error.message}`);
+                return;
+            }
+            this.emitStreamEvent('message', ws, { stream: message.stream, data: message.data });
+            try {
+                if (params.withStreamName) callback(message.data, message.stream);
+                else callback(message.data);
+            } catch (error) {
+                this.Options.log(`deliverySubscribe: Callback error: ${error.message}`);
             }
         });
         return ws;
@@ -2225,8 +3564,10 @@ export default class Binance {
      */
     deliveryTerminate(endpoint: string, reconnect = false) {
         if (this.Options.verbose) this.Options.log('Delivery WebSocket terminating:', endpoint);
+        this.cancelReconnect(endpoint);
         const ws = this.deliverySubscriptions[endpoint];
         if (!ws) return;
+        this.stopRotation(ws);
         ws.removeAllListeners('message');
         ws.reconnect = reconnect;
         ws.terminate();
@@ -2699,7 +4040,7 @@ export default class Binance {
     * @param {number} amount - the callback function
     * @return {promise}
     */
-    async universalTransfer(type: string, asset: string, amount: number) {
+    async universalTransfer(type: string, asset: string, amount: number | string) {
         const parameters = Object.assign({
             asset,
             amount,
@@ -2720,7 +4061,7 @@ export default class Binance {
    */
     async transferBetweenMainAndFutures(
         asset: string,
-        amount: number,
+        amount: number | string,
         type: any,
     ) {
         const parameters = Object.assign({
@@ -2828,7 +4169,7 @@ export default class Binance {
                 prices[obj.symbol] = obj.price;
             }
         } else { // Single price returned
-            prices[data.symbol] = parseFloat(data.price);
+            prices[data.symbol] = this.Options.precise ? data.price : parseFloat(data.price);
         }
         return prices;
     }
@@ -2977,7 +4318,7 @@ export default class Binance {
     /**
      * Used for /depth endpoint
      * @param {object} data - containing the bids and asks
-     * @return {undefined}
+     * @return {object} - the book, quantities are the decimal strings binance sent in precise mode
      */
     depthData(data: any) {
         if (!data) return { bids: [], asks: [] };
@@ -2985,15 +4326,17 @@ export default class Binance {
         let obj;
         if (typeof data.bids !== 'undefined') {
             for (obj of data.bids) {
-                bids[obj[0]] = parseFloat(obj[1]);
+                bids[obj[0]] = this.Options.precise ? obj[1] : parseFloat(obj[1]);
             }
         }
         if (typeof data.asks !== 'undefined') {
             for (obj of data.asks) {
-                asks[obj[0]] = parseFloat(obj[1]);
+                asks[obj[0]] = this.Options.precise ? obj[1] : parseFloat(obj[1]);
             }
         }
-        return { lastUpdateId: data.lastUpdateId, bids: bids, asks: asks };
+        const book = { lastUpdateId: data.lastUpdateId, bids: bids, asks: asks };
+        orderBookSides(book);
+        return book;
     }
 
     parseOrderBook(data, symbol: string): OrderBook {
@@ -3017,28 +4360,8 @@ export default class Binance {
      */
     depthHandler(depth) {
         const symbol = depth.s;
-        let obj;
         const context = this.depthCacheContext[symbol];
-        const updateDepthCache = () => {
-            this.depthCache[symbol].eventTime = depth.E;
-            for (obj of depth.b) { //bids
-                if (obj[1] == 0) {
-                    delete this.depthCache[symbol].bids[obj[0]];
-                } else {
-                    this.depthCache[symbol].bids[obj[0]] = parseFloat(obj[1]);
-                }
-            }
-            for (obj of depth.a) { //asks
-                if (obj[1] == 0) {
-                    delete this.depthCache[symbol].asks[obj[0]];
-                } else {
-                    this.depthCache[symbol].asks[obj[0]] = parseFloat(obj[1]);
-                }
-            }
-            context.skipCount = 0;
-            context.lastEventUpdateId = depth.u;
-            context.lastEventUpdateTime = depth.E;
-        };
+        const updateDepthCache = () => this.applyDepthUpdate(this.depthCache[symbol], context, depth);
 
         // This now conforms 100% to the Binance docs constraints on managing a local order book
         if (context.lastEventUpdateId) {
@@ -3058,34 +4381,140 @@ export default class Binance {
             msg += ' Symptom: Gap between snapshot and first stream data.';
             if (this.Options.verbose) this.Options.log(msg);
             throw new Error(msg);
-        } else if (depth.u < context.snapshotUpdateId + 1) {
-            /* In this case we've received data that we've already had since the snapshot.
-             This isn't really an issue, and we can just update the cache again, or ignore it entirely. */
-
-            // do nothing
-        } else {
-            // This is our first legal update from the stream data
-            updateDepthCache();
+        } else if (depth.u < context.snapshotUpdateId + 1) {
+            /* In this case we've received data that we've already had since the snapshot.
+             This isn't really an issue, and we can just update the cache again, or ignore it entirely. */
+
+            // do nothing
+        } else {
+            // This is our first legal update from the stream data
+            updateDepthCache();
+        }
+    }
+
+    /**
+     * Applies a diff depth event to a local order book
+     * @param {object} book - the depth cache of the symbol
+     * @param {object} context - the depth cache context of the symbol
+     * @param {object} depth - the depth event
+     * @return {undefined}
+     */
+    applyDepthUpdate(book, context, depth) {
+        let obj;
+        const sides = orderBookSides(book);
+        book.eventTime = depth.E;
+        for (obj of depth.b) { //bids, a zero quantity removes the level
+            sides.bids.set(obj[0], this.Options.precise ? obj[1] : parseFloat(obj[1]));
+        }
+        for (obj of depth.a) { //asks
+            sides.asks.set(obj[0], this.Options.precise ? obj[1] : parseFloat(obj[1]));
+        }
+        context.skipCount = 0;
+        context.lastEventUpdateId = depth.u;
+        context.lastEventUpdateTime = depth.E;
+    }
+
+    /**
+     * Applies a USD-M futures (or COIN-M delivery) diff depth event following the futures rules: events older than the snapshot
+     * are dropped, the first event must contain the snapshot update id and every later pu must be the previous u
+     * @see https://developers.binance.com/docs/derivatives/usds-margined-futures/websocket-market-streams/How-to-manage-a-local-order-book-correctly
+     * @param {object} depth - the depth event
+     * @param {string} market - futures (default) or delivery
+     * @return {undefined}
+     */
+    futuresDepthHandler(depth, market: 'futures' | 'delivery' = 'futures') {
+        const symbol = depth.s;
+        const context = this.depthCacheContexts(market)[symbol];
+        if (depth.u < context.snapshotUpdateId) return;
+        let msg = '';
+        if (!context.lastEventUpdateId) {
+            if (depth.U > context.snapshotUpdateId) msg = 'Symptom: Gap between snapshot and first stream data.';
+        } else if (depth.pu !== context.lastEventUpdateId) {
+            msg = 'Symptom: Unexpected previous update ID. Expected "' + context.lastEventUpdateId + '", got "' + depth.pu + '"';
+        }
+        if (msg) {
+            msg = market + 'DepthHandler: [' + symbol + '] The depth cache is out of sync. ' + msg;
+            if (this.Options.verbose) this.Options.log(msg);
+            throw new Error(msg);
         }
+        this.applyDepthUpdate(this.depthCaches(market)[symbol], context, depth);
+    }
+
+    /**
+     * Applies a COIN-M delivery diff depth event, same rules as futuresDepthHandler
+     * @param {object} depth - the depth event
+     * @return {undefined}
+     */
+    deliveryDepthHandler(depth) {
+        this.futuresDepthHandler(depth, 'delivery');
+    }
+
+    /**
+     * The depth caches of a market, each market has its own so symbols never collide
+     * @param {string} market - spot, futures or delivery
+     * @return {object} - depth caches by symbol
+     */
+    depthCaches(market: StreamMarket = 'spot'): Dict {
+        if (market === 'futures') return this.futuresDepthCache;
+        if (market === 'delivery') return this.deliveryDepthCache;
+        return this.depthCache;
+    }
+
+    /**
+     * The depth cache contexts of a market
+     * @param {string} market - spot, futures or delivery
+     * @return {object} - depth cache contexts by symbol
+     */
+    depthCacheContexts(market: StreamMarket = 'spot'): Dict {
+        if (market === 'futures') return this.futuresDepthCacheContext;
+        if (market === 'delivery') return this.deliveryDepthCacheContext;
+        return this.depthCacheContext;
+    }
+
+    /**
+     * Counts a resync in the depth cache context of the symbol and emits a 'resync' event
+     * @param {string} market - spot, futures or delivery
+     * @param {string} symbol - the out of sync symbol
+     * @param {object} context - its depth cache context, gets resyncCount and lastResyncTime
+     * @param {string} reason - the out of sync symptom
+     * @return {undefined}
+     */
+    countDepthResync(market: StreamMarket, symbol: string, context, reason: string) {
+        context.resyncCount = (context.resyncCount || 0) + 1;
+        context.lastResyncTime = Date.now();
+        if (this.Options.verbose) this.Options.log(`${market} depth cache resync #${context.resyncCount}: ${symbol}`);
+        const event: DepthResyncEvent = { market, symbol, reason, count: context.resyncCount };
+        this.emit('resync', event);
     }
 
     /**
      * Gets depth cache for given symbol
      * @param {string} symbol - the symbol to fetch
+     * @param {string} market - optional, spot (default), futures or delivery
      * @return {object} - the depth cache object
      */
-    getDepthCache(symbol: string) {
-        if (typeof this.depthCache[symbol] === 'undefined') return { bids: {}, asks: {}};
-        return this.depthCache[symbol];
+    getDepthCache(symbol: string, market: StreamMarket = 'spot') {
+        const caches = this.depthCaches(market);
+        if (typeof caches[symbol] === 'undefined') return { bids: {}, asks: {}};
+        return caches[symbol];
     }
 
     /**
      * Calculate Buy/Sell volume from DepthCache
      * @param {string} symbol - the symbol to fetch
-     * @return {object} - the depth volume cache object
-     */
-    depthVolume(symbol: string) {
-        const cache = this.getDepthCache(symbol);
+     * @param {string} market - optional, spot (default), futures or delivery
+     * @return {object} - the depth volume cache object, exact decimal strings in precise mode
+     */
+    depthVolume(symbol: string, market: StreamMarket = 'spot') {
+        const cache = this.getDepthCache(symbol, market);
+        if (this.Options.precise) {
+            const volume = (levels: Dict) => Object.keys(levels).reduce((total, price) => ({
+                base: addDecimals(total.base, multiplyDecimals(levels[price], price)),
+                quantity: addDecimals(total.quantity, levels[price]),
+            }), { base: '0', quantity: '0' });
+            const bids = volume(cache.bids), asks = volume(cache.asks);
+            return { bids: bids.base, asks: asks.base, bidQty: bids.quantity, askQty: asks.quantity };
+        }
         let quantity, price;
         let bidbase = 0, askbase = 0, bidqty = 0, askqty = 0;
         for (price in cache.bids) {
@@ -3129,6 +4558,7 @@ export default class Binance {
     * @return {float} - number
     */
     roundStep(qty, stepSize) {
+        if (this.Options.precise) return roundToIncrement(this.preciseValue(qty), stepSize, 'down');
         // Integers do not require rounding
         if (Number.isInteger(qty)) return qty;
         const qtyString = parseFloat(qty).toFixed(16);
@@ -3144,6 +4574,7 @@ export default class Binance {
     * @return {float} - number
     */
     roundTicks(price, tickSize) {
+        if (this.Options.precise) return roundToIncrement(this.preciseValue(price), tickSize, 'nearest');
         const formatter = new Intl.NumberFormat('en-US', { style: 'decimal', minimumFractionDigits: 0, maximumFractionDigits: 8 });
         const precision = formatter.format(tickSize).split('.')[1].length || 0;
         if (typeof price === 'string') price = parseFloat(price);
@@ -3199,18 +4630,23 @@ export default class Binance {
     * @param {string} symbol - the object
     * @param {int} max - the max number of bids
     * @param {string} baseValue - the object
+    * @param {string} market - optional, spot (default), futures or delivery
     * @return {object} - the object
     */
-    sortBids(symbol: string, max = Infinity, baseValue?: string) {
+    sortBids(symbol: string, max = Infinity, baseValue?: string, market: StreamMarket = 'spot') {
         const object = {};
         let count = 0, cache;
         if (typeof symbol === 'object') cache = symbol;
-        else cache = this.getDepthCache(symbol).bids;
-        const sorted = Object.keys(cache).sort((a, b) => parseFloat(b) - parseFloat(a));
-        let cumulative = 0;
+        else cache = this.getDepthCache(symbol, market).bids;
+        // the depth cache keeps its levels sorted, plain objects are sorted here
+        const sorted = typeof symbol === 'object' ? Object.keys(cache).sort((a, b) => parseFloat(b) - parseFloat(a)) : this.orderBookSide(symbol, 'bids', market).keys;
+        let cumulative: any = 0;
         for (const price of sorted) {
             if (!baseValue) object[price] = cache[price];
-            else if (baseValue === 'cumulative') {
+            else if (this.Options.precise) {
+                cumulative = baseValue === 'cumulative' ? addDecimals(cumulative, cache[price]) : multiplyDecimals(cache[price], price);
+                object[price] = cumulative;
+            } else if (baseValue === 'cumulative') {
                 cumulative += cache[price];
                 object[price] = cumulative;
             } else object[price] = parseFloat((cache[price] * parseFloat(price)).toFixed(8));
@@ -3224,18 +4660,22 @@ export default class Binance {
     * @param {string} symbol - the object
     * @param {int} max - the max number of bids
     * @param {string} baseValue - the object
+    * @param {string} market - optional, spot (default), futures or delivery
     * @return {object} - the object
     */
-    sortAsks(symbol: string, max = Infinity, baseValue?: string) {
+    sortAsks(symbol: string, max = Infinity, baseValue?: string, market: StreamMarket = 'spot') {
         let count = 0, cache;
         const object = {};
         if (typeof symbol === 'object') cache = symbol;
-        else cache = this.getDepthCache(symbol).asks;
-        const sorted = Object.keys(cache).sort((a, b) => parseFloat(a) - parseFloat(b));
-        let cumulative = 0;
+        else cache = this.getDepthCache(symbol, market).asks;
+        const sorted = typeof symbol === 'object' ? Object.keys(cache).sort((a, b) => parseFloat(a) - parseFloat(b)) : this.orderBookSide(symbol, 'asks', market).keys;
+        let cumulative: any = 0;
         for (const price of sorted) {
             if (!baseValue) object[price] = cache[price];
-            else if (baseValue === 'cumulative') {
+            else if (this.Options.precise) {
+                cumulative = baseValue === 'cumulative' ? addDecimals(cumulative, cache[price]) : multiplyDecimals(cache[price], price);
+                object[price] = cumulative;
+            } else if (baseValue === 'cumulative') {
                 cumulative += cache[price];
                 object[price] = cumulative;
             } else object[price] = parseFloat((cache[price] * parseFloat(price)).toFixed(8));
@@ -3244,6 +4684,114 @@ export default class Binance {
         return object;
     }
 
+    /**
+    * The sorted side of a depth cache
+    * @param {string} symbol - the symbol
+    * @param {string} side - bids or asks
+    * @param {string} market - optional, spot (default), futures or delivery
+    * @return {OrderBookSide} - the side, empty when there is no depth cache for the symbol
+    */
+    orderBookSide(symbol: string, side: 'bids' | 'asks', market: StreamMarket = 'spot'): OrderBookSide {
+        return orderBookSides(this.getDepthCache(symbol, market))[side];
+    }
+
+    /**
+    * Highest bid of a depth cache
+    * @param {string} symbol - the symbol
+    * @param {string} market - optional, spot (default), futures or delivery
+    * @return {array} - [price, quantity], undefined when the book has no bids
+    */
+    bestBid(symbol: string, market: StreamMarket = 'spot'): PriceLevel {
+        return this.orderBookSide(symbol, 'bids', market).best();
+    }
+
+    /**
+    * Lowest ask of a depth cache
+    * @param {string} symbol - the symbol
+    * @param {string} market - optional, spot (default), futures or delivery
+    * @return {array} - [price, quantity], undefined when the book has no asks
+    */
+    bestAsk(symbol: string, market: StreamMarket = 'spot'): PriceLevel {
+        return this.orderBookSide(symbol, 'asks', market).best();
+    }
+
+    /**
+    * Best bids of a depth cache, highest first
+    * @param {string} symbol - the symbol
+    * @param {int} count - number of levels, all when omitted
+    * @param {string} market - optional, spot (default), futures or delivery
+    * @return {array} - [price, quantity] pairs
+    */
+    topBids(symbol: string, count = Infinity, market: StreamMarket = 'spot'): PriceLevel[] {
+        return this.orderBookSide(symbol, 'bids', market).top(count);
+    }
+
+    /**
+    * Best asks of a depth cache, lowest first
+    * @param {string} symbol - the symbol
+    * @param {int} count - number of levels, all when omitted
+    * @param {string} market - optional, spot (default), futures or delivery
+    * @return {array} - [price, quantity] pairs
+    */
+    topAsks(symbol: string, count = Infinity, market: StreamMarket = 'spot'): PriceLevel[] {
+        return this.orderBookSide(symbol, 'asks', market).top(count);
+    }
+
+    /**
+    * Estimates a market order against a depth cache: average fill price, worst price, slippage versus mid and levels consumed
+    * @param {string} symbol - the symbol
+    * @param {string} side - BUY (takes the asks) or SELL (takes the bids)
+    * @param {number} quantity - base asset quantity
+    * @param {object} params - optional, quoteOrderQty estimates a quote asset amount instead of quantity, market: spot (default), futures or delivery
+    * @return {object} - the FillEstimate, filled is false when the book is not deep enough, undefined when the side is empty
+    */
+    estimateFill(symbol: string, side: OrderSide, quantity: number, params: { quoteOrderQty?: number, market?: StreamMarket } = {}): FillEstimate {
+        const sides = orderBookSides(this.getDepthCache(symbol, params.market || 'spot'));
+        if (params.quoteOrderQty) return estimateFill(sides, side, Number(params.quoteOrderQty), true);
+        return estimateFill(sides, side, Number(quantity));
+    }
+
+    /**
+    * Spread of a depth cache: best ask minus best bid
+    * @param {string} symbol - the symbol
+    * @param {string} market - optional, spot (default), futures or delivery
+    * @return {number} - the spread, undefined when a side is empty
+    */
+    spread(symbol: string, market: StreamMarket = 'spot'): number {
+        return bookSpread(orderBookSides(this.getDepthCache(symbol, market)));
+    }
+
+    /**
+    * Mid price of a depth cache
+    * @param {string} symbol - the symbol
+    * @param {string} market - optional, spot (default), futures or delivery
+    * @return {number} - the mid price, undefined when a side is empty
+    */
+    midPrice(symbol: string, market: StreamMarket = 'spot'): number {
+        return bookMidPrice(orderBookSides(this.getDepthCache(symbol, market)));
+    }
+
+    /**
+    * Microprice of a depth cache: the mid price weighted by the best bid and ask quantities
+    * @param {string} symbol - the symbol
+    * @param {string} market - optional, spot (default), futures or delivery
+    * @return {number} - the microprice, undefined when a side is empty
+    */
+    microprice(symbol: string, market: StreamMarket = 'spot'): number {
+        return bookMicroprice(orderBookSides(this.getDepthCache(symbol, market)));
+    }
+
+    /**
+    * Order book imbalance of the best levels of a depth cache
+    * @param {string} symbol - the symbol
+    * @param {int} levels - levels per side, all when omitted
+    * @param {string} market - optional, spot (default), futures or delivery
+    * @return {number} - from -1 (only asks) to 1 (only bids), undefined when the book is empty
+    */
+    bookImbalance(symbol: string, levels = Infinity, market: StreamMarket = 'spot'): number {
+        return bookImbalance(orderBookSides(this.getDepthCache(symbol, market)), levels);
+    }
+
     /**
     * Returns the first property of an object
     * @param {object} object - the object to get the first member
@@ -3345,6 +4893,13 @@ export default class Binance {
     */
     orderCount() { return this.info.orderCount1m; }
 
+    /**
+    * Returns the request weight and order count budget left for an api
+    * @param {string} bucket - spot, sapi, fapi or dapi
+    * @return {object} - used/remaining weight, order windows and Retry-After block
+    */
+    rateLimitBudget(bucket: RateLimitBucket = 'spot') { return this.rateLimiter.budget(bucket); }
+
     /**
     * Returns the entire options object
     * @return {object} - the options object
@@ -3527,7 +5082,10 @@ export default class Binance {
     * @return {promise or undefined} - omitting the callback returns a promise
     */
     async exchangeInfo() {
-        return await this.publicSpotRequest('v3/exchangeInfo', {});
+        const res = await this.publicSpotRequest('v3/exchangeInfo', {});
+        if (res && res.rateLimits) this.rateLimiter.setLimits('spot', res.rateLimits);
+        this.marketMetadata.update('spot', res, true);
+        return res;
     }
 
     /**
@@ -3565,7 +5123,7 @@ export default class Binance {
     * @param {string} name - the name to save the address as. Set falsy to prevent Binance saving to address book
     * @return {promise or undefined} - omitting the callback returns a promise
     */
-    async withdraw(asset: string, address: string, amount: number, addressTag?: string, name?: string, params: Dict = {}): Promise<WithdrawResponse> {
+    async withdraw(asset: string, address: string, amount: number | string, addressTag?: string, name?: string, params: Dict = {}): Promise<WithdrawResponse> {
         // const params = { asset, address, amount };
         params.asset = asset;
         params.address = address;
@@ -3703,9 +5261,70 @@ export default class Binance {
     * @return {promise or undefined} - omitting the callback returns a promise
     */
     async useServerTime() {
-        const response = await this.publicSpotRequest('v3/time', {});
-        this.timeOffset = response.serverTime - new Date().getTime();
-        return response;
+        return await this.syncTime('spot');
+    }
+
+    /**
+    * Measures the clock offset of a market, compensating for the round trip latency, and stores it for signing.
+    * Emits 'timeDrift' when the offset moved by more than the driftThreshold of the timeSync option (1000ms by default) since the last sync,
+    * futures and delivery sign with the spot offset until their first sync, so that sync compares with the spot offset
+    * @param {string} market - spot, fapi or dapi
+    * @return {promise} - serverTime, offset and latency in ms
+    */
+    async syncTime(market: TimeMarket = 'spot') {
+        const start = new Date().getTime();
+        let serverTime: number;
+        if (market === 'fapi') {
+            serverTime = await this.futuresTime();
+        } else if (market === 'dapi') {
+            serverTime = (await this.deliveryTime()).serverTime;
+        } else {
+            serverTime = (await this.time()).serverTime;
+        }
+        const end = new Date().getTime();
+        const latency = end - start;
+        // assume the server read its clock half way through the round trip
+        const offset = Math.round(serverTime - (start + end) / 2);
+        const previousOffset = this.getTimeOffset(market);
+        if (market === 'fapi') this.futuresTimeOffset = offset;
+        else if (market === 'dapi') this.deliveryTimeOffset = offset;
+        else this.timeOffset = offset;
+
+        const threshold = this.timeSyncPolicy ? this.timeSyncPolicy.driftThreshold : 1000;
+        // a steady offset is compensated already, only a change of it is drift
+        if (Math.abs(offset - (previousOffset || 0)) > threshold) {
+            const event: TimeDriftEvent = { market, offset, previousOffset, latency };
+            this.emit('timeDrift', event);
+        }
+        return { serverTime, offset, latency };
+    }
+
+    /**
+    * Resyncs the clock of every market that sent signed requests (spot at least) at a fixed interval
+    * @param {number} interval - ms between resyncs, defaults to the timeSync option interval
+    * @return {undefined}
+    */
+    startTimeSync(interval = this.timeSyncPolicy ? this.timeSyncPolicy.interval : 600000) {
+        this.stopTimeSync();
+        this.timeSyncTimer = setInterval(() => {
+            const markets = new Set<TimeMarket>(this.timeMarkets).add('spot');
+            markets.forEach(market => {
+                this.syncTime(market).catch(error => {
+                    if (this.Options.verbose) this.Options.log(`time sync of ${market} failed:`, error.message);
+                });
+            });
+        }, interval);
+        // never keep the process alive just for the resync
+        if (this.timeSyncTimer.unref) this.timeSyncTimer.unref();
+    }
+
+    /**
+    * Stops the periodic resync started by startTimeSync or the timeSync option
+    * @return {undefined}
+    */
+    stopTimeSync() {
+        if (this.timeSyncTimer) clearInterval(this.timeSyncTimer);
+        this.timeSyncTimer = undefined;
     }
 
     // /**
@@ -3792,16 +5411,18 @@ export default class Binance {
     */
     highstock(chart, include_volume = false) {
         const array = [];
+        // precise mode keeps the decimal strings of the klines
+        const value = this.Options.precise ? (decimal: string) => decimal : parseFloat;
         for (const timestamp in chart) {
             const obj = chart[timestamp];
             const line = [
                 Number(timestamp),
-                parseFloat(obj.open),
-                parseFloat(obj.high),
-                parseFloat(obj.low),
-                parseFloat(obj.close)
+                value(obj.open),
+                value(obj.high),
+                value(obj.low),
+                value(obj.close)
             ];
-            if (include_volume) line.push(parseFloat(obj.volume));
+            if (include_volume) line.push(value(obj.volume));
             array.push(line);
         }
         return array;
@@ -3814,13 +5435,15 @@ export default class Binance {
     */
     populateOHLC(chart) {
         const open = [], high = [], low = [], close = [], volume = [];
+        // precise mode keeps the decimal strings of the klines
+        const value = this.Options.precise ? (decimal: string) => decimal : parseFloat;
         for (const timestamp in chart) { //this.ohlc[symbol][interval]
             const obj = chart[timestamp];
-            open.push(parseFloat(obj.open));
-            high.push(parseFloat(obj.high));
-            low.push(parseFloat(obj.low));
-            close.push(parseFloat(obj.close));
-            volume.push(parseFloat(obj.volume));
+            open.push(value(obj.open));
+            high.push(value(obj.high));
+            low.push(value(obj.low));
+            close.push(value(obj.close));
+            volume.push(value(obj.volume));
         }
         return { open: open, high: high, low: low, close: close, volume: volume };
     }
@@ -3951,11 +5574,16 @@ export default class Binance {
     // }
 
     /**
-    * Gets the market asset of given symbol
-    * @param {string} symbol - the public api endpoint
-    * @return {undefined}
+    * Gets the market (quote) asset of given symbol from the market metadata, guessed from the symbol suffix
+    * while the metadata of the market is not loaded yet (see loadMarkets)
+    * @param {string} symbol - the symbol
+    * @param {string} market - optional, spot (default), futures or delivery
+    * @return {string} - the quote asset, undefined when unknown
     */
-    getMarket(symbol: string) {
+    getMarket(symbol: string, market: StreamMarket = 'spot') {
+        const metadata = this.marketMetadata.get(symbol, market);
+        if (metadata) return metadata.quoteAsset;
+        if (this.marketMetadata.loadedAt[market]) return undefined;
         if (symbol.endsWith('BTC')) return 'BTC';
         else if (symbol.endsWith('ETH')) return 'ETH';
         else if (symbol.endsWith('BNB')) return 'BNB';
@@ -3967,6 +5595,52 @@ export default class Binance {
         else if (symbol.endsWith('TUSD')) return 'TUSD';
     }
 
+    /**
+    * Loads the symbol metadata of a market from its exchangeInfo, once, later calls use the cache.
+    * The cache is reloaded in the background every marketMetadata.refreshInterval
+    * @param {string} market - optional, spot (default), futures or delivery
+    * @param {boolean} reload - request exchangeInfo even when the market is cached
+    * @return {promise} - SymbolMetadata by symbol
+    */
+    async loadMarkets(market: StreamMarket = 'spot', reload = false): Promise<{ [symbol: string]: SymbolMetadata }> {
+        return await this.marketMetadata.load(market, reload);
+    }
+
+    /**
+    * Metadata of a symbol: base and quote asset, status, tick size, step size, min notional, permissions and contract details
+    * @param {string} symbol - the symbol
+    * @param {string} market - optional, spot (default), futures or delivery
+    * @return {promise} - the SymbolMetadata, undefined for an unknown symbol
+    */
+    async symbolInfo(symbol: string, market: StreamMarket = 'spot'): Promise<SymbolMetadata> {
+        await this.marketMetadata.load(market);
+        return this.marketMetadata.get(symbol, market);
+    }
+
+    /**
+    * The smart order routing configuration of exchangeInfo: the symbols the SOR fills an order on, by base asset
+    * @return {promise} - every SorConfig
+    */
+    async sorConfigs(): Promise<SorConfig[]> {
+        await this.marketMetadata.load('spot');
+        return this.marketMetadata.sors;
+    }
+
+    /**
+    * The smart order routing configuration of one base asset, see sorConfigs
+    * @param {string} baseAsset - the base asset, e.g. BTC
+    * @return {promise} - the SorConfig, undefined when the symbols of baseAsset are not routed
+    */
+    async sorConfig(baseAsset: string): Promise<SorConfig | undefined> {
+        return (await this.sorConfigs()).find(sor => sor.baseAsset === baseAsset);
+    }
+
+    marketExchangeInfo(market: StreamMarket) {
+        if (market === 'futures') return this.futuresExchangeInfo();
+        if (market === 'delivery') return this.deliveryExchangeInfo();
+        return this.exchangeInfo();
+    }
+
     /**
     * Get the account binance lending information
     * @return {promise or undefined} - omitting the callback returns a promise
@@ -3988,7 +5662,10 @@ export default class Binance {
      * @returns
      */
     async futuresExchangeInfo(params: Dict = {}) {
-        return await this.publicFuturesRequest('v1/exchangeInfo', params);
+        const res = await this.publicFuturesRequest('v1/exchangeInfo', params);
+        if (res && res.rateLimits) this.rateLimiter.setLimits('fapi', res.rateLimits);
+        this.marketMetadata.update('futures', res, !Object.keys(params).length);
+        return res;
     }
 
     /**
@@ -4202,7 +5879,7 @@ export default class Binance {
     }
 
     // type: 1: Add postion margin，2: Reduce postion margin
-    async futuresPositionMargin(symbol: string, amount: number, type = 1, params: Dict = {}) {
+    async futuresPositionMargin(symbol: string, amount: number | string, type = 1, params: Dict = {}) {
         params.symbol = symbol;
         params.amount = amount;
         params.type = type;
@@ -4273,7 +5950,7 @@ export default class Binance {
      * @param params extra parameters to be sent in the request
      * @returns
      */
-    async futuresBuy(symbol: string, quantity: number, price: number, params: Dict = {}) {
+    async futuresBuy(symbol: string, quantity: number | string, price: number | string, params: Dict = {}) {
         return await this.futuresOrder('LIMIT', 'BUY', symbol, quantity, price, params);
     }
 
@@ -4285,7 +5962,7 @@ export default class Binance {
      * @param params extra parameters to be sent in the request
      * @returns
      */
-    async futuresSell(symbol: string, quantity: number, price: number, params: Dict = {}) {
+    async futuresSell(symbol: string, quantity: number | string, price: number | string, params: Dict = {}) {
         return await this.futuresOrder('LIMIT', 'SELL', symbol, quantity, price, params);
     }
 
@@ -4297,7 +5974,7 @@ export default class Binance {
      * @param params extra parameters to be sent in the request
      * @returns
      */
-    async futuresMarketBuy(symbol: string, quantity: number, params: Dict = {}) {
+    async futuresMarketBuy(symbol: string, quantity: number | string, params: Dict = {}) {
         return await this.futuresOrder('MARKET', 'BUY', symbol, quantity, undefined, params);
     }
 
@@ -4311,7 +5988,7 @@ export default class Binance {
      * @param params extra parameters to be sent in the request
      * @returns
      */
-    async futuresLimitOrder(side: OrderSide, symbol: string, quantity: number, price: number, params: Dict = {}) {
+    async futuresLimitOrder(side: OrderSide, symbol: string, quantity: number | string, price: number | string, params: Dict = {}) {
         return await this.futuresOrder('LIMIT', side, symbol, quantity, price, params);
     }
 
@@ -4323,7 +6000,7 @@ export default class Binance {
      * @param params extra parameters to be sent in the request
      * @returns
      */
-    async futuresMarketSell(symbol: string, quantity: number, params: Dict = {}) {
+    async futuresMarketSell(symbol: string, quantity: number | string, params: Dict = {}) {
         return await this.futuresOrder('MARKET', 'SELL', symbol, quantity, undefined, params);
     }
 
@@ -4347,6 +6024,64 @@ export default class Binance {
         return await this.privateFuturesRequest('v1/batchOrders', this.extend({ 'symbol': symbol }, params), 'DELETE');
     }
 
+    /**
+     * Builds the parameters of a futures or delivery order modification
+     * @returns the request parameters
+     */
+    modifyOrderPayload(symbol: string, orderId: number | string | undefined, side: OrderSide, quantity: number | string, price?: number | string, params: Dict = {}): Dict {
+        const request = { symbol, side, quantity } as Dict;
+        if (orderId !== undefined) request.orderId = orderId;
+        if (price !== undefined) request.price = price;
+        return this.extend(request, params);
+    }
+
+    /**
+     * Modifies the price and quantity of an open LIMIT order, it keeps its orderId but goes to the back of the queue
+     * @see https://developers.binance.com/docs/derivatives/usds-margined-futures/trade/rest-api/Modify-Order
+     * @param symbol symbol if the market
+     * @param orderId the order to modify, or origClientOrderId in params
+     * @param side the side of the order, it can't change
+     * @param quantity the new quantity
+     * @param price the new price, or priceMatch in params
+     * @param params extra parameters to be sent in the request
+     * @returns the modified order
+     */
+    async futuresModifyOrder(symbol: string, orderId: number | string | undefined, side: OrderSide, quantity: number | string, price?: number | string, params: Dict = {}): Promise<FuturesOrder> {
+        if (this.orderValidationPolicy) [quantity, price] = await this.applyOrderValidation('futures', 'LIMIT', side, symbol, quantity, price, params, true);
+        return await this.privateFuturesRequest('v1/order', this.modifyOrderPayload(symbol, orderId, side, quantity, price, params), 'PUT');
+    }
+
+    /**
+     * Modifies up to 5 open LIMIT orders in one request, each one is validated like futuresModifyOrder
+     * @see https://developers.binance.com/docs/derivatives/usds-margined-futures/trade/rest-api/Modify-Multiple-Orders
+     * @param orders the modifications, each with symbol, side, quantity, price and orderId or origClientOrderId
+     * @returns the modified orders, or the {code, msg} error of each modification that failed, in the same order
+     */
+    async futuresModifyMultipleOrders(orders: FuturesOrderModification[] = [], params: Dict = {}): Promise<(FuturesOrder | { code: number, msg: string })[]> {
+        if (orders.length > 5) throw new Error(`futuresModifyMultipleOrders: at most 5 orders can be modified at once, got ${orders.length}`);
+        const modifications: Dict[] = [];
+        for (const order of orders) {
+            const modification = this.extend(order);
+            if (this.orderValidationPolicy) {
+                [modification.quantity, modification.price] = await this.applyOrderValidation('futures', 'LIMIT', order.side, order.symbol, order.quantity, order.price, modification, true);
+            }
+            modifications.push(modification);
+        }
+        const batchOrders = JSON.stringify(modifications.map(order => this.preciseParams(order)));
+        return await this.privateFuturesRequest('v1/batchOrders', this.extend({ batchOrders }, params), 'PUT');
+    }
+
+    /**
+     * Gets the modification history of an order, or of the orders of a symbol
+     * @see https://developers.binance.com/docs/derivatives/usds-margined-futures/trade/rest-api/Get-Order-Modify-History
+     * @param symbol symbol if the market
+     * @param params orderId or origClientOrderId, startTime, endTime, limit
+     * @returns the amendments, latest first
+     */
+    async futuresOrderAmendment(symbol: string, params: Dict = {}): Promise<FuturesOrderAmendment[]> {
+        return await this.privateFuturesRequest('v1/orderAmendment', this.extend({ symbol }, params));
+    }
+
     // futuresOrder, // side symbol quantity [price] [params]
 
     /**
@@ -4445,7 +6180,7 @@ export default class Binance {
      * @param params extra parameters to be sent in the request
      * @returns
      */
-    async futuresTransferAsset(asset: string, amount: number, type: string, params: Dict = {}) {
+    async futuresTransferAsset(asset: string, amount: number | string, type: string, params: Dict = {}) {
         params = Object.assign({ asset, amount, type });
         return await this.privateSpotRequest('v1/futures/transfer', params, 'POST');
     }
@@ -4482,10 +6217,7 @@ export default class Binance {
     All Market Liquidation Order Streams: !forceOrder@arr
     Liquidation Order Streams for specific symbol: <symbol>@forceOrder
     Chart data (250ms): <symbol>@kline_<interval>
-    SUBSCRIBE, UNSUBSCRIBE, LIST_SUBSCRIPTIONS, SET_PROPERTY, GET_PROPERTY
-    Live Subscribing/Unsubscribing to streams: requires sending futures subscription id when connecting
-    futuresSubscriptions { "method": "LIST_SUBSCRIPTIONS", "id": 1 }
-    futuresUnsubscribe { "method": "UNSUBSCRIBE", "params": [ "btcusdt@depth" ], "id": 1 }
+    SET_PROPERTY, GET_PROPERTY (SUBSCRIBE, UNSUBSCRIBE and LIST_SUBSCRIPTIONS: see futuresLiveSubscribe)
     futures depthCache
     */
 
@@ -4524,7 +6256,10 @@ export default class Binance {
     }
 
     async deliveryExchangeInfo(params: Dict = {}) {
-        return await this.publicDeliveryRequest('v1/exchangeInfo', params);
+        const res = await this.publicDeliveryRequest('v1/exchangeInfo', params);
+        if (res && res.rateLimits) this.rateLimiter.setLimits('dapi', res.rateLimits);
+        this.marketMetadata.update('delivery', res, !Object.keys(params).length);
+        return res;
     }
 
     async deliveryPrices(params: Dict = {}) {
@@ -4654,7 +6389,7 @@ export default class Binance {
     }
 
     // type: 1: Add postion margin，2: Reduce postion margin
-    async deliveryPositionMargin(symbol: string, amount: number, type = 1, params: Dict = {}) {
+    async deliveryPositionMargin(symbol: string, amount: number | string, type = 1, params: Dict = {}) {
         params.symbol = symbol;
         params.amount = amount;
         params.type = type;
@@ -4692,19 +6427,19 @@ export default class Binance {
         return symbol ? data : data.reduce((out, i) => ((out[i.symbol] = i), out), {});
     }
 
-    async deliveryBuy(symbol: string, quantity: number, price: number, params: Dict = {}) {
+    async deliveryBuy(symbol: string, quantity: number | string, price: number | string, params: Dict = {}) {
         return await this.deliveryOrder('LIMIT', 'BUY', symbol, quantity, price, params);
     }
 
-    async deliverySell(symbol: string, quantity: number, price: number, params: Dict = {}) {
+    async deliverySell(symbol: string, quantity: number | string, price: number | string, params: Dict = {}) {
         return await this.deliveryOrder('LIMIT', 'SELL', symbol, quantity, price, params);
     }
 
-    async deliveryMarketBuy(symbol: string, quantity: number, params: Dict = {}) {
+    async deliveryMarketBuy(symbol: string, quantity: number | string, params: Dict = {}) {
         return await this.deliveryOrder('MARKET', 'BUY', symbol, quantity, undefined, params);
     }
 
-    async deliveryMarketSell(symbol: string, quantity: number, params: Dict = {}) {
+    async deliveryMarketSell(symbol: string, quantity: number | string, params: Dict = {}) {
         return await this.deliveryOrder('MARKET', 'SELL', symbol, quantity, undefined, params);
     }
 
@@ -4720,6 +6455,22 @@ export default class Binance {
         return await this.privateDeliveryRequest('v1/order', params, 'DELETE');
     }
 
+    /**
+     * Modifies the price and quantity of an open LIMIT order, it keeps its orderId but goes to the back of the queue
+     * @see https://developers.binance.com/docs/derivatives/coin-margined-futures/trade/rest-api/Modify-Order
+     * @param symbol symbol if the market
+     * @param orderId the order to modify, or origClientOrderId in params
+     * @param side the side of the order, it can't change
+     * @param quantity the new quantity, in contracts
+     * @param price the new price, or priceMatch in params
+     * @param params extra parameters to be sent in the request
+     * @returns the modified order
+     */
+    async deliveryModifyOrder(symbol: string, orderId: number | string | undefined, side: OrderSide, quantity: number | string, price?: number | string, params: Dict = {}): Promise<FuturesOrder> {
+        if (this.orderValidationPolicy) [quantity, price] = await this.applyOrderValidation('delivery', 'LIMIT', side, symbol, quantity, price, params, true);
+        return await this.privateDeliveryRequest('v1/order', this.modifyOrderPayload(symbol, orderId, side, quantity, price, params), 'PUT');
+    }
+
     async deliveryCancelAll(symbol: string, params: Dict = {}) {
         params.symbol = symbol;
         return await this.privateDeliveryRequest('v1/allOpenOrders', params, 'DELETE');
@@ -4763,7 +6514,7 @@ export default class Binance {
      * @param {string} isIsolated - the isolate margin option
      * @return {undefined}
      */
-    async mgOrder(type: OrderType, side: string, symbol: string, quantity: number, price: number, params: Dict = {}, isIsolated = 'FALSE') {
+    async mgOrder(type: OrderType, side: string, symbol: string, quantity: number | string, price: number | string, params: Dict = {}, isIsolated = 'FALSE') {
         return await this.marginOrder(type, side, symbol, quantity, price, { ...params, isIsolated });
     }
 
@@ -4777,7 +6528,7 @@ export default class Binance {
      * @param {string} isIsolated - the isolate margin option
      * @return {undefined}
      */
-    async mgBuy(symbol: string, quantity: number, price: number, params: Dict = {}, isIsolated = 'FALSE') {
+    async mgBuy(symbol: string, quantity: number | string, price: number | string, params: Dict = {}, isIsolated = 'FALSE') {
         return await this.marginOrder('LIMIT', 'BUY', symbol, quantity, price, { ...params, isIsolated });
     }
 
@@ -4791,7 +6542,7 @@ export default class Binance {
      * @param {string} isIsolated - the isolate margin option
      * @return {undefined}
      */
-    async mgSell(symbol: string, quantity: number, price: number, flags: Dict = {}, isIsolated = 'FALSE') {
+    async mgSell(symbol: string, quantity: number | string, price: number | string, flags: Dict = {}, isIsolated = 'FALSE') {
         return await this.marginOrder('LIMIT', 'SELL', symbol, quantity, price, { ...flags, isIsolated });
     }
 
@@ -4804,7 +6555,7 @@ export default class Binance {
      * @param {string} isIsolated - the isolate margin option
      * @return {undefined}
      */
-    async mgMarketBuy(symbol: string, quantity: number, params: Dict = {}, isIsolated = 'FALSE') {
+    async mgMarketBuy(symbol: string, quantity: number | string, params: Dict = {}, isIsolated = 'FALSE') {
         return await this.marginOrder('MARKET', 'BUY', symbol, quantity, 0, { ...params, isIsolated });
     }
 
@@ -4817,7 +6568,7 @@ export default class Binance {
      * @param {string} isIsolated - the isolate margin option
      * @return {undefined}
      */
-    async mgMarketSell(symbol: string, quantity: number, params: Dict = {}, isIsolated = 'FALSE') {
+    async mgMarketSell(symbol: string, quantity: number | string, params: Dict = {}, isIsolated = 'FALSE') {
         return await this.marginOrder('MARKET', 'SELL', symbol, quantity, 0, { ...params, isIsolated });
     }
 
@@ -4892,7 +6643,7 @@ export default class Binance {
      * @param {object} options - additional options
      * @return {undefined}
      */
-    async mgTransferMainToMargin(asset: string, amount: number, params: Dict = {}) {
+    async mgTransferMainToMargin(asset: string, amount: number | string, params: Dict = {}) {
         params = this.extend({ asset: asset, amount: amount, type: 1 }, params);
         return await this.privateSapiRequest('v1/margin/transfer', params, 'POST');
     }
@@ -4903,7 +6654,7 @@ export default class Binance {
      * @param {number} amount - the asset
      * @return {undefined}
      */
-    async mgTransferMarginToMain(asset: string, amount: number, params: Dict = {}) {
+    async mgTransferMarginToMain(asset: string, amount: number | string, params: Dict = {}) {
         const parameters = Object.assign({ asset: asset, amount: amount, type: 2 });
         return await this.privateSapiRequest('v1/margin/transfer', this.extend(parameters, params), 'POST');
     }
@@ -4936,7 +6687,7 @@ export default class Binance {
     * @param {object} options - additional options
     * @return {undefined}
     */
-    async transferMainToFutures(asset: string, amount: number) {
+    async transferMainToFutures(asset: string, amount: number | string) {
         return await this.transferBetweenMainAndFutures(asset, amount, 1);
     }
 
@@ -4947,7 +6698,7 @@ export default class Binance {
  (optionnal)
  * @return {undefined}
  */
-    async transferFuturesToMain(asset: string, amount: number) {
+    async transferFuturesToMain(asset: string, amount: number | string) {
         return await this.transferBetweenMainAndFutures(asset, amount, 2);
     }
 
@@ -4959,7 +6710,7 @@ export default class Binance {
      * @param {object} options - additional options
      * @return {undefined}
      */
-    async transferMainToDelivery(asset: string, amount: number) {
+    async transferMainToDelivery(asset: string, amount: number | string) {
         return await this.transferBetweenMainAndFutures(asset, amount, 3);
     }
 
@@ -4969,7 +6720,7 @@ export default class Binance {
  * @param {number} amount - the asset
  * @return {undefined}
  */
-    async transferDeliveryToMain(asset: string, amount: number) {
+    async transferDeliveryToMain(asset: string, amount: number | string) {
         return await this.transferBetweenMainAndFutures(asset, amount, 4);
     }
 
@@ -4990,7 +6741,7 @@ export default class Binance {
      * @param {string} symbol - symbol for isolated margin
      * @return {undefined}
      */
-    async mgBorrow(asset: string, amount: number, isIsolated = 'FALSE', symbol?: string, params: Dict = {}) {
+    async mgBorrow(asset: string, amount: number | string, isIsolated = 'FALSE', symbol?: string, params: Dict = {}) {
         const parameters = Object.assign({ asset: asset, amount: amount });
         if (isIsolated === 'TRUE' && !symbol) throw new Error('If "isIsolated" = "TRUE", "symbol" must be sent');
         const isolatedObj = isIsolated === 'TRUE' ? {
@@ -5030,7 +6781,7 @@ export default class Binance {
      * @param {string} symbol - symbol for isolated margin
      * @return {undefined}
      */
-    async mgRepay(asset: string, amount: number, isIsolated = 'FALSE', symbol?: string, params: Dict = {}) {
+    async mgRepay(asset: string, amount: number | string, isIsolated = 'FALSE', symbol?: string, params: Dict = {}) {
         const parameters = Object.assign({ asset: asset, amount: amount });
         if (isIsolated === 'TRUE' && !symbol) throw new Error('If "isIsolated" = "TRUE", "symbol" must be sent');
         const isolatedObj = isIsolated === 'TRUE' ? {
@@ -5200,6 +6951,121 @@ export default class Binance {
         return (subscription as any).url;
     }
 
+    /**
+     * Futures local order book: a v1/depth snapshot kept up to date with the diff depth stream.
+     * A gap in the pu chain resyncs the symbol from a new snapshot without closing the socket,
+     * read the book with getDepthCache(symbol, 'futures'), sortBids, sortAsks and depthVolume
+     * @param {array/string} symbols - an array or string of symbols to query
+     * @param {function} callback - called with the symbol, the depth cache and its context after each update
+     * @param {int} limit - snapshot depth: 5, 10, 20, 50, 100, 500 or 1000
+     * @return {string} the websocket endpoint
+     */
+    futuresDepthCacheStream(symbols: string[] | string, callback?: Callback, limit = 500) {
+        return this.derivativesDepthCacheStream('futures', symbols, callback, limit);
+    }
+
+    /**
+     * Futures WebSocket partial book depth: the best bids and asks of symbols
+     * @param {array/string} symbols - an array or string of symbols to query
+     * @param {function} callback - called with an OrderBook for every update
+     * @param {int} levels - 5, 10 or 20
+     * @param {int} speed - update speed in ms: 250, 500 or 100 (default)
+     * @return {string} the websocket endpoint
+     */
+    futuresPartialDepthStream(symbols: string[] | string, callback: Callback, levels = 20, speed = 100) {
+        return this.partialBookDepthStream('futures', symbols, callback, levels, speed);
+    }
+
+    /**
+     * Local order book of a futures or delivery market, see futuresDepthCacheStream
+     * @param {string} market - futures or delivery
+     * @param {array/string} symbols - an array or string of symbols to query
+     * @param {function} callback - called with the symbol, the depth cache and its context after each update
+     * @param {int} limit - snapshot depth
+     * @return {string} the websocket endpoint
+     */
+    derivativesDepthCacheStream(market: 'futures' | 'delivery', symbols: string[] | string, callback?: Callback, limit = 500) {
+        const name = market + 'DepthCacheStream';
+        const reconnect = () => {
+            if (this.Options.reconnect) this.derivativesDepthCacheStream(market, symbols, callback, limit);
+        };
+        const books = this.depthCaches(market), contexts = this.depthCacheContexts(market);
+        const symbolDepthInit = symbol => {
+            // the resync counters survive a reconnect, like the spot depth cache context
+            const previous = contexts[symbol] || {};
+            contexts[symbol] = { snapshotUpdateId: null, lastEventUpdateId: null, messageQueue: [], resyncCount: previous.resyncCount || 0, lastResyncTime: previous.lastResyncTime };
+            books[symbol] = { bids: {}, asks: {}};
+        };
+
+        // events are queued until a snapshot arrives, the first queued event requests it
+        const requestSnapshot = async (symbol: string) => {
+            const context = contexts[symbol];
+            if (context.snapshotPending || Date.now() - (context.snapshotFailed || 0) < 1000) return;
+            context.snapshotPending = true;
+            try {
+                const json = await (market === 'futures' ? this.publicFuturesRequest('v1/depth', { symbol, limit }) : this.publicDeliveryRequest('v1/depth', { symbol, limit }));
+                if (contexts[symbol] !== context) return;
+                books[symbol] = this.depthData(json);
+                context.snapshotUpdateId = json.lastUpdateId;
+                const queue = context.messageQueue.filter(depth => depth.u >= context.snapshotUpdateId);
+                delete context.messageQueue;
+                for (const depth of queue) {
+                    if (!applyDepth(depth)) return;
+                }
+                if (callback) callback(symbol, books[symbol], context);
+            } catch (error) {
+                context.snapshotFailed = Date.now();
+                this.Options.log(`${name}: [${symbol}] snapshot failed: ${error.message}`);
+            } finally {
+                context.snapshotPending = false;
+            }
+        };
+
+        const resync = (symbol: string, depth, error: Error) => {
+            const context = contexts[symbol];
+            context.snapshotUpdateId = null;
+            context.lastEventUpdateId = null;
+            context.messageQueue = [depth];
+            this.countDepthResync(market, symbol, context, error.message);
+            requestSnapshot(symbol);
+        };
+
+        const applyDepth = depth => {
+            try {
+                this.futuresDepthHandler(depth, market);
+                return true;
+            } catch (error) {
+                resync(depth.s, depth, error);
+                return false;
+            }
+        };
+
+        const handleDepthStreamData = depth => {
+            const symbol = depth.s;
+            const context = contexts[symbol];
+            if (!context) return;
+            if (context.messageQueue) {
+                context.messageQueue.push(depth);
+                requestSnapshot(symbol);
+            } else if (applyDepth(depth)) {
+                if (callback) callback(symbol, books[symbol], context);
+            }
+        };
+
+        let subscription;
+        if (Array.isArray(symbols)) {
+            if (!this.isArrayUnique(symbols)) throw Error(name + ': "symbols" cannot contain duplicate elements.');
+            symbols.forEach(symbolDepthInit);
+            const streams = symbols.map(symbol => symbol.toLowerCase() + '@depth@100ms');
+            subscription = market === 'futures' ? this.futuresSubscribe(streams, handleDepthStreamData, { reconnect }) : this.deliverySubscribe(streams, handleDepthStreamData, { reconnect });
+        } else {
+            symbolDepthInit(symbols);
+            const endpoint = symbols.toLowerCase() + '@depth@100ms';
+            subscription = market === 'futures' ? this.futuresSubscribeSingle(endpoint, handleDepthStreamData, { reconnect }) : this.deliverySubscribeSingle(endpoint, handleDepthStreamData, { reconnect });
+        }
+        return (subscription as any).url;
+    }
+
     /**
      * Websocket futures klines
      * @param {array/string} symbols - an array or string of symbols to query
@@ -5428,6 +7294,30 @@ export default class Binance {
         return (subscription as any).url;
     }
 
+    /**
+     * COIN-M delivery local order book, kept apart from the spot and futures depth caches.
+     * Same synchronisation and resync as futuresDepthCacheStream, read it with getDepthCache(symbol, 'delivery')
+     * @param {array/string} symbols - an array or string of symbols to query, e.g. BTCUSD_PERP
+     * @param {function} callback - called with the symbol, the depth cache and its context after each update
+     * @param {int} limit - snapshot depth: 5, 10, 20, 50, 100, 500 or 1000
+     * @return {string} the websocket endpoint
+     */
+    deliveryDepthCacheStream(symbols: string[] | string, callback?: Callback, limit = 500) {
+        return this.derivativesDepthCacheStream('delivery', symbols, callback, limit);
+    }
+
+    /**
+     * Delivery WebSocket partial book depth: the best bids and asks of symbols
+     * @param {array/string} symbols - an array or string of symbols to query, e.g. BTCUSD_PERP
+     * @param {function} callback - called with an OrderBook for every update
+     * @param {int} levels - 5, 10 or 20
+     * @param {int} speed - update speed in ms: 250, 500 or 100 (default)
+     * @return {string} the websocket endpoint
+     */
+    deliveryPartialDepthStream(symbols: string[] | string, callback: Callback, levels = 20, speed = 100) {
+        return this.partialBookDepthStream('delivery', symbols, callback, levels, speed);
+    }
+
     /**
      * Websocket delivery klines
      * @param {array/string} symbols - an array or string of symbols to query
@@ -5753,6 +7643,61 @@ export default class Binance {
         return (subscription as any).url;
     }
 
+    /**
+     * Websocket partial book depth: the best bids and asks of symbols, no snapshot synchronisation needed
+     * @param {array/string} symbols - an array or string of symbols to query
+     * @param {function} callback - called with an OrderBook for every update
+     * @param {int} levels - 5, 10 or 20
+     * @param {int} speed - update speed in ms: 1000 or 100 (default)
+     * @return {string} the websocket endpoint
+     */
+    partialDepthStream(symbols: string[] | string, callback: Callback, levels = 20, speed = 100) {
+        return this.partialBookDepthStream('spot', symbols, callback, levels, speed);
+    }
+
+    /**
+     * Subscribes to <symbol>@depth<levels> of spot, futures or delivery and parses the updates with parseOrderBook
+     * @param {string} market - spot, futures or delivery
+     * @param {array/string} symbols - an array or string of symbols to query
+     * @param {function} callback - called with an OrderBook for every update
+     * @param {int} levels - 5, 10 or 20
+     * @param {int} speed - update speed in ms, the default speed of the market leaves the suffix out of the stream name
+     * @return {string} the websocket endpoint
+     */
+    partialBookDepthStream(market: StreamMarket, symbols: string[] | string, callback: Callback, levels = 20, speed = 100) {
+        const name = market === 'spot' ? 'partialDepthStream' : market + 'PartialDepthStream';
+        if (![5, 10, 20].includes(Number(levels))) throw Error(`${name}: "levels" must be 5, 10 or 20.`);
+        const reconnect = () => {
+            if (this.Options.reconnect) this.partialBookDepthStream(market, symbols, callback, levels, speed);
+        };
+        // spot updates every 1000ms and futures every 250ms without a speed suffix
+        const defaultSpeed = market === 'spot' ? 1000 : 250;
+        const suffix = '@depth' + levels + (Number(speed) === defaultSpeed ? '' : `@${speed}ms`);
+        // spot partial depth carries no symbol, it comes from the stream name
+        const handler = (symbol?: string) => (data, stream?: string) => {
+            if (stream) symbol = stream.split('@')[0].toUpperCase();
+            const book = this.parseOrderBook({ lastUpdateId: data.lastUpdateId || data.u, bids: data.bids || data.b, asks: data.asks || data.a }, data.s || symbol);
+            if (data.E) book.eventTime = data.E;
+            if (data.T) book.transactionTime = data.T;
+            callback(book);
+        };
+        let subscription;
+        if (Array.isArray(symbols)) {
+            if (!this.isArrayUnique(symbols)) throw Error(`${name}: "symbols" cannot contain duplicate elements.`);
+            const streams = symbols.map(symbol => symbol.toLowerCase() + suffix);
+            if (market === 'spot') subscription = this.subscribeCombined(streams, handler(), reconnect, undefined, undefined, true);
+            else if (market === 'futures') subscription = this.futuresSubscribe(streams, handler(), { reconnect, withStreamName: true });
+            else subscription = this.deliverySubscribe(streams, handler(), { reconnect, withStreamName: true });
+        } else {
+            const endpoint = symbols.toLowerCase() + suffix;
+            const depthHandler = handler(symbols.toUpperCase());
+            if (market === 'spot') subscription = this.subscribe(endpoint, depthHandler, reconnect);
+            else if (market === 'futures') subscription = this.futuresSubscribeSingle(endpoint, depthHandler, { reconnect });
+            else subscription = this.deliverySubscribeSingle(endpoint, depthHandler, { reconnect });
+        }
+        return (subscription as any).url;
+    }
+
     async mapLimit(array, limit, asyncFn) {
         const results = [];
         let i = 0;
@@ -5796,16 +7741,44 @@ export default class Binance {
             }
         };
 
+        // a gap resyncs only the broken symbol: its book is emptied and its diffs are queued until a new snapshot arrives
+        const resyncSymbol = (symbol: string, depth, error: Error) => {
+            const context = this.depthCacheContext[symbol];
+            context.snapshotUpdateId = null;
+            context.lastEventUpdateId = null;
+            context.messageQueue = [depth];
+            this.depthCache[symbol] = { bids: {}, asks: {}};
+            this.countDepthResync('spot', symbol, context, error.message);
+            requestResyncSnapshot(symbol);
+        };
+
+        // fetches the snapshot of the first sync or of a resync, a failure is retried by the next diff of the symbol
+        const requestResyncSnapshot = async (symbol: string) => {
+            const context = this.depthCacheContext[symbol];
+            if (context.snapshotPending || Date.now() - (context.snapshotFailed || 0) < 1000) return;
+            context.snapshotPending = true;
+            try {
+                const json = await getSymbolDepthSnapshot(symbol);
+                updateSymbolDepthCache(json);
+            } catch (error) {
+                context.snapshotFailed = Date.now();
+                this.Options.log(`depthCacheStream: [${symbol}] snapshot failed: ${error.message}`);
+            } finally {
+                context.snapshotPending = false;
+            }
+        };
+
         const handleDepthStreamData = depth => {
             const symbol = depth.s;
             const context = this.depthCacheContext[symbol];
             if (context.messageQueue && !context.snapshotUpdateId) {
                 context.messageQueue.push(depth);
+                requestResyncSnapshot(symbol);
             } else {
                 try {
                     this.depthHandler(depth);
                 } catch (err) {
-                    return this.terminate(context.endpointId, true);
+                    return resyncSymbol(symbol, depth, err);
                 }
                 if (callback) callback(symbol, this.depthCache[symbol], context);
             }
@@ -5851,38 +7824,15 @@ export default class Binance {
             const streams = symbols.map(function (symbol) {
                 return symbol.toLowerCase() + `@depth@100ms`;
             });
-            const mapLimit = this.mapLimit.bind(this);
-            subscription = this.subscribeCombined(streams, handleDepthStreamData, reconnect, function () {
-                // async.mapLimit(symbols, 50, getSymbolDepthSnapshot, (err, results) => {
-                //     if (err) throw err;
-                //     results.forEach(updateSymbolDepthCache);
-                // });
-                mapLimit(symbols, 50, getSymbolDepthSnapshot)
-                    .then(results => {
-                        results.forEach(updateSymbolDepthCache);
-                    })
-                    .catch(err => {
-                        throw err;
-                    });
+            subscription = this.subscribeCombined(streams, handleDepthStreamData, reconnect, () => {
+                this.mapLimit(symbols, 50, requestResyncSnapshot);
             });
             symbols.forEach(s => assignEndpointIdToContext(s, subscription.endpoint));
         } else {
             const symbol = symbols;
             symbolDepthInit(symbol);
-            const mapLimit = this.mapLimit.bind(this);
-            subscription = this.subscribe(symbol.toLowerCase() + `@depth@100ms`, handleDepthStreamData, reconnect, function () {
-                // async.mapLimit([symbol], 1, getSymbolDepthSnapshot, (err, results) => {
-                //     if (err) throw err;
-                //     results.forEach(updateSymbolDepthCache);
-                // });
-                mapLimit([symbol], 1, getSymbolDepthSnapshot)
-                    .then(results => {
-                        results.forEach(updateSymbolDepthCache);
-                    })
-                    .catch(err => {
-                        throw err;
-                    });
-
+            subscription = this.subscribe(symbol.toLowerCase() + `@depth@100ms`, handleDepthStreamData, reconnect, () => {
+                requestResyncSnapshot(symbol);
             });
             assignEndpointIdToContext(symbol, subscription.endpoint);
         }
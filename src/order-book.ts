@@ -0,0 +1,215 @@
+export type PriceLevels = { [price: string]: number | string }; // decimal strings in precise mode
+
+// eslint-disable-next-line no-unused-vars
+export type PriceLevel = [price: string, quantity: number | string];
+
+/**
+ * One side of a local order book. The levels stay in the plain object the depth cache always exposed
+ * (price string => quantity), next to it a sorted price index gives the best level in O(1), the top N
+ * levels without sorting and binary searched updates. The index is a sorted array: finding a level is
+ * O(log n), adding or removing one moves the rest of the array, which is cheap at order book sizes.
+ */
+export class OrderBookSide {
+    levels: PriceLevels;
+    descending: boolean; // bids: highest price first
+    prices: number[] = []; // best first
+    keys: string[] = []; // the price strings of levels, same order as prices
+
+    constructor(levels: PriceLevels, descending: boolean) {
+        this.levels = levels;
+        this.descending = descending;
+        this.rebuild();
+    }
+
+    /**
+     * Sorts the index again from the levels object
+     * @return {undefined}
+     */
+    rebuild() {
+        this.keys = Object.keys(this.levels).sort((a, b) => this.descending ? parseFloat(b) - parseFloat(a) : parseFloat(a) - parseFloat(b));
+        this.prices = this.keys.map(key => parseFloat(key));
+    }
+
+    /**
+     * Binary search for the position of a price
+     * @param {number} price - the price
+     * @return {number} - index of the first level that is not better than price
+     */
+    position(price: number): number {
+        let low = 0, high = this.prices.length;
+        while (low < high) {
+            const middle = (low + high) >>> 1;
+            const better = this.descending ? this.prices[middle] > price : this.prices[middle] < price;
+            if (better) low = middle + 1;
+            else high = middle;
+        }
+        return low;
+    }
+
+    /**
+     * Sets the quantity of a price level, a zero quantity removes it
+     * @param {string} key - the price as sent by binance
+     * @param {number|string} quantity - the quantity
+     * @return {undefined}
+     */
+    set(key: string, quantity: number | string) {
+        if (Number(quantity) === 0) return this.delete(key);
+        if (!Object.prototype.hasOwnProperty.call(this.levels, key)) {
+            const price = parseFloat(key);
+            const index = this.position(price);
+            this.prices.splice(index, 0, price);
+            this.keys.splice(index, 0, key);
+        }
+        this.levels[key] = quantity;
+    }
+
+    /**
+     * Removes a price level
+     * @param {string} key - the price as sent by binance
+     * @return {undefined}
+     */
+    delete(key: string) {
+        if (!Object.prototype.hasOwnProperty.call(this.levels, key)) return;
+        delete this.levels[key];
+        const price = parseFloat(key);
+        let index = this.position(price);
+        // the same price written differently, e.g. 1.0 and 1.00
+        while (index < this.keys.length && this.keys[index] !== key && this.prices[index] === price) index++;
+        if (this.keys[index] !== key) return this.rebuild();
+        this.prices.splice(index, 1);
+        this.keys.splice(index, 1);
+    }
+
+    /**
+     * The best level: highest bid or lowest ask
+     * @return {array} - [price, quantity], undefined when the side is empty
+     */
+    best(): PriceLevel {
+        if (!this.keys.length) return undefined;
+        return [this.keys[0], this.levels[this.keys[0]]];
+    }
+
+    /**
+     * The best levels, best first
+     * @param {number} count - number of levels, all when omitted
+     * @return {array} - [price, quantity] pairs
+     */
+    top(count = Infinity): PriceLevel[] {
+        return this.keys.slice(0, count).map(key => [key, this.levels[key]] as PriceLevel);
+    }
+
+    get size(): number {
+        return this.keys.length;
+    }
+}
+
+export interface OrderBookSides {
+    bids: OrderBookSide;
+    asks: OrderBookSide;
+}
+
+/**
+ * The sorted sides of a depth cache book ({ bids, asks } objects), created on first use and kept as a
+ * non enumerable property so the book still serializes and compares as before. Replacing the bids or
+ * asks object of the book rebuilds the index.
+ * @param {object} book - the depth cache of a symbol
+ * @return {object} - bids and asks OrderBookSide
+ */
+export function orderBookSides(book: { bids: PriceLevels, asks: PriceLevels, [key: string]: any }): OrderBookSides {
+    let sides: OrderBookSides = book.sides;
+    if (!sides || sides.bids.levels !== book.bids || sides.asks.levels !== book.asks) {
+        sides = { bids: new OrderBookSide(book.bids, true), asks: new OrderBookSide(book.asks, false) };
+        Object.defineProperty(book, 'sides', { value: sides, enumerable: false, writable: true, configurable: true });
+    }
+    return sides;
+}
+
+export interface FillEstimate {
+    side: 'BUY' | 'SELL';
+    quantity: number; // base asset filled
+    quoteQuantity: number; // quote asset spent (BUY) or received (SELL)
+    averagePrice: number; // volume weighted fill price
+    worstPrice: number; // price of the last level consumed
+    midPrice: number;
+    slippageBps: number; // average price versus mid price in basis points, positive is worse than mid
+    levels: number; // price levels consumed
+    filled: boolean; // false when the book is not deep enough
+    remaining: number; // the unfilled part, in base or quote asset like the requested amount
+}
+
+/**
+ * Walks the book like a market order would: a BUY takes the asks, a SELL the bids
+ * @param {object} sides - the sorted sides of the book
+ * @param {string} side - BUY or SELL
+ * @param {number} amount - base asset quantity, or quote asset quantity when quote is true
+ * @param {boolean} quote - amount is in the quote asset (quoteOrderQty)
+ * @return {object} - the fill estimate, undefined when the side taken is empty
+ */
+export function estimateFill(sides: OrderBookSides, side: 'BUY' | 'SELL', amount: number, quote = false): FillEstimate {
+    const book = side === 'BUY' ? sides.asks : sides.bids;
+    if (!book.size) return undefined;
+    let remaining = amount, quantity = 0, quoteQuantity = 0, levels = 0, worstPrice = 0;
+    for (let index = 0; index < book.size && remaining > 0; index++) {
+        const price = book.prices[index], available = Number(book.levels[book.keys[index]]);
+        const levelAmount = quote ? available * price : available;
+        let taken = available;
+        if (levelAmount >= remaining) {
+            taken = quote ? remaining / price : remaining;
+            remaining = 0;
+        } else remaining -= levelAmount;
+        quantity += taken;
+        quoteQuantity += taken * price;
+        worstPrice = price;
+        levels++;
+    }
+    const midPrice = bookMidPrice(sides);
+    const averagePrice = quantity ? quoteQuantity / quantity : 0;
+    let slippageBps = 0;
+    if (midPrice && averagePrice) slippageBps = (side === 'BUY' ? averagePrice - midPrice : midPrice - averagePrice) / midPrice * 10000;
+    return { side, quantity, quoteQuantity, averagePrice, worstPrice, midPrice, slippageBps, levels, filled: remaining === 0, remaining };
+}
+
+/**
+ * Best ask minus best bid
+ * @param {object} sides - the sorted sides of the book
+ * @return {number} - the spread, undefined when a side is empty
+ */
+export function bookSpread(sides: OrderBookSides): number {
+    if (!sides.bids.size || !sides.asks.size) return undefined;
+    return sides.asks.prices[0] - sides.bids.prices[0];
+}
+
+/**
+ * Average of the best bid and ask
+ * @param {object} sides - the sorted sides of the book
+ * @return {number} - the mid price, undefined when a side is empty
+ */
+export function bookMidPrice(sides: OrderBookSides): number {
+    if (!sides.bids.size || !sides.asks.size) return undefined;
+    return (sides.asks.prices[0] + sides.bids.prices[0]) / 2;
+}
+
+/**
+ * Mid price weighted by the quantities at the best bid and ask, it leans towards the side with less quantity
+ * @param {object} sides - the sorted sides of the book
+ * @return {number} - the microprice, undefined when a side is empty
+ */
+export function bookMicroprice(sides: OrderBookSides): number {
+    if (!sides.bids.size || !sides.asks.size) return undefined;
+    const [bidPrice, askPrice] = [sides.bids.prices[0], sides.asks.prices[0]];
+    const [bidQuantity, askQuantity] = [Number(sides.bids.levels[sides.bids.keys[0]]), Number(sides.asks.levels[sides.asks.keys[0]])];
+    return (bidPrice * askQuantity + askPrice * bidQuantity) / (bidQuantity + askQuantity);
+}
+
+/**
+ * Order book imbalance of the best levels: (bid quantity - ask quantity) / (bid quantity + ask quantity)
+ * @param {object} sides - the sorted sides of the book
+ * @param {number} count - levels per side
+ * @return {number} - from -1 (only asks) to 1 (only bids), undefined when the book is empty
+ */
+export function bookImbalance(sides: OrderBookSides, count = Infinity): number {
+    const total = (side: OrderBookSide) => side.top(count).reduce((sum, level) => sum + Number(level[1]), 0);
+    const bidQuantity = total(sides.bids), askQuantity = total(sides.asks);
+    if (!bidQuantity && !askQuantity) return undefined;
+    return (bidQuantity - askQuantity) / (bidQuantity + askQuantity);
+}
@@ -0,0 +1,151 @@
+import { OrderValidationError } from './errors.js';
+import { SymbolMetadata } from './market-metadata.js';
+import { DecimalInput, RoundingMode, compareDecimals, floatToDecimalString, isMultipleOf, multiplyDecimals, roundToIncrement, toDecimalString } from './decimal.js';
+
+export interface OrderValidationOptions {
+    round: boolean; // round price and quantity to the tick and step size, false rejects values off the grid
+    priceRounding: RoundingMode; // direction of the price rounding
+    quantityRounding: RoundingMode; // direction of the quantity rounding, down never trades more than asked
+    marketChecks: boolean; // request the average (or mark) price and the open orders for PERCENT_PRICE(_BY_SIDE), MAX_NUM_ORDERS and market order notionals
+}
+
+export const defaultOrderValidationOptions: OrderValidationOptions = {
+    round: true,
+    priceRounding: 'nearest',
+    quantityRounding: 'down',
+    marketChecks: false,
+};
+
+/**
+ * The validation options for the orderValidation option, undefined when it is off
+ * @param {object|boolean} options - the orderValidation option
+ * @return {object} - complete options or undefined
+ */
+export function resolveOrderValidationOptions(options: Partial<OrderValidationOptions> | boolean): OrderValidationOptions | undefined {
+    if (!options) return undefined;
+    return Object.assign({}, defaultOrderValidationOptions, typeof options === 'object' ? options : {});
+}
+
+export interface OrderToValidate {
+    type: string;
+    side: string;
+    quantity?: DecimalInput;
+    price?: DecimalInput;
+    stopPrice?: DecimalInput;
+    quoteOrderQty?: DecimalInput;
+    reduceOnly?: boolean; // futures reduce only and close position orders are exempt from the notional filter
+    replacesOrder?: boolean; // modifies and cancel-replaces keep the open order count, they skip MAX_NUM_ORDERS
+}
+
+export interface OrderReference {
+    price?: DecimalInput; // average price (spot) or mark price (futures), for the percent price and market notional checks
+    openOrders?: number; // open orders on the symbol, for MAX_NUM_ORDERS
+}
+
+export interface ValidatedOrder {
+    quantity?: string;
+    price?: string;
+    stopPrice?: string;
+    quoteOrderQty?: string;
+}
+
+// a float is taken for the decimal it was meant to be, 0.1 * 3 must not round up to 0.31
+const decimal = (value: DecimalInput) => typeof value === 'number' ? floatToDecimalString(value) : toDecimalString(value);
+const isSet = (value: any) => value !== undefined && value !== null && value !== '' && value !== false;
+const isLimit = (value: any) => isSet(value) && compareDecimals(value, 0) !== 0; // a 0 bound means no bound
+
+/**
+ * Checks an order against the filters of its symbol, rounding price and quantity when the options allow it
+ * @param {object} metadata - the SymbolMetadata of the symbol
+ * @param {object} order - type, side, quantity, price, stopPrice, quoteOrderQty
+ * @param {object} options - the OrderValidationOptions
+ * @param {object} reference - optional reference price and open order count, the checks that need them are skipped without
+ * @return {object} - quantity, price, stopPrice and quoteOrderQty as exact decimal strings, only the ones the order has
+ */
+export function validateOrder(metadata: SymbolMetadata, order: OrderToValidate, options: OrderValidationOptions, reference: OrderReference = {}): ValidatedOrder {
+    const { symbol, filters } = metadata;
+    const fail = (filterType: string, message: string) => {
+        throw new OrderValidationError(`${symbol}: ${message} (${filterType})`, symbol, filterType);
+    };
+    if (metadata.status && metadata.status !== 'TRADING') fail('STATUS', `symbol status is ${metadata.status}`);
+    const market = order.type === 'MARKET';
+    const result: ValidatedOrder = {};
+
+    const fit = (field: string, input: DecimalInput, increment: string, mode: RoundingMode, filterType: string) => {
+        const value = decimal(input);
+        if (!isLimit(increment)) return value;
+        if (options.round) {
+            const rounded = roundToIncrement(value, increment, mode);
+            if (compareDecimals(rounded, 0) === 0) fail(filterType, `${field} ${value} rounds to 0 with increment ${increment}`);
+            return rounded;
+        }
+        if (!isMultipleOf(value, increment)) fail(filterType, `${field} ${value} is not a multiple of ${increment}`);
+        return value;
+    };
+    const range = (field: string, value: string, min: string, max: string, filterType: string) => {
+        if (isLimit(min) && compareDecimals(value, min) < 0) fail(filterType, `${field} ${value} is below the minimum ${min}`);
+        if (isLimit(max) && compareDecimals(value, max) > 0) fail(filterType, `${field} ${value} is above the maximum ${max}`);
+    };
+
+    const priceFilter = filters['PRICE_FILTER'];
+    for (const field of ['price', 'stopPrice']) {
+        if (!isSet(order[field]) || (field === 'price' && market)) continue;
+        if (!priceFilter) {
+            result[field] = decimal(order[field]);
+            continue;
+        }
+        result[field] = fit(field, order[field], priceFilter.tickSize, options.priceRounding, 'PRICE_FILTER');
+        range(field, result[field], priceFilter.minPrice, priceFilter.maxPrice, 'PRICE_FILTER');
+    }
+
+    if (isSet(order.quantity) && compareDecimals(order.quantity, 0) !== 0) {
+        const marketLot = filters['MARKET_LOT_SIZE'];
+        const lot = market && marketLot && isLimit(marketLot.stepSize) ? marketLot : filters['LOT_SIZE'];
+        if (lot) {
+            result.quantity = fit('quantity', order.quantity, lot.stepSize, options.quantityRounding, lot.filterType);
+            range('quantity', result.quantity, lot.minQty, lot.maxQty, lot.filterType);
+        } else result.quantity = decimal(order.quantity);
+    }
+    if (isSet(order.quoteOrderQty)) result.quoteOrderQty = decimal(order.quoteOrderQty);
+
+    // the notional of a market order is known from quoteOrderQty, or estimated from the reference price
+    const price = market ? reference.price : result.price;
+    let notional: string;
+    if (result.quoteOrderQty) notional = result.quoteOrderQty;
+    else if (result.quantity && isSet(price)) notional = multiplyDecimals(result.quantity, price);
+    if (notional && !order.reduceOnly) {
+        const minNotional = filters['MIN_NOTIONAL'];
+        if (minNotional && (!market || minNotional.applyToMarket !== false)) {
+            range('notional', notional, minNotional.minNotional || minNotional.notional, undefined, 'MIN_NOTIONAL');
+        }
+        const notionalFilter = filters['NOTIONAL'];
+        if (notionalFilter) {
+            range('notional', notional, !market || notionalFilter.applyMinToMarket !== false ? notionalFilter.minNotional : undefined,
+                !market || notionalFilter.applyMaxToMarket !== false ? notionalFilter.maxNotional : undefined, 'NOTIONAL');
+        }
+    }
+
+    if (result.price && isSet(reference.price)) {
+        const bySide = filters['PERCENT_PRICE_BY_SIDE'], percent = filters['PERCENT_PRICE'];
+        let up: string, down: string, filterType: string;
+        if (bySide) {
+            filterType = 'PERCENT_PRICE_BY_SIDE';
+            up = order.side === 'BUY' ? bySide.bidMultiplierUp : bySide.askMultiplierUp;
+            down = order.side === 'BUY' ? bySide.bidMultiplierDown : bySide.askMultiplierDown;
+        } else if (percent) {
+            filterType = 'PERCENT_PRICE';
+            up = percent.multiplierUp;
+            down = percent.multiplierDown;
+        }
+        if (filterType) {
+            range('price', result.price, isLimit(down) ? multiplyDecimals(reference.price, down) : undefined, isLimit(up) ? multiplyDecimals(reference.price, up) : undefined, filterType);
+        }
+    }
+
+    const maxOrders = filters['MAX_NUM_ORDERS'];
+    if (maxOrders && !order.replacesOrder && reference.openOrders !== undefined) {
+        const limit = Number(maxOrders.maxNumOrders || maxOrders.limit);
+        if (limit && reference.openOrders >= limit) fail('MAX_NUM_ORDERS', `${reference.openOrders} open orders, the maximum is ${limit}`);
+    }
+    return result;
+}
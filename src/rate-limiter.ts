@@ -0,0 +1,394 @@
+import { RateLimitError } from './errors.js';
+import { sleep } from './retry.js';
+
+export type RateLimitBucket = 'spot' | 'sapi' | 'fapi' | 'dapi';
+
+export type RateLimiterMode = 'wait' | 'fail';
+
+export interface RateLimiterOptions {
+    mode: RateLimiterMode; // wait until the budget frees up, or throw a RateLimitError right away
+    maxWait: number; // ms, in wait mode requests that would have to wait longer than this fail instead
+    weightMargin: number; // fraction of the request weight limit we allow ourselves to use (0-1)
+}
+
+export interface RateLimit {
+    rateLimitType: 'REQUEST_WEIGHT' | 'ORDERS' | 'RAW_REQUESTS';
+    interval: 'SECOND' | 'MINUTE' | 'HOUR' | 'DAY';
+    intervalNum: number;
+    limit: number;
+}
+
+export interface RateLimitWindow {
+    interval: string; // e.g. 1m, 10s, 1d
+    used: number;
+    limit: number;
+    remaining: number;
+}
+
+export interface RateLimitBudget {
+    bucket: RateLimitBucket;
+    usedWeight: number;
+    weightLimit: number;
+    remainingWeight: number;
+    orders: RateLimitWindow[];
+    blockedUntil: number; // timestamp set from a Retry-After header, 0 when not blocked
+}
+
+interface Window {
+    intervalMs: number;
+    limit: number;
+    used: number;
+    start: number;
+}
+
+interface Bucket {
+    weight: Window[];
+    orders: Window[];
+    blockedUntil: number;
+}
+
+const intervalUnits = { SECOND: 1000, MINUTE: 60000, HOUR: 3600000, DAY: 86400000 };
+
+// used until exchangeInfo() tells us the real values
+const defaultLimits: { [bucket: string]: RateLimit[] } = {
+    spot: [
+        { rateLimitType: 'REQUEST_WEIGHT', interval: 'MINUTE', intervalNum: 1, limit: 6000 },
+        { rateLimitType: 'ORDERS', interval: 'SECOND', intervalNum: 10, limit: 100 },
+        { rateLimitType: 'ORDERS', interval: 'DAY', intervalNum: 1, limit: 200000 },
+    ],
+    sapi: [
+        { rateLimitType: 'REQUEST_WEIGHT', interval: 'MINUTE', intervalNum: 1, limit: 12000 },
+    ],
+    fapi: [
+        { rateLimitType: 'REQUEST_WEIGHT', interval: 'MINUTE', intervalNum: 1, limit: 2400 },
+        { rateLimitType: 'ORDERS', interval: 'SECOND', intervalNum: 10, limit: 300 },
+        { rateLimitType: 'ORDERS', interval: 'MINUTE', intervalNum: 1, limit: 1200 },
+    ],
+    dapi: [
+        { rateLimitType: 'REQUEST_WEIGHT', interval: 'MINUTE', intervalNum: 1, limit: 2400 },
+        { rateLimitType: 'ORDERS', interval: 'MINUTE', intervalNum: 1, limit: 1200 },
+    ],
+};
+
+// endpoints whose weight does not depend on the parameters, anything missing weighs 1
+const fixedWeights: { [bucket: string]: { [path: string]: number } } = {
+    spot: {
+        'v3/trades': 25,
+        'v3/historicalTrades': 25,
+        'v3/aggTrades': 4,
+        'v3/klines': 2,
+        'v3/uiKlines': 2,
+        'v3/avgPrice': 2,
+        'v3/exchangeInfo': 20,
+        'v3/account': 20,
+        'v3/myTrades': 20,
+        'v3/allOrders': 20,
+        'v3/allOrderList': 20,
+        'v3/openOrderList': 6,
+        'v3/myAllocations': 20,
+        'v3/order/amend/keepPriority': 4,
+        'v3/rateLimit/order': 40,
+    },
+    sapi: {
+        'v1/capital/config/getall': 10,
+        'v1/capital/deposit/hisrec': 1,
+        'v1/capital/withdraw/history': 1, // the 18000 of the docs is UID weight, the IP limit only counts 1
+        'v1/asset/tradeFee': 1,
+        'v1/margin/allOrders': 200,
+        'v1/margin/myTrades': 10,
+        'v1/margin/openOrders': 10,
+    },
+    fapi: {
+        'v1/trades': 5,
+        'v1/historicalTrades': 20,
+        'v1/aggTrades': 20,
+        'v2/account': 5,
+        'v3/account': 5,
+        'v2/balance': 5,
+        'v3/balance': 5,
+        'v2/positionRisk': 5,
+        'v3/positionRisk': 5,
+        'v1/allOrders': 5,
+        'v1/userTrades': 5,
+        'v1/income': 30,
+        'v1/commissionRate': 20,
+        'v1/batchOrders': 5,
+    },
+    dapi: {
+        'v1/trades': 5,
+        'v1/historicalTrades': 20,
+        'v1/aggTrades': 20,
+        'v1/account': 5,
+        'v1/income': 20,
+        'v1/commissionRate': 20,
+        'v1/batchOrders': 5,
+    },
+};
+
+/**
+ * Returns the request weight of an endpoint as documented by Binance
+ * @param {string} bucket - spot, sapi, fapi or dapi
+ * @param {string} path - endpoint path without the api prefix, e.g. v3/depth
+ * @param {string} method - the http method
+ * @param {object} params - the request parameters
+ * @return {number} - the weight
+ */
+export function requestWeight(bucket: RateLimitBucket, path: string, method = 'GET', params: { [key: string]: any } = {}): number {
+    const limit = Number(params.limit) || 0;
+    const hasSymbol = params.symbol !== undefined || params.pair !== undefined;
+    if (bucket === 'spot') {
+        if (path === 'v3/depth') {
+            if (!limit || limit <= 100) return 5;
+            if (limit <= 500) return 25;
+            if (limit <= 1000) return 50;
+            return 250;
+        }
+        if (path === 'v3/ticker/24hr') return hasSymbol ? 2 : 80;
+        if (path === 'v3/ticker/price' || path === 'v3/ticker/bookTicker') return hasSymbol ? 2 : 4;
+        if (path === 'v3/openOrders') return method === 'GET' ? (hasSymbol ? 6 : 80) : 1;
+        if ((path === 'v3/order' || path === 'v3/orderList') && method === 'GET') return 4;
+    } else if (bucket === 'fapi' || bucket === 'dapi') {
+        if (path === 'v1/depth') {
+            if (limit && limit <= 50) return 2;
+            if (limit && limit <= 100) return 5;
+            if (!limit || limit <= 500) return 10;
+            return 20;
+        }
+        if (/^v1\/(klines|continuousKlines|indexPriceKlines|markPriceKlines|premiumIndexKlines)$/.test(path)) {
+            if (limit && limit < 100) return 1;
+            if (!limit || limit < 500) return 2;
+            if (limit <= 1000) return 5;
+            return 10;
+        }
+        if (path === 'v1/ticker/24hr') return hasSymbol ? 1 : 40;
+        if (path === 'v1/ticker/price' || path === 'v2/ticker/price') return hasSymbol ? 1 : 2;
+        if (path === 'v1/ticker/bookTicker') return hasSymbol ? 2 : 5;
+        if (path === 'v1/openOrders' && method === 'GET') return hasSymbol ? 1 : 40;
+        if (bucket === 'dapi' && (path === 'v1/allOrders' || path === 'v1/userTrades')) return hasSymbol ? 20 : 40;
+    }
+    return fixedWeights[bucket][path] || 1;
+}
+
+/**
+ * Tells whether a request counts towards the ORDERS rate limits
+ * @param {string} bucket - spot, sapi, fapi or dapi
+ * @param {string} path - endpoint path without the api prefix
+ * @param {string} method - the http method
+ * @return {boolean} - true for order placement and modification
+ */
+export function isOrderRequest(bucket: RateLimitBucket, path: string, method = 'GET'): boolean {
+    if (method !== 'POST' && method !== 'PUT') return false;
+    if (path.endsWith('/test')) return false;
+    if (bucket === 'spot') return /^v3\/(order|orderList\/(oco|oto|otoco)|order\/(oco|cancelReplace)|sor\/order)$/.test(path);
+    if (bucket === 'sapi') return path === 'v1/margin/order' || path === 'v1/margin/order/oco';
+    return path === 'v1/order' || path === 'v1/batchOrders';
+}
+
+function intervalName(intervalMs: number) {
+    if (intervalMs % intervalUnits.DAY === 0) return (intervalMs / intervalUnits.DAY) + 'd';
+    if (intervalMs % intervalUnits.HOUR === 0) return (intervalMs / intervalUnits.HOUR) + 'h';
+    if (intervalMs % intervalUnits.MINUTE === 0) return (intervalMs / intervalUnits.MINUTE) + 'm';
+    return (intervalMs / intervalUnits.SECOND) + 's';
+}
+
+/**
+ * Client side bookkeeping of the request weight and order count windows enforced by Binance,
+ * one independent set of windows per api (spot, sapi, fapi and dapi)
+ */
+export class RateLimiter {
+
+    options: RateLimiterOptions = {
+        mode: 'wait',
+        maxWait: 60000,
+        weightMargin: 1,
+    };
+
+    enabled = false;
+
+    buckets: { [bucket: string]: Bucket } = {};
+
+    constructor(options: Partial<RateLimiterOptions> | boolean = false) {
+        for (const bucket in defaultLimits) this.setLimits(bucket as RateLimitBucket, defaultLimits[bucket]);
+        this.configure(options);
+    }
+
+    /**
+     * Enables or disables enforcement, tracking always happens
+     * @param {object|boolean} options - true/false or the limiter options
+     * @return {undefined}
+     */
+    configure(options: Partial<RateLimiterOptions> | boolean) {
+        this.enabled = !!options;
+        if (typeof options === 'object') Object.assign(this.options, options);
+    }
+
+    /**
+     * Replaces the limits of a bucket with the ones from an exchangeInfo response
+     * @param {string} bucket - spot, sapi, fapi or dapi
+     * @param {array} rateLimits - the rateLimits array of exchangeInfo
+     * @return {undefined}
+     */
+    setLimits(bucket: RateLimitBucket, rateLimits: RateLimit[]) {
+        const previous = this.buckets[bucket];
+        const windows = { weight: [], orders: [] };
+        for (const rateLimit of rateLimits) {
+            const intervalMs = intervalUnits[rateLimit.interval] * rateLimit.intervalNum;
+            if (!intervalMs) continue;
+            const list = rateLimit.rateLimitType === 'REQUEST_WEIGHT' ? windows.weight : rateLimit.rateLimitType === 'ORDERS' ? windows.orders : undefined;
+            if (!list) continue;
+            // keep the usage we already counted for a window that still exists
+            const old = previous && previous[rateLimit.rateLimitType === 'ORDERS' ? 'orders' : 'weight'].find(w => w.intervalMs === intervalMs);
+            list.push({ intervalMs, limit: rateLimit.limit, used: old ? old.used : 0, start: old ? old.start : 0 });
+        }
+        this.buckets[bucket] = { weight: windows.weight, orders: windows.orders, blockedUntil: previous ? previous.blockedUntil : 0 };
+    }
+
+    /**
+     * Resets a window once its interval is over, windows are aligned to the clock like on the server
+     * @param {object} window - the window
+     * @param {number} now - current timestamp
+     * @return {undefined}
+     */
+    roll(window: Window, now: number) {
+        const start = Math.floor(now / window.intervalMs) * window.intervalMs;
+        if (start !== window.start) {
+            window.start = start;
+            window.used = 0;
+        }
+    }
+
+    /**
+     * How long a request has to wait before it fits in every window of the bucket
+     * @param {string} bucket - spot, sapi, fapi or dapi
+     * @param {number} weight - the request weight
+     * @param {boolean} isOrder - whether the request counts as an order
+     * @return {number} - ms to wait, 0 if the request can go now
+     */
+    delay(bucket: RateLimitBucket, weight: number, isOrder: boolean): number {
+        const state = this.buckets[bucket];
+        if (!state) return 0;
+        const now = Date.now();
+        let wait = Math.max(state.blockedUntil - now, 0);
+        const check = (window: Window, cost: number, margin: number) => {
+            this.roll(window, now);
+            const limit = Math.floor(window.limit * margin);
+            // a single request heavier than the whole budget can only go in an empty window
+            if (window.used > 0 && window.used + cost > limit) wait = Math.max(wait, window.start + window.intervalMs - now);
+        };
+        for (const window of state.weight) check(window, weight, this.options.weightMargin);
+        if (isOrder) for (const window of state.orders) check(window, 1, 1);
+        return wait;
+    }
+
+    /**
+     * Reserves budget for a request, waiting for it (wait mode) or throwing a RateLimitError (fail mode)
+     * @param {string} bucket - spot, sapi, fapi or dapi
+     * @param {number} weight - the request weight
+     * @param {boolean} isOrder - whether the request counts as an order
+     * @param {AbortSignal} signal - optional, stops waiting when aborted
+     * @return {promise} - resolves once the request may be sent
+     */
+    async acquire(bucket: RateLimitBucket, weight: number, isOrder = false, signal?: AbortSignal) {
+        // eslint-disable-next-line no-constant-condition
+        while (true) {
+            const wait = this.enabled ? this.delay(bucket, weight, isOrder) : 0;
+            if (wait <= 0) break;
+            if (this.options.mode === 'fail' || wait > this.options.maxWait) {
+                throw new RateLimitError(`Client side rate limit reached for ${bucket}, retry in ${wait}ms`, {
+                    status: 0,
+                    usedWeight: this.budget(bucket).usedWeight,
+                    retryAfter: Math.ceil(wait / 1000),
+                });
+            }
+            await sleep(wait, signal);
+        }
+        this.consume(bucket, weight, isOrder);
+    }
+
+    /**
+     * Counts a request in every window of the bucket
+     * @param {string} bucket - spot, sapi, fapi or dapi
+     * @param {number} weight - the request weight
+     * @param {boolean} isOrder - whether the request counts as an order
+     * @return {undefined}
+     */
+    consume(bucket: RateLimitBucket, weight: number, isOrder = false) {
+        const state = this.buckets[bucket];
+        if (!state) return;
+        const now = Date.now();
+        for (const window of state.weight) {
+            this.roll(window, now);
+            window.used += weight;
+        }
+        if (!isOrder) return;
+        for (const window of state.orders) {
+            this.roll(window, now);
+            window.used += 1;
+        }
+    }
+
+    /**
+     * Syncs the windows with the usage reported by the server, which also counts other clients on the same IP/account
+     * @param {string} bucket - spot, sapi, fapi or dapi
+     * @param {number} usedWeight - x-mbx-used-weight-1m
+     * @param {object} orderCount - x-mbx-order-count-* keyed by interval
+     * @return {undefined}
+     */
+    update(bucket: RateLimitBucket, usedWeight?: number, orderCount: { [interval: string]: number } = {}) {
+        const state = this.buckets[bucket];
+        if (!state) return;
+        const now = Date.now();
+        if (usedWeight !== undefined && !isNaN(usedWeight)) {
+            const window = state.weight.find(w => w.intervalMs === intervalUnits.MINUTE);
+            if (window) {
+                this.roll(window, now);
+                window.used = Math.max(window.used, usedWeight);
+            }
+        }
+        for (const window of state.orders) {
+            const count = orderCount[intervalName(window.intervalMs)];
+            if (count === undefined) continue;
+            this.roll(window, now);
+            window.used = Math.max(window.used, count);
+        }
+    }
+
+    /**
+     * Stops every request of the bucket until the Retry-After delay is over
+     * @param {string} bucket - spot, sapi, fapi or dapi
+     * @param {number} retryAfter - seconds, from the Retry-After header
+     * @return {undefined}
+     */
+    block(bucket: RateLimitBucket, retryAfter: number) {
+        const state = this.buckets[bucket];
+        if (!state || !retryAfter) return;
+        state.blockedUntil = Math.max(state.blockedUntil, Date.now() + retryAfter * 1000);
+    }
+
+    /**
+     * Returns the current usage and remaining budget of a bucket
+     * @param {string} bucket - spot, sapi, fapi or dapi
+     * @return {object} - the budget
+     */
+    budget(bucket: RateLimitBucket): RateLimitBudget {
+        const state = this.buckets[bucket];
+        if (!state) throw new Error(`Unknown rate limit bucket: ${bucket}, use spot, sapi, fapi or dapi`);
+        const now = Date.now();
+        state.weight.forEach(w => this.roll(w, now));
+        state.orders.forEach(w => this.roll(w, now));
+        const weight = state.weight.find(w => w.intervalMs === intervalUnits.MINUTE) || state.weight[0];
+        return {
+            bucket,
+            usedWeight: weight ? weight.used : 0,
+            weightLimit: weight ? weight.limit : Infinity,
+            remainingWeight: weight ? Math.max(weight.limit - weight.used, 0) : Infinity,
+            orders: state.orders.map(w => ({
+                interval: intervalName(w.intervalMs),
+                used: w.used,
+                limit: w.limit,
+                remaining: Math.max(w.limit - w.used, 0),
+            })),
+            blockedUntil: state.blockedUntil > now ? state.blockedUntil : 0,
+        };
+    }
+}
@@ -0,0 +1,101 @@
+import { BinanceError, NetworkError } from './errors.js';
+
+export interface RetryOptions {
+    maxAttempts: number; // total attempts including the first one
+    baseDelay: number; // ms, delay before the first retry, doubled on every further attempt
+    maxDelay: number; // ms, upper bound of a single delay
+    jitter: boolean; // randomize each delay between 50% and 100% of its value
+    // eslint-disable-next-line no-unused-vars
+    retryOn: (error: any) => boolean; // decides which errors are transient, defaults to isRetryableError
+}
+
+// -1001 DISCONNECTED: internal error, -1006 UNEXPECTED_RESP and -1007 TIMEOUT: backend did not answer in time
+const retryableCodes = [ -1001, -1006, -1007 ];
+
+/**
+ * Default retry classification: network failures, 5xx responses and binance internal errors
+ * @param {Error} error - the error thrown by the request
+ * @return {boolean} - true when the same request may succeed if sent again
+ */
+export function isRetryableError(error: any): boolean {
+    if (error instanceof NetworkError) return true;
+    if (!(error instanceof BinanceError)) return false;
+    return error.status >= 500 || retryableCodes.includes(error.code);
+}
+
+export interface ReconnectEvent {
+    url: string; // the socket url
+    attempt: number; // reconnect attempts since the socket was last connected
+    delay?: number; // ms until the next attempt, onReconnecting only
+}
+
+export interface ReconnectOptions {
+    maxAttempts: number; // consecutive failed attempts before giving up, 0 never gives up
+    baseDelay: number; // ms, delay before the first attempt, doubled on every further attempt
+    maxDelay: number; // ms, upper bound of a single delay
+    jitter: boolean; // randomize each delay between 50% and 100% of its value
+    // eslint-disable-next-line no-unused-vars
+    onReconnecting?: (event: ReconnectEvent) => void; // a reconnect attempt was scheduled
+    // eslint-disable-next-line no-unused-vars
+    onReconnected?: (event: ReconnectEvent) => void; // the socket is open again
+    // eslint-disable-next-line no-unused-vars
+    onGiveUp?: (event: ReconnectEvent) => void; // maxAttempts reached, the socket stays closed
+}
+
+export const defaultReconnectOptions: ReconnectOptions = {
+    maxAttempts: 0,
+    baseDelay: 1000,
+    maxDelay: 60000,
+    jitter: true,
+};
+
+export const defaultRetryOptions: RetryOptions = {
+    maxAttempts: 3,
+    baseDelay: 500,
+    maxDelay: 10000,
+    jitter: true,
+    retryOn: isRetryableError,
+};
+
+/**
+ * Merges the retry constructor option with the defaults
+ * @param {object|boolean} options - true/false or a partial retry policy
+ * @return {object|undefined} - the complete policy, undefined when retries are disabled
+ */
+export function resolveRetryOptions(options: Partial<RetryOptions> | boolean): RetryOptions | undefined {
+    if (!options) return undefined;
+    return Object.assign({}, defaultRetryOptions, typeof options === 'object' ? options : {});
+}
+
+/**
+ * Waits for the given time, rejecting with the abort reason as soon as the signal is aborted
+ * @param {number} ms - time to wait
+ * @param {AbortSignal} signal - optional
+ * @return {promise} - resolves after ms
+ */
+export function sleep(ms: number, signal?: AbortSignal): Promise<void> {
+    if (!signal) return new Promise(resolve => setTimeout(resolve, ms));
+    return new Promise((resolve, reject) => {
+        if (signal.aborted) return reject(signal.reason);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Exponential backoff delay before the given retry
+ * @param {object} options - the retry or reconnect policy
+ * @param {number} attempt - the attempt that just failed, starting at 1
+ * @return {number} - delay in ms
+ */
+export function retryDelay(options: Pick<RetryOptions, 'baseDelay' | 'maxDelay' | 'jitter'>, attempt: number): number {
+    const delay = Math.min(options.maxDelay, options.baseDelay * Math.pow(2, attempt - 1));
+    return options.jitter ? delay / 2 + Math.random() * delay / 2 : delay;
+}
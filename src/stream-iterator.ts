@@ -0,0 +1,113 @@
+export type OverflowPolicy = 'dropOldest' | 'dropNewest' | 'error';
+
+export interface StreamIteratorOptions {
+    bufferSize: number; // messages kept while the consumer is busy
+    overflow: OverflowPolicy; // what happens to a message when the buffer is full
+}
+
+export const defaultStreamIteratorOptions: StreamIteratorOptions = {
+    bufferSize: 1000,
+    overflow: 'dropOldest',
+};
+
+/**
+ * The consumer of a stream iterator fell more than bufferSize messages behind with the 'error' overflow policy
+ */
+export class StreamOverflowError extends Error {
+    bufferSize: number;
+
+    constructor(bufferSize: number) {
+        super(`Stream buffer overflow, the consumer is more than ${bufferSize} messages behind`);
+        this.name = new.target.name;
+        this.bufferSize = bufferSize;
+    }
+}
+
+/**
+ * Buffers the messages of a callback stream for `for await`. The buffer is bounded, ending the
+ * iteration (break, return, throw or an overflow error) calls onClose once to release the stream.
+ */
+export class StreamIterator<T = any> implements AsyncIterableIterator<T> {
+    options: StreamIteratorOptions;
+    buffer: T[] = [];
+    waiting: { resolve: Function, reject: Function }[] = [];
+    dropped = 0; // messages lost to the overflow policy
+    done = false;
+    error: Error = undefined;
+    onClose: Function;
+
+    constructor(options: StreamIteratorOptions, onClose: Function) {
+        this.options = options;
+        this.onClose = onClose;
+    }
+
+    /**
+     * Adds a message, handing it straight to a waiting consumer when there is one
+     * @param {any} value - the message
+     * @return {undefined}
+     */
+    push(value: T) {
+        if (this.done) return;
+        if (this.waiting.length) {
+            this.waiting.shift().resolve({ value, done: false });
+            return;
+        }
+        if (this.buffer.length < this.options.bufferSize) {
+            this.buffer.push(value);
+            return;
+        }
+        this.dropped++;
+        if (this.options.overflow === 'dropOldest') {
+            this.buffer.shift();
+            this.buffer.push(value);
+        } else if (this.options.overflow === 'error') {
+            this.fail(new StreamOverflowError(this.options.bufferSize));
+        }
+    }
+
+    /**
+     * Ends the iteration with an error, thrown by the next call of next()
+     * @param {Error} error - the error
+     * @return {undefined}
+     */
+    fail(error: Error) {
+        if (this.done) return;
+        this.error = error;
+        this.buffer = [];
+        this.close();
+        this.waiting.splice(0).forEach(waiter => waiter.reject(error));
+    }
+
+    next(): Promise<IteratorResult<T>> {
+        if (this.buffer.length) return Promise.resolve({ value: this.buffer.shift(), done: false });
+        if (this.error) {
+            const error = this.error;
+            this.error = undefined;
+            return Promise.reject(error);
+        }
+        if (this.done) return Promise.resolve({ value: undefined, done: true });
+        return new Promise((resolve, reject) => this.waiting.push({ resolve, reject }));
+    }
+
+    return(): Promise<IteratorResult<T>> {
+        this.buffer = [];
+        this.close();
+        this.waiting.splice(0).forEach(waiter => waiter.resolve({ value: undefined, done: true }));
+        return Promise.resolve({ value: undefined, done: true });
+    }
+
+    throw(error?: any): Promise<IteratorResult<T>> {
+        this.return();
+        return Promise.reject(error);
+    }
+
+    [Symbol.asyncIterator]() {
+        return this;
+    }
+
+    close() {
+        if (this.done) return;
+        this.done = true;
+        this.onClose();
+    }
+}
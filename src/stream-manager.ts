@@ -0,0 +1,375 @@
+import WebSocket from 'ws';
+import JSONbig from 'json-bigint';
+import { ReconnectOptions, retryDelay } from './retry.js';
+
+export type StreamMarket = 'spot' | 'futures' | 'delivery';
+
+// eslint-disable-next-line no-unused-vars
+export type StreamCallback = (data: any, stream: string) => void;
+
+export interface StreamEvent {
+    market: StreamMarket;
+    endpoint: string; // terminate() key of the socket, the url for live subscription connections
+    url: string;
+    streams: string[]; // streams of the socket
+    stream?: string; // message: the stream the data belongs to
+    data?: any; // message: the payload
+    code?: number; // close
+    reason?: string; // close
+    error?: Error; // error
+    attempt?: number; // reconnect
+    delay?: number; // reconnect: ms until the attempt
+}
+
+export interface StreamLimits {
+    maxStreams: number; // streams per connection
+    maxMessages: number; // messages per second we may send on a connection
+}
+
+export const streamLimits: { [market: string]: StreamLimits } = {
+    spot: { maxStreams: 1024, maxMessages: 5 },
+    futures: { maxStreams: 1024, maxMessages: 10 },
+    delivery: { maxStreams: 200, maxMessages: 10 },
+};
+
+export interface StreamManagerOptions {
+    // eslint-disable-next-line no-unused-vars
+    createSocket: (url: string) => WebSocket;
+    // eslint-disable-next-line no-unused-vars
+    log: (...args: any[]) => void;
+    reconnect: boolean;
+    reconnectPolicy: ReconnectOptions; // backoff of the reconnects of dropped connections
+    market?: StreamMarket;
+    // eslint-disable-next-line no-unused-vars
+    emit?: (type: string, event: StreamEvent) => void; // lifecycle events of the connections
+    // eslint-disable-next-line no-unused-vars
+    listening?: (type: string) => boolean; // false skips building events nobody listens to
+    requestTimeout?: number; // ms to wait for the answer to a SUBSCRIBE, UNSUBSCRIBE or LIST_SUBSCRIPTIONS
+}
+
+export const defaultStreamRequestTimeout = 10000;
+
+/**
+ * One connection of a StreamManager with the streams assigned to it
+ */
+export class StreamShard {
+    socket: WebSocket = undefined;
+    streams = new Set<string>(); // every stream assigned to this connection, subscribed or queued
+    toSubscribe = new Set<string>();
+    toUnsubscribe = new Set<string>();
+    requests = new Map<number, { resolve: Function, reject: Function }>();
+    queries: { method: string, resolve: Function, reject: Function }[] = []; // LIST_SUBSCRIPTIONS waiting for its turn in the message rate
+    lastSent = 0;
+    timer: any = undefined;
+    reconnectTimer: any = undefined;
+    attempts = 0; // reconnect attempts since the connection was last open
+    toResubscribe = new Set<string>(); // streams whose SUBSCRIBE failed, waiting for the backoff
+    resubscribeTimer: any = undefined;
+    subscribeAttempts = 0; // failed SUBSCRIBE requests in a row
+    closed = false;
+}
+
+/**
+ * Multiplexes streams of one market over shared combined stream connections with live SUBSCRIBE/UNSUBSCRIBE
+ * messages. Streams are spread over as many connections as the per connection stream limit requires,
+ * messages are throttled to the per connection message rate and every stream is subscribed again after a reconnect.
+ */
+export class StreamManager {
+    url: string;
+    limits: StreamLimits;
+    options: StreamManagerOptions;
+    shards: StreamShard[] = [];
+    callbacks = new Map<string, Set<StreamCallback>>();
+    nextId = 1;
+
+    constructor(url: string, limits: StreamLimits, options: StreamManagerOptions) {
+        this.url = url;
+        this.limits = Object.assign({}, limits);
+        this.options = options;
+    }
+
+    /**
+     * Adds a callback to streams, subscribing the streams nobody listened to yet
+     * @param {array} streams - stream names, e.g. btcusdt@trade
+     * @param {function} callback - called with the data and the stream name of every message
+     * @return {undefined}
+     */
+    subscribe(streams: string[], callback: StreamCallback) {
+        for (const stream of streams) {
+            let owners = this.callbacks.get(stream);
+            if (!owners) {
+                owners = new Set();
+                this.callbacks.set(stream, owners);
+                const shard = this.shardWithRoom();
+                shard.streams.add(stream);
+                if (!shard.toUnsubscribe.delete(stream)) shard.toSubscribe.add(stream);
+                this.schedule(shard);
+            }
+            owners.add(callback);
+        }
+    }
+
+    /**
+     * Removes a callback (or all callbacks) from streams, unsubscribing the streams nobody listens to anymore
+     * @param {array} streams - stream names
+     * @param {function} callback - optional, all callbacks of the streams when omitted
+     * @return {undefined}
+     */
+    unsubscribe(streams: string[], callback?: StreamCallback) {
+        for (const stream of streams) {
+            const owners = this.callbacks.get(stream);
+            if (!owners) continue;
+            if (callback) owners.delete(callback);
+            else owners.clear();
+            if (owners.size) continue;
+            this.callbacks.delete(stream);
+            const shard = this.shards.find(candidate => candidate.streams.has(stream));
+            if (!shard) continue;
+            shard.streams.delete(stream);
+            if (!shard.toSubscribe.delete(stream)) shard.toUnsubscribe.add(stream);
+            if (shard.streams.size === 0) this.closeShard(shard);
+            else this.schedule(shard);
+        }
+    }
+
+    /**
+     * The streams with at least one callback
+     * @return {array} - stream names
+     */
+    streams(): string[] {
+        return Array.from(this.callbacks.keys());
+    }
+
+    /**
+     * Asks every connection for its subscriptions (LIST_SUBSCRIPTIONS)
+     * @return {promise} - stream names as reported by the server
+     */
+    async listSubscriptions(): Promise<string[]> {
+        const lists = await Promise.all(this.shards.map(shard => this.query(shard, 'LIST_SUBSCRIPTIONS')));
+        return [].concat(...lists.map(list => list || []));
+    }
+
+    /**
+     * Closes all connections and forgets every stream
+     * @return {undefined}
+     */
+    close() {
+        this.callbacks.clear();
+        for (const shard of this.shards.slice()) this.closeShard(shard);
+    }
+
+    shardWithRoom(): StreamShard {
+        let shard = this.shards.find(candidate => candidate.streams.size < this.limits.maxStreams);
+        if (!shard) {
+            shard = new StreamShard();
+            this.shards.push(shard);
+            this.connect(shard);
+        }
+        return shard;
+    }
+
+    connect(shard: StreamShard) {
+        const socket = this.options.createSocket(this.url);
+        shard.socket = socket;
+        socket.on('open', () => {
+            const policy = this.options.reconnectPolicy;
+            if (shard.attempts && policy.onReconnected) policy.onReconnected({ url: this.url, attempt: shard.attempts });
+            shard.attempts = 0;
+            this.emit('open', shard);
+            // a new connection has no subscriptions, subscribe everything assigned to it
+            shard.toUnsubscribe.clear();
+            shard.streams.forEach(stream => shard.toSubscribe.add(stream));
+            this.schedule(shard);
+        });
+        socket.on('message', data => this.handleMessage(shard, data));
+        socket.on('error', error => {
+            this.options.log('Stream manager error: ' + this.url + ' ' + error.message);
+            this.emit('error', shard, { error });
+        });
+        socket.on('close', (code, reason) => {
+            if (shard.socket !== socket) return;
+            this.emit('close', shard, { code, reason: reason ? reason.toString() : '' });
+            shard.socket = undefined;
+            // the open handler subscribes every stream again
+            clearTimeout(shard.resubscribeTimer);
+            shard.resubscribeTimer = undefined;
+            shard.toResubscribe.clear();
+            shard.requests.forEach(request => request.reject(new Error(`Stream connection closed (${code})`)));
+            shard.requests.clear();
+            shard.queries.forEach(query => query.reject(new Error(`Stream connection closed (${code})`)));
+            shard.queries = [];
+            if (shard.closed || !this.options.reconnect) return;
+            const policy = this.options.reconnectPolicy;
+            if (policy.maxAttempts && shard.attempts >= policy.maxAttempts) {
+                this.options.log(`Stream manager reconnect gave up after ${shard.attempts} attempts: ${this.url}`);
+                if (policy.onGiveUp) policy.onGiveUp({ url: this.url, attempt: shard.attempts });
+                return;
+            }
+            shard.attempts++;
+            const delay = Math.round(retryDelay(policy, shard.attempts));
+            this.options.log(`Stream manager reconnecting in ${delay}ms: ${this.url} (${shard.streams.size} streams)`);
+            if (policy.onReconnecting) policy.onReconnecting({ url: this.url, attempt: shard.attempts, delay });
+            this.emit('reconnect', shard, { attempt: shard.attempts, delay });
+            shard.reconnectTimer = setTimeout(() => {
+                shard.reconnectTimer = undefined;
+                if (!shard.closed) this.connect(shard);
+            }, delay);
+        });
+    }
+
+    closeShard(shard: StreamShard) {
+        shard.closed = true;
+        clearTimeout(shard.timer);
+        clearTimeout(shard.reconnectTimer);
+        clearTimeout(shard.resubscribeTimer);
+        this.shards.splice(this.shards.indexOf(shard), 1);
+        if (shard.socket) shard.socket.close();
+    }
+
+    /**
+     * Queues a request without params behind the subscription changes of a connection, so it counts towards the message rate
+     * @param {StreamShard} shard - the connection
+     * @param {string} method - e.g. LIST_SUBSCRIPTIONS
+     * @return {promise} - the result of the request
+     */
+    query(shard: StreamShard, method: string): Promise<any> {
+        return new Promise((resolve, reject) => {
+            if (!shard.socket || shard.socket.readyState !== WebSocket.OPEN) {
+                return reject(new Error(`Stream connection is not open for ${method}`));
+            }
+            shard.queries.push({ method, resolve, reject });
+            this.schedule(shard);
+        });
+    }
+
+    /**
+     * Sends the queued UNSUBSCRIBE, SUBSCRIBE and other messages of a connection, at most maxMessages per second
+     * @param {StreamShard} shard - the connection
+     * @return {undefined}
+     */
+    schedule(shard: StreamShard) {
+        if (shard.timer || shard.closed) return;
+        if (!shard.socket || shard.socket.readyState !== WebSocket.OPEN) return; // the open handler schedules again
+        if (!shard.toSubscribe.size && !shard.toUnsubscribe.size && !shard.queries.length) return;
+        const wait = Math.max(0, shard.lastSent + 1000 / this.limits.maxMessages - Date.now());
+        shard.timer = setTimeout(() => {
+            shard.timer = undefined;
+            if (!shard.socket || shard.socket.readyState !== WebSocket.OPEN) return;
+            if (shard.toUnsubscribe.size || shard.toSubscribe.size) {
+                const method = shard.toUnsubscribe.size ? 'UNSUBSCRIBE' : 'SUBSCRIBE';
+                const pending = method === 'UNSUBSCRIBE' ? shard.toUnsubscribe : shard.toSubscribe;
+                const params = Array.from(pending);
+                pending.clear();
+                this.request(shard, method, params).then(() => {
+                    if (method === 'SUBSCRIBE') shard.subscribeAttempts = 0;
+                }, error => this.requestFailed(shard, method, params, error));
+            } else {
+                const query = shard.queries.shift();
+                this.request(shard, query.method).then(result => query.resolve(result), error => query.reject(error));
+            }
+            this.schedule(shard);
+        }, wait);
+    }
+
+    /**
+     * Handles a rejected UNSUBSCRIBE or SUBSCRIBE. Streams that failed to subscribe are reported with an error event
+     * and subscribed again after the backoff of the reconnect policy, a closed connection subscribes them once it is open
+     * @param {StreamShard} shard - the connection
+     * @param {string} method - SUBSCRIBE or UNSUBSCRIBE
+     * @param {array} params - the stream names of the request
+     * @param {Error} error - why the request failed
+     * @return {undefined}
+     */
+    requestFailed(shard: StreamShard, method: string, params: string[], error: Error) {
+        this.options.log(`Stream manager ${method} failed: ${error.message}`);
+        if (method !== 'SUBSCRIBE' || shard.closed || !shard.socket || shard.socket.readyState !== WebSocket.OPEN) return;
+        const failed = params.filter(stream => shard.streams.has(stream));
+        if (!failed.length) return;
+        this.emit('error', shard, { error: new Error(`Stream SUBSCRIBE of ${failed.join(', ')} failed: ${error.message}`) });
+        const policy = this.options.reconnectPolicy;
+        shard.subscribeAttempts++;
+        if (policy.maxAttempts && shard.subscribeAttempts > policy.maxAttempts) {
+            this.options.log(`Stream manager gave up subscribing ${failed.join(', ')} after ${policy.maxAttempts} attempts`);
+            return;
+        }
+        failed.forEach(stream => shard.toResubscribe.add(stream));
+        if (shard.resubscribeTimer) return;
+        shard.resubscribeTimer = setTimeout(() => {
+            shard.resubscribeTimer = undefined;
+            shard.toResubscribe.forEach(stream => {
+                if (shard.streams.has(stream)) shard.toSubscribe.add(stream);
+            });
+            shard.toResubscribe.clear();
+            this.schedule(shard);
+        }, Math.round(retryDelay(policy, shard.subscribeAttempts)));
+    }
+
+    /**
+     * Sends a message and waits for its answer, rejecting when none arrives within the request timeout
+     * @param {StreamShard} shard - the connection
+     * @param {string} method - SUBSCRIBE, UNSUBSCRIBE or LIST_SUBSCRIPTIONS
+     * @param {array} params - optional, stream names
+     * @return {promise} - the result of the request
+     */
+    request(shard: StreamShard, method: string, params?: string[]): Promise<any> {
+        return new Promise((resolve, reject) => {
+            if (!shard.socket || shard.socket.readyState !== WebSocket.OPEN) {
+                return reject(new Error(`Stream connection is not open for ${method}`));
+            }
+            const id = this.nextId++;
+            const timeout = this.options.requestTimeout || defaultStreamRequestTimeout;
+            const timer = setTimeout(() => {
+                shard.requests.delete(id);
+                reject(new Error(`Stream ${method} got no answer within ${timeout}ms`));
+            }, timeout);
+            shard.requests.set(id, {
+                resolve: result => {
+                    clearTimeout(timer);
+                    resolve(result);
+                },
+                reject: error => {
+                    clearTimeout(timer);
+                    reject(error);
+                },
+            });
+            shard.lastSent = Date.now();
+            const message: { [key: string]: any } = { method, id };
+            if (params) message.params = params;
+            shard.socket.send(JSON.stringify(message));
+        });
+    }
+
+    emit(type: string, shard: StreamShard, details: Partial<StreamEvent> = {}) {
+        if (!this.options.emit || (this.options.listening && !this.options.listening(type))) return;
+        const event = { market: this.options.market, endpoint: this.url, url: this.url, streams: Array.from(shard.streams) };
+        this.options.emit(type, Object.assign(event, details));
+    }
+
+    handleMessage(shard: StreamShard, data: WebSocket.Data) {
+        let message: any;
+        try {
+            message = JSONbig.parse(data.toString());
+        } catch (error) {
+            this.options.log('Stream manager parse error: ' + error.message);
+            return;
+        }
+        if (message.id !== undefined && !message.stream) {
+            const request = shard.requests.get(Number(message.id));
+            if (!request) return;
+            shard.requests.delete(Number(message.id));
+            if (message.error) request.reject(new Error(`${message.error.msg} (${message.error.code})`));
+            else request.resolve(message.result);
+            return;
+        }
+        const owners = this.callbacks.get(message.stream);
+        if (!owners) return;
+        this.emit('message', shard, { stream: message.stream, data: message.data });
+        owners.forEach(callback => {
+            try {
+                callback(message.data, message.stream);
+            } catch (error) {
+                this.options.log('Stream callback error: ' + error.message);
+            }
+        });
+    }
+}
@@ -2,6 +2,11 @@
 // trying to keep them compatible with
 // https://github.com/ViewBlock/binance-api-node/blob/master/index.d.ts
 
+import type { RateLimiterOptions } from './rate-limiter.js';
+import type { RetryOptions, ReconnectOptions } from './retry.js';
+import type { MarketMetadataOptions } from './market-metadata.js';
+import type { OrderValidationOptions } from './order-validation.js';
+
 export type HttpMethod = 'GET' | 'POST' | 'PUT' | 'DELETE'
 
 export type Interval =
@@ -30,6 +35,9 @@ export type OrderType =
     | 'TAKE_PROFIT_MARKET'
     | 'LIMIT_MAKER'
     | 'TRAILING_STOP_MARKET'
+    | 'STOP_LOSS'
+    | 'STOP_LOSS_LIMIT'
+    | 'TAKE_PROFIT_LIMIT'
 
 export type OrderSide = 'BUY' | 'SELL'
 
@@ -89,6 +97,82 @@ export interface Order {
     updateTime: number
   }
 
+// one order of an order list, the fields are sent with the prefix of the leg: price => abovePrice, workingPrice, pendingBelowPrice, ...
+export interface OrderListLeg {
+    type: OrderType
+    price?: number | string
+    stopPrice?: number | string
+    trailingDelta?: number
+    icebergQty?: number | string
+    timeInForce?: TimeInForce // GTC by default for the limit types that need one
+    clientOrderId?: string // generated when omitted
+    strategyId?: number
+    strategyType?: number
+    pegPriceType?: string
+    pegOffsetType?: string
+    pegOffsetValue?: number
+}
+
+// a leg with its own side and quantity: the working and pending orders of an OTO
+export interface OrderListSideLeg extends OrderListLeg {
+    side: OrderSide
+    quantity: number | string
+}
+
+// the pending OCO of an OTOCO, both legs share its side and quantity
+export interface OrderListPendingOco {
+    side: OrderSide
+    quantity: number | string
+    above: OrderListLeg
+    below?: OrderListLeg
+}
+
+export type OrderListContingencyType = 'OCO' | 'OTO'
+
+export type OrderListStatusType = 'RESPONSE' | 'EXEC_STARTED' | 'UPDATED' | 'ALL_DONE'
+
+export type OrderListOrderStatus = 'EXECUTING' | 'ALL_DONE' | 'REJECT'
+
+export interface OrderList {
+    orderListId: number
+    contingencyType: OrderListContingencyType
+    listStatusType: OrderListStatusType
+    listOrderStatus: OrderListOrderStatus
+    listClientOrderId: string
+    transactionTime: number
+    symbol: string
+    orders: { symbol: string, orderId: number, clientOrderId: string }[]
+    orderReports?: Order[] // placing and canceling a list, not the queries
+}
+
+export interface SorOrderFill extends OrderFill {
+    matchType: string // ONE_PARTY_TRADE_REPORT for fills allocated by the SOR
+    allocId?: number
+}
+
+export interface SorOrder extends Order {
+    fills?: SorOrderFill[]
+    workingFloor: string // SOR
+    usedSor: boolean
+}
+
+export interface Allocation {
+    symbol: string
+    allocationId: number
+    allocationType: string // SOR
+    orderId: number
+    orderListId: number
+    price: string
+    qty: string
+    quoteQty: string
+    commission: string
+    commissionAsset: string
+    time: number
+    isBuyer: boolean
+    isMaker: boolean
+    isAllocator: boolean
+}
+
 export interface FuturesOrder {
     clientOrderId: string
     cumQty: string
@@ -114,6 +198,31 @@ export interface FuturesOrder {
     workingType: WorkingType
 }
 
+// one order of a batch modify, identified by orderId or origClientOrderId
+export interface FuturesOrderModification {
+    symbol: string
+    side: OrderSide
+    quantity: number | string
+    price?: number | string
+    orderId?: number | string
+    origClientOrderId?: string
+    priceMatch?: string // OPPONENT, QUEUE, ... instead of price
+}
+
+export interface FuturesOrderAmendment {
+    amendmentId: number
+    symbol: string
+    pair: string
+    orderId: number
+    clientOrderId: string
+    time: number
+    amendment: {
+        price: { before: string, after: string }
+        origQty: { before: string, after: string }
+        count: number // modifications of the order so far
+    }
+}
+
 export type PositionSide = 'BOTH' | 'SHORT' | 'LONG'
 
 export type WorkingType = 'MARK_PRICE' | 'CONTRACT_PRICE'
@@ -122,6 +231,53 @@ export type WorkingType = 'MARK_PRICE' | 'CONTRACT_PRICE'
 // eslint-disable-next-line
 export type Callback = (...args: any) => any;
 
+// eslint-disable-next-line
+export type HttpTransport = (url: string, init: Record<string, any>) => Promise<any>; // fetch compatible
+
+export interface RequestContext {
+    method: HttpMethod;
+    url: string; // full url, query string (and url proxy prefix) included
+    params: Record<string, any>; // everything sent in the query string and body, timestamp and signature included
+    headers: Record<string, any>; // beforeRequest may add or change headers
+    startTime: number; // ms timestamp right before the request was handed to the transport
+    duration?: number; // ms until the response was parsed or the request failed
+    status?: number; // http status, undefined when no response was received
+    response?: any; // the raw transport response
+    data?: any; // parsed json body, afterResponse only
+    error?: any; // onError only
+}
+
+export interface Middleware {
+    // eslint-disable-next-line
+    beforeRequest?: (context: RequestContext) => void | Promise<void>;
+    // eslint-disable-next-line
+    afterResponse?: (context: RequestContext) => void | Promise<void>;
+    // eslint-disable-next-line
+    onError?: (context: RequestContext) => void | Promise<void>;
+}
+
+export type TimeMarket = 'spot' | 'fapi' | 'dapi'; // sapi requests use the spot offset
+
+export interface TimeSyncOptions {
+    interval: number; // ms between background resyncs of the markets in use, 0 disables the timer
+    driftThreshold: number; // ms, a resync emits 'timeDrift' when the clock offset moved by more than this since the previous sync
+    resyncOnTimestampError: boolean; // on -1021 resync the market clock and send the request once more
+}
+
+export interface TimeDriftEvent {
+    market: TimeMarket;
+    offset: number; // ms, server time - local time
+    previousOffset: number;
+    latency: number; // ms, round trip of the time request
+}
+
+export interface DepthResyncEvent {
+    market: 'spot' | 'futures' | 'delivery';
+    symbol: string;
+    reason: string; // the out of sync symptom
+    count: number; // resyncs of the symbol so far, also resyncCount in its depth cache context
+}
+
 export interface IConstructorArgs {
     APIKEY: string;
     APISECRET: string;
@@ -130,6 +286,7 @@ export interface IConstructorArgs {
     recvWindow: number;
     useServerTime: boolean;
     reconnect: boolean;
+    socketRotation: number; // ms after which a stream socket is replaced without a gap, 0 disables
     test: boolean;
     hedgeMode: boolean;
     httpsProxy: string;
@@ -158,8 +315,22 @@ export interface IConstructorArgs {
         dstreamSingle: string;
         dstreamTest: string;
         dstreamSingleTest: string;
+        wsApi: string;
+        wsApiTest: string;
+        wsFapi: string;
+        wsFapiTest: string;
     }>;
     timeOffset: number;
+    rateLimiter: boolean | Partial<RateLimiterOptions>; // client side weight/order rate limiting, off by default
+    timeout: number; // ms, per request timeout of the REST calls, none by default (the WebSocket API falls back to recvWindow)
+    retry: boolean | Partial<RetryOptions>; // retry GET requests and orders on transient errors, off by default
+    transport: HttpTransport; // replaces fetch/node-fetch for every REST call
+    middleware: Middleware[]; // hooks around every REST call, see use()
+    reconnectPolicy: Partial<ReconnectOptions>; // backoff, attempts and events of the websocket reconnects, the only policy of the stream methods (the raw subscribe methods can override it)
+    timeSync: boolean | Partial<TimeSyncOptions>; // periodic server time resync per market, off by default
+    orderValidation: boolean | Partial<OrderValidationOptions>; // check and round orders against the symbol filters before sending, off by default
+    precise: boolean; // prices and quantities as exact decimal strings, floats in requests without binary artifacts, off by default
+    marketMetadata: Partial<MarketMetadataOptions>; // symbol metadata cache from exchangeInfo, used by getMarket and symbolInfo
 }
 
 export interface IWebsocketsMethods {
@@ -170,8 +341,8 @@ export interface IWebsocketsMethods {
   depthCacheStaggered(symbols :string |string[], callback?: Callback, limit?: number, stagger?: number);
   userFutureData(all_updates_callback?: Callback, margin_callCallback?: Callback, account_updateCallback?: Callback, order_updateCallback?: Callback, subscribedCallback?: Callback);
   userDeliveryData(all_updates_callback?: Callback, margin_callCallback?: Callback, account_updateCallback?: Callback, order_updateCallback?: Callback, subscribedCallback?: Callback): any;
-  subscribeCombined(url: string, callback: Callback, reconnect?: Callback, opened_callback?: Callback);
-  subscribe(endpoint: string, callback: Callback, reconnect?: Callback, opened_callback?: Callback);
+  subscribeCombined(url: string, callback: Callback, reconnect?: Callback, opened_callback?: Callback, reconnectPolicy?: Partial<ReconnectOptions>, withStreamName?: boolean);
+  subscribe(endpoint: string, callback: Callback, reconnect?: Callback, opened_callback?: Callback, reconnectPolicy?: Partial<ReconnectOptions>);
   subscriptions(...args: any): any;
   futuresSubcriptions(...args: any): any;
   deliverySubcriptions(...args: any): any;
@@ -249,6 +420,44 @@ export interface CancelOrder{
     side: OrderSide
 }
 
+export type CancelReplaceMode = 'STOP_ON_FAILURE' | 'ALLOW_FAILURE'
+
+export type CancelReplaceResult = 'SUCCESS' | 'FAILURE' | 'NOT_ATTEMPTED'
+
+export interface CancelReplaceResponse {
+    cancelResult: CancelReplaceResult
+    newOrderResult: CancelReplaceResult
+    cancelResponse: CancelOrder | { code: number, msg: string } // the binance error when the cancel failed
+    newOrderResponse: Order | { code: number, msg: string } | null // null when the new order was not attempted
+}
+
+export interface AmendedOrder {
+    symbol: string
+    orderId: number
+    orderListId: number
+    origClientOrderId: string
+    clientOrderId: string
+    price: string
+    qty: string
+    executedQty: string
+    preventedQty: string
+    quoteOrderQty: string
+    cumulativeQuoteQty: string
+    status: OrderStatus
+    timeInForce: TimeInForce
+    type: OrderType
+    side: OrderSide
+    workingTime: number
+    selfTradePreventionMode: string
+}
+
+export interface AmendKeepPriorityResponse {
+    transactTime: number
+    executionId: number
+    amendedOrder: AmendedOrder
+    listStatus?: OrderList // when the order belongs to an order list
+}
+
 export interface AggregatedTrade {
     aggId: number
     symbol: string
@@ -376,6 +585,8 @@ export interface OrderBook {
     lastUpdateId: number
     asks: Bid[]
     bids: Bid[]
+    eventTime?: number // partial depth streams of futures and delivery
+    transactionTime?: number
 }
 
 export interface Bid {
@@ -0,0 +1,135 @@
+import WebSocket from 'ws';
+import { NetworkError, RequestTimeoutError, createBinanceError } from './errors.js';
+
+export type WsApiMarket = 'spot' | 'futures';
+
+interface PendingRequest {
+    method: string;
+    // eslint-disable-next-line no-unused-vars
+    resolve: (result: any) => void;
+    // eslint-disable-next-line no-unused-vars
+    reject: (error: any) => void;
+}
+
+/**
+ * One persistent connection to the Binance WebSocket API: requests are sent as {id, method, params}
+ * and matched with their response by id. The socket is (re)opened on demand by the next request.
+ */
+export class WsApiConnection {
+    url: string;
+    socket: WebSocket = undefined;
+    authenticated = false; // session.logon succeeded on the current socket
+    rateLimits: any[] = []; // rate limit usage reported with the last response
+    pending = new Map<string, PendingRequest>();
+    opening: Promise<WebSocket> = undefined;
+    nextId = 1;
+    // eslint-disable-next-line no-unused-vars
+    createSocket: (url: string) => WebSocket;
+
+    // eslint-disable-next-line no-unused-vars
+    constructor(url: string, createSocket: (url: string) => WebSocket) {
+        this.url = url;
+        this.createSocket = createSocket;
+    }
+
+    /**
+     * Resolves with the open socket, connecting first when needed
+     * @return {promise} - the socket
+     */
+    open(): Promise<WebSocket> {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) return Promise.resolve(this.socket);
+        if (this.opening) return this.opening;
+        this.opening = new Promise<WebSocket>((resolve, reject) => {
+            const socket = this.createSocket(this.url);
+            const onError = (error: Error) => reject(new NetworkError(error.message, { status: 0, url: this.url, cause: error }));
+            socket.once('error', onError);
+            socket.once('open', () => {
+                socket.removeListener('error', onError);
+                // errors are followed by a close event, which rejects the pending requests
+                socket.on('error', () => undefined);
+                this.socket = socket;
+                this.authenticated = false;
+                resolve(socket);
+            });
+            socket.on('message', data => this.handleMessage(data));
+            socket.on('close', code => this.handleClose(socket, code));
+        });
+        const clear = () => { this.opening = undefined; };
+        this.opening.then(clear, clear);
+        return this.opening;
+    }
+
+    /**
+     * Sends a request and waits for its response
+     * @param {string} method - ws-api method, e.g. order.place
+     * @param {object} params - request parameters, already signed when needed
+     * @param {number} timeout - ms to wait for the response, 0 waits forever
+     * @param {AbortSignal} signal - optional, stops waiting when aborted
+     * @return {promise} - the result of the response
+     */
+    async request(method: string, params?: { [key: string]: any }, timeout = 0, signal?: AbortSignal): Promise<any> {
+        if (signal && signal.aborted) throw signal.reason;
+        const socket = await this.open();
+        const id = String(this.nextId++);
+        return new Promise((resolve, reject) => {
+            let timer: any;
+            const onAbort = () => settle(reject, signal.reason);
+            const settle = (callback: Function, value: any) => {
+                this.pending.delete(id);
+                clearTimeout(timer);
+                if (signal) signal.removeEventListener('abort', onAbort);
+                callback(value);
+            };
+            this.pending.set(id, {
+                method,
+                resolve: result => settle(resolve, result),
+                reject: error => settle(reject, error),
+            });
+            if (timeout) {
+                timer = setTimeout(() => {
+                    settle(reject, new RequestTimeoutError(`${method} timed out after ${timeout}ms`, { status: 0, url: this.url, method }));
+                }, timeout);
+            }
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+            const message: { [key: string]: any } = { id, method };
+            if (params && Object.keys(params).length) message.params = params;
+            socket.send(JSON.stringify(message), error => {
+                if (error) settle(reject, new NetworkError(error.message, { status: 0, url: this.url, method, cause: error }));
+            });
+        });
+    }
+
+    /**
+     * Closes the socket, pending requests are rejected
+     * @return {undefined}
+     */
+    close() {
+        if (this.socket) this.socket.close();
+    }
+
+    handleMessage(data: WebSocket.Data) {
+        let message: any;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (error) {
+            return;
+        }
+        const request = this.pending.get(String(message.id));
+        if (!request) return;
+        if (message.rateLimits) this.rateLimits = message.rateLimits;
+        if (message.status === 200 && !message.error) {
+            request.resolve(message.result);
+        } else {
+            request.reject(createBinanceError(JSON.stringify(message.error || {}), { status: message.status, url: this.url, method: request.method }));
+        }
+    }
+
+    handleClose(socket: WebSocket, code: number) {
+        if (socket !== this.socket) return;
+        this.socket = undefined;
+        this.authenticated = false;
+        for (const request of Array.from(this.pending.values())) {
+            request.reject(new NetworkError(`WebSocket API connection closed (${code})`, { status: 0, url: this.url, method: request.method }));
+        }
+    }
+}
@@ -1,7 +1,10 @@
 import Binance from '../src/node-binance-api';
+import { isOrderRequest, requestWeight } from '../src/rate-limiter';
 import { assert } from 'chai';
 import util from 'util';
 import nock from 'nock';
+import crypto from 'crypto';
+import WebSocket from 'ws';
 
 const binance = new Binance({
     APIKEY: 'XXXXXXXXXXXXXXXXXXXXXXX',
@@ -15,6 +18,40 @@ function urlToObject(queryString) {
     return obj;
 }
 
+const waitFor = async ( check ) => {
+    for ( let i = 0; i < 200; i++ ) {
+        if ( check() ) return
+        await new Promise( resolve => setTimeout( resolve, 10 ) )
+    }
+    throw new Error( 'condition not met' )
+}
+
+/**
+ * Runs a local WebSocket server for the tests of the describe block that calls it.
+ * connections and urls (the upgrade request urls) collect the connections of the current test
+ */
+function socketServer( options = {} ) {
+    const fixture = { server: null, base: '', connections: [], urls: [] }
+    before( function ( done ) {
+        fixture.server = new WebSocket.Server( Object.assign({ port: 0, host: '127.0.0.1' }, options ), () => {
+            fixture.base = `ws://127.0.0.1:${fixture.server.address().port}`
+            done()
+        })
+        fixture.server.on( 'connection', ( socket, request ) => {
+            fixture.connections.push( socket )
+            fixture.urls.push( request.url )
+        })
+    })
+    beforeEach( function ( ) {
+        fixture.connections.length = 0
+        fixture.urls.length = 0
+    })
+    after( function ( done ) {
+        fixture.server.close( () => done() )
+    })
+    return fixture
+}
+
 describe( 'Static tests', async function () {
 
     let interceptedUrl = null;
@@ -322,4 +359,1787 @@ describe( 'Static tests', async function () {
         assert(obj.newClientOrderId.startsWith(CONTRACT_PREFIX))
     })
 
-})
\ No newline at end of file
+})
+describe( 'Static error tests', async function () {
+
+    beforeEach(() => {
+        nock.cleanAll();
+    });
+
+    after(() => {
+        nock.cleanAll();
+    });
+
+    it( 'throws a TimestampError with the binance code and headers', async function ( ) {
+        nock('https://api.binance.com')
+            .get(/.*/)
+            .reply(400, { code: -1021, msg: 'Timestamp for this request is outside of the recvWindow.' }, { 'x-mbx-used-weight-1m': '42' });
+        try {
+            await binance.openOrders( 'LTCUSDT' )
+            assert.fail( 'should have thrown' )
+        } catch (e) {
+            assert.instanceOf( e, Binance.TimestampError )
+            assert.instanceOf( e, Binance.BinanceError )
+            assert.equal( e.status, 400 )
+            assert.equal( e.code, -1021 )
+            assert.equal( e.msg, 'Timestamp for this request is outside of the recvWindow.' )
+            assert.equal( e.method, 'GET' )
+            assert.equal( e.usedWeight, 42 )
+            assert.isTrue( e.url.startsWith('https://api.binance.com/api/v3/openOrders') )
+        }
+    })
+
+    it( 'throws an IpBanError with retryAfter on 418', async function ( ) {
+        nock('https://fapi.binance.com')
+            .post(/.*/)
+            .reply(418, { code: -1003, msg: 'Way too many requests; IP banned until 1659146077136.' }, { 'Retry-After': '120' });
+        try {
+            await binance.futuresMarketBuy( 'LTCUSDT', 0.5 )
+            assert.fail( 'should have thrown' )
+        } catch (e) {
+            assert.instanceOf( e, Binance.IpBanError )
+            assert.instanceOf( e, Binance.RateLimitError )
+            assert.equal( e.retryAfter, 120 )
+            assert.equal( e.method, 'POST' )
+        }
+    })
+
+    it( 'classifies order rejections', async function ( ) {
+        nock('https://api.binance.com')
+            .post(/.*/)
+            .reply(400, { code: -2010, msg: 'Account has insufficient balance for requested action.' });
+        try {
+            await binance.marketBuy( 'LTCUSDT', 0.5 )
+            assert.fail( 'should have thrown' )
+        } catch (e) {
+            assert.instanceOf( e, Binance.InsufficientBalanceError )
+        }
+        assert.equal( Binance.classifyError({ code: -1013, msg: 'Filter failure: LOT_SIZE' }), Binance.FilterFailureError )
+        assert.equal( Binance.classifyError({ code: -2011, msg: 'Unknown order sent.' }), Binance.UnknownOrderError )
+        assert.equal( Binance.classifyError({ code: -2021, msg: 'Order would immediately trigger.' }), Binance.OrderWouldTriggerError )
+        assert.equal( Binance.classifyError({ code: -1022, msg: 'Signature for this request is not valid.' }), Binance.InvalidSignatureError )
+    })
+
+    it( 'keeps the raw body when the response is not json', async function ( ) {
+        nock('https://api.binance.com')
+            .get(/.*/)
+            .reply(502, '<html>Bad Gateway</html>');
+        try {
+            await binance.prices( 'BNBBTC' )
+            assert.fail( 'should have thrown' )
+        } catch (e) {
+            assert.instanceOf( e, Binance.BinanceError )
+            assert.equal( e.status, 502 )
+            assert.equal( e.message, '<html>Bad Gateway</html>' )
+            assert.isUndefined( e.code )
+        }
+    })
+})
+
+describe( 'Static rate limit tests', async function () {
+
+    beforeEach(() => {
+        nock.cleanAll();
+    });
+
+    after(() => {
+        nock.cleanAll();
+    });
+
+    it( 'syncs the used weight from the response headers', async function ( ) {
+        nock('https://api.binance.com')
+            .get(/.*/)
+            .reply(200, {}, { 'x-mbx-used-weight-1m': '1234', 'x-mbx-order-count-10s': '3' });
+        const fresh = new Binance({ APIKEY: 'XXX', APISECRET: 'YYY' })
+        await fresh.prices( 'BNBBTC' )
+        assert.equal( fresh.usedWeight(), 1234 )
+        const budget = fresh.rateLimitBudget( 'spot' )
+        assert.equal( budget.usedWeight, 1234 )
+        assert.equal( budget.remainingWeight, budget.weightLimit - 1234 )
+        assert.equal( budget.orders.find( w => w.interval === '10s' ).used, 3 )
+    })
+
+    it( 'fails fast once the weight budget is spent', async function ( ) {
+        const limited = new Binance({ APIKEY: 'XXX', APISECRET: 'YYY', rateLimiter: { mode: 'fail' } })
+        limited.rateLimiter.setLimits( 'spot', [ { rateLimitType: 'REQUEST_WEIGHT', interval: 'MINUTE', intervalNum: 1, limit: 10 } ] )
+        nock('https://api.binance.com')
+            .get(/.*/)
+            .times(2)
+            .reply(200, {});
+        await limited.depth( 'BTCUSDT' ) // weight 5
+        await limited.depth( 'BTCUSDT' ) // weight 5
+        try {
+            await limited.depth( 'BTCUSDT' )
+            assert.fail( 'should have thrown' )
+        } catch (e) {
+            assert.instanceOf( e, Binance.RateLimitError )
+            assert.equal( e.status, 0 )
+            assert.isAbove( e.retryAfter, 0 )
+        }
+        // fapi has its own budget
+        nock('https://fapi.binance.com')
+            .get(/.*/)
+            .reply(200, {});
+        await limited.futuresDepth( 'BTCUSDT' )
+    })
+
+    it( 'honours Retry-After after a 429', async function ( ) {
+        const limited = new Binance({ APIKEY: 'XXX', APISECRET: 'YYY', rateLimiter: { mode: 'fail' } })
+        nock('https://fapi.binance.com')
+            .get(/.*/)
+            .reply(429, { code: -1003, msg: 'Too many requests.' }, { 'Retry-After': '30' });
+        try {
+            await limited.futuresPrices()
+        } catch (e) {
+            assert.instanceOf( e, Binance.RateLimitError )
+            assert.equal( e.status, 429 )
+        }
+        assert.isAbove( limited.rateLimitBudget( 'fapi' ).blockedUntil, Date.now() )
+        try {
+            await limited.futuresPrices()
+            assert.fail( 'should have thrown' )
+        } catch (e) {
+            assert.instanceOf( e, Binance.RateLimitError )
+            assert.equal( e.status, 0 )
+        }
+        assert.equal( limited.rateLimitBudget( 'spot' ).blockedUntil, 0 )
+    })
+
+    it( 'weighs endpoints by their IP weight and rejects unknown buckets', async function ( ) {
+        assert.equal( requestWeight( 'sapi', 'v1/capital/withdraw/history' ), 1 )
+        assert.throws( () => binance.rateLimitBudget( 'papi' as any ), /Unknown rate limit bucket: papi/ )
+    })
+})
+
+describe( 'Static retry tests', async function () {
+
+    const retrying = new Binance({ APIKEY: 'XXX', APISECRET: 'YYY', retry: { maxAttempts: 3, baseDelay: 1 } })
+
+    beforeEach(() => nock.cleanAll());
+    after(() => nock.cleanAll());
+
+    it( 'retries a signed GET on 5xx and signs it again', async function ( ) {
+        const urls = []
+        nock('https://api.binance.com')
+            .get(/.*/)
+            .reply(503, function (uri) { urls.push(uri); return 'Service Unavailable' })
+            .get(/.*/)
+            .reply(200, function (uri) { urls.push(uri); return [] });
+        const res = await retrying.openOrders( 'LTCUSDT' )
+        assert.deepEqual( res, [] )
+        assert.equal( urls.length, 2 )
+        assert.equal( urls[1].split( 'signature=' ).length, 2 )
+    })
+
+    it( 'does not retry client errors', async function ( ) {
+        const scope = nock('https://api.binance.com')
+            .get(/.*/)
+            .reply(400, { code: -1100, msg: 'Illegal characters found in parameter.' })
+            .get(/.*/)
+            .reply(200, []);
+        try {
+            await retrying.openOrders( 'LTCUSDT' )
+            assert.fail( 'should have thrown' )
+        } catch (e) {
+            assert.equal( e.code, -1100 )
+        }
+        assert.isFalse( scope.isDone() )
+    })
+
+    it( 'resubmits an order only after the status query does not find it', async function ( ) {
+        const bodies = []
+        let statusUrl = null
+        nock('https://api.binance.com')
+            .post(/.*/)
+            .reply(500, function (uri, body) { bodies.push(body); return { code: -1001, msg: 'Internal error; unable to process your request. Please try again.' } })
+            .get(/.*/)
+            .reply(400, function (uri) { statusUrl = uri; return { code: -2013, msg: 'Order does not exist.' } })
+            .post(/.*/)
+            .reply(200, function (uri, body) { bodies.push(body); return { orderId: 1 } });
+        const res = await retrying.marketBuy( 'LTCUSDT', 0.5 )
+        assert.equal( res.orderId, 1 )
+        assert.equal( bodies.length, 2 )
+        const first = urlToObject( bodies[0] )
+        const second = urlToObject( bodies[1] )
+        assert.equal( second.newClientOrderId, first.newClientOrderId )
+        assert.equal( urlToObject( statusUrl.split( '?' )[1] ).origClientOrderId, first.newClientOrderId )
+    })
+
+    it( 'returns the existing order instead of submitting it twice', async function ( ) {
+        const scope = nock('https://fapi.binance.com')
+            .post(/.*/)
+            .replyWithError({ code: 'ECONNRESET', message: 'socket hang up' })
+            .get(/.*/)
+            .reply(200, { orderId: 7, status: 'FILLED' })
+            .post(/.*/)
+            .reply(200, { orderId: 8 });
+        const res = await retrying.futuresMarketBuy( 'BTCUSDT', 0.1 )
+        assert.equal( res.orderId, 7 )
+        assert.isFalse( scope.isDone() )
+    })
+
+    it( 'does not retry when the policy is off', async function ( ) {
+        nock('https://api.binance.com')
+            .get(/.*/)
+            .replyWithError({ code: 'ECONNRESET', message: 'socket hang up' });
+        try {
+            await binance.openOrders( 'LTCUSDT' )
+            assert.fail( 'should have thrown' )
+        } catch (e) {
+            assert.instanceOf( e, Binance.NetworkError )
+            assert.equal( e.status, 0 )
+            assert.isTrue( Binance.isRetryableError( e ) )
+        }
+    })
+})
+
+describe( 'Static timeout and abort tests', async function () {
+
+    beforeEach(() => nock.cleanAll());
+    after(() => nock.cleanAll());
+
+    it( 'throws a RequestTimeoutError when the response takes too long', async function ( ) {
+        const slow = new Binance({ APIKEY: 'XXX', APISECRET: 'YYY', timeout: 50 })
+        nock('https://fapi.binance.com')
+            .post(/.*/)
+            .delay(300)
+            .reply(200, { orderId: 1 });
+        try {
+            await slow.futuresMarketBuy( 'BTCUSDT', 0.1 )
+            assert.fail( 'should have thrown' )
+        } catch (e) {
+            assert.instanceOf( e, Binance.RequestTimeoutError )
+            assert.instanceOf( e, Binance.NetworkError )
+            assert.equal( e.method, 'POST' )
+        }
+    })
+
+    it( 'has no request timeout unless the timeout option is set', async function ( ) {
+        const patient = new Binance({ APIKEY: 'XXX', APISECRET: 'YYY', recvWindow: 20 })
+        nock('https://api.binance.com')
+            .get(/.*/)
+            .delay(100)
+            .reply(200, []);
+        assert.deepEqual( await patient.candlesticks( 'BTCUSDT', '1m' ), [] )
+    })
+
+    it( 'cancels an in-flight request through params.signal', async function ( ) {
+        nock('https://api.binance.com')
+            .get(/.*/)
+            .delay(300)
+            .reply(200, []);
+        const controller = new AbortController()
+        setTimeout(() => controller.abort(), 20)
+        try {
+            await binance.candlesticks( 'BTCUSDT', '1m', { signal: controller.signal } )
+            assert.fail( 'should have thrown' )
+        } catch (e) {
+            assert.equal( e.name, 'AbortError' )
+            assert.notInstanceOf( e, Binance.BinanceError )
+        }
+    })
+
+    it( 'keeps the signal out of the query string', async function ( ) {
+        let interceptedUrl = null
+        nock('https://api.binance.com')
+            .get(/.*/)
+            .reply(200, function (uri) { interceptedUrl = uri; return [] });
+        const controller = new AbortController()
+        await binance.openOrders( 'LTCUSDT', { signal: controller.signal } )
+        assert.notInclude( interceptedUrl, 'signal' )
+        assert.include( interceptedUrl, 'symbol=LTCUSDT' )
+    })
+
+    it( 'does not send a request with an aborted signal', async function ( ) {
+        const scope = nock('https://fapi.binance.com')
+            .get(/.*/)
+            .reply(200, []);
+        try {
+            await binance.futuresCandles( 'BTCUSDT', '1m', { signal: AbortSignal.abort() } )
+            assert.fail( 'should have thrown' )
+        } catch (e) {
+            assert.equal( e.name, 'AbortError' )
+        }
+        assert.isFalse( scope.isDone() )
+    })
+})
+
+describe( 'Static transport and middleware tests', async function () {
+
+    it( 'sends requests through a custom transport', async function ( ) {
+        const calls = []
+        const transport = async ( url, init ) => {
+            calls.push({ url, init })
+            return new Response( JSON.stringify({ orderId: 5 }), { status: 200, headers: { 'x-mbx-used-weight-1m': '7' } } )
+        }
+        const custom = new Binance({ APIKEY: 'XXX', APISECRET: 'YYY', transport })
+        const res = await custom.futuresMarketBuy( 'BTCUSDT', 0.1 )
+        assert.equal( res.orderId, 5 )
+        assert.equal( calls.length, 1 )
+        assert.isTrue( calls[0].url.startsWith( 'https://fapi.binance.com/fapi/v1/order?' ) )
+        assert.equal( calls[0].init.method, 'POST' )
+        assert.equal( calls[0].init.headers['X-MBX-APIKEY'], 'XXX' )
+        assert.equal( custom.usedWeight(), 7 )
+    })
+
+    it( 'runs the hooks with method, url, signed params and timing', async function ( ) {
+        const seen = []
+        const transport = async ( url, init ) => {
+            seen.push( 'transport:' + init.headers['X-Trace-Id'] )
+            if ( url.includes( 'openOrders' ) ) return new Response( '[]', { status: 200 } )
+            return new Response( JSON.stringify({ code: -2013, msg: 'Order does not exist.' }), { status: 400 } )
+        }
+        const hooked = new Binance({ APIKEY: 'XXX', APISECRET: 'YYY', transport })
+        let after = null
+        let failed = null
+        hooked.use({
+            beforeRequest: ( context ) => {
+                context.headers['X-Trace-Id'] = 'abc'
+                seen.push( 'before:' + context.method )
+            },
+            afterResponse: ( context ) => { after = context },
+            onError: ( context ) => { failed = context },
+        })
+        await hooked.openOrders( 'LTCUSDT' )
+        assert.deepEqual( seen, [ 'before:GET', 'transport:abc' ] )
+        assert.equal( after.status, 200 )
+        assert.deepEqual( after.data, [] )
+        assert.equal( after.params.symbol, 'LTCUSDT' )
+        assert.isDefined( after.params.signature )
+        assert.isDefined( after.params.timestamp )
+        assert.isAtLeast( after.duration, 0 )
+        assert.isAtLeast( after.startTime, Date.now() - 10000 )
+
+        try {
+            await hooked.cancel( 'LTCUSDT', 123 )
+            assert.fail( 'should have thrown' )
+        } catch (e) {
+            assert.instanceOf( e, Binance.UnknownOrderError )
+            assert.strictEqual( failed.error, e )
+            assert.equal( failed.status, 400 )
+            assert.equal( failed.method, 'DELETE' )
+            assert.equal( failed.params.orderId, '123' )
+        }
+    })
+})
+
+describe( 'Static time sync tests', async function () {
+
+    beforeEach(() => nock.cleanAll());
+    after(() => nock.cleanAll());
+
+    it( 'keeps a separate, latency compensated offset per market', async function ( ) {
+        const synced = new Binance({ APIKEY: 'XXX', APISECRET: 'YYY' })
+        const drifts = []
+        synced.on( 'timeDrift', ( event ) => drifts.push( event ) )
+        nock('https://fapi.binance.com')
+            .get('/fapi/v1/time')
+            .delay(40)
+            .reply(200, () => ({ serverTime: Date.now() + 5000 }));
+        const { offset, latency } = await synced.syncTime( 'fapi' )
+        assert.isAtLeast( latency, 40 )
+        // half of the round trip is attributed to each direction
+        assert.closeTo( offset, 5000, latency / 2 + 30 )
+        assert.equal( synced.getTimeOffset( 'fapi' ), offset )
+        assert.equal( synced.getTimeOffset( 'spot' ), 0 )
+        assert.equal( drifts.length, 1 )
+        assert.equal( drifts[0].market, 'fapi' )
+        // the same offset again is no drift
+        nock('https://fapi.binance.com')
+            .get('/fapi/v1/time')
+            .reply(200, () => ({ serverTime: Date.now() + 5000 }));
+        await synced.syncTime( 'fapi' )
+        assert.equal( drifts.length, 1 )
+
+        let futuresUrl = null
+        let spotUrl = null
+        nock('https://fapi.binance.com')
+            .get(/.*/)
+            .reply(200, function (uri) { futuresUrl = uri; return [] });
+        nock('https://api.binance.com')
+            .get(/.*/)
+            .reply(200, function (uri) { spotUrl = uri; return [] });
+        await synced.futuresOpenOrders( 'BTCUSDT' )
+        await synced.openOrders( 'BTCUSDT' )
+        assert.closeTo( Number( urlToObject( futuresUrl.split( '?' )[1] ).timestamp ), Date.now() + offset, 1000 )
+        assert.closeTo( Number( urlToObject( spotUrl.split( '?' )[1] ).timestamp ), Date.now(), 1000 )
+    })
+
+    it( 'delivery falls back to the spot offset until it is synced', async function ( ) {
+        const synced = new Binance({ APIKEY: 'XXX', APISECRET: 'YYY' })
+        const drifts = []
+        synced.on( 'timeDrift', ( event ) => drifts.push( event ) )
+        synced.timeOffset = -3000
+        assert.equal( synced.getTimeOffset( 'dapi' ), -3000 )
+        nock('https://dapi.binance.com')
+            .get('/dapi/v1/time')
+            .reply(200, () => ({ serverTime: Date.now() }));
+        await synced.syncTime( 'dapi' )
+        assert.closeTo( synced.getTimeOffset( 'dapi' ), 0, 50 )
+        assert.equal( synced.getTimeOffset( 'spot' ), -3000 )
+        // the first delivery sync is compared with the spot offset it signed with
+        assert.equal( drifts.length, 1 )
+        assert.deepInclude( drifts[0], { market: 'dapi', previousOffset: -3000 } )
+        const steady = new Binance({ APIKEY: 'XXX', APISECRET: 'YYY' })
+        steady.on( 'timeDrift', ( event ) => drifts.push( event ) )
+        steady.timeOffset = 5000
+        nock('https://fapi.binance.com')
+            .get('/fapi/v1/time')
+            .reply(200, () => ({ serverTime: Date.now() + 5000 }));
+        await steady.syncTime( 'fapi' )
+        assert.equal( drifts.length, 1 )
+    })
+
+    it( 'resyncs and sends the request again on -1021', async function ( ) {
+        const synced = new Binance({ APIKEY: 'XXX', APISECRET: 'YYY', timeSync: { interval: 0 } })
+        const timestamps = []
+        nock('https://fapi.binance.com')
+            .post(/.*/)
+            .reply(400, function (uri) {
+                timestamps.push( Number( urlToObject( uri.split( '?' )[1] ).timestamp ) )
+                return { code: -1021, msg: 'Timestamp for this request is outside of the recvWindow.' }
+            })
+            .get('/fapi/v1/time')
+            .reply(200, () => ({ serverTime: Date.now() - 20000 }))
+            .post(/.*/)
+            .reply(200, function (uri) {
+                timestamps.push( Number( urlToObject( uri.split( '?' )[1] ).timestamp ) )
+                return { orderId: 3 }
+            });
+        const res = await synced.futuresMarketSell( 'BTCUSDT', 0.1 )
+        assert.equal( res.orderId, 3 )
+        assert.equal( timestamps.length, 2 )
+        assert.closeTo( timestamps[0] - timestamps[1], 20000, 1000 )
+    })
+
+    it( 'throws the TimestampError when time sync is off', async function ( ) {
+        nock('https://fapi.binance.com')
+            .post(/.*/)
+            .reply(400, { code: -1021, msg: 'Timestamp for this request is outside of the recvWindow.' });
+        try {
+            await binance.futuresMarketSell( 'BTCUSDT', 0.1 )
+            assert.fail( 'should have thrown' )
+        } catch (e) {
+            assert.instanceOf( e, Binance.TimestampError )
+        }
+    })
+})
+
+describe( 'Static WebSocket API tests', async function () {
+
+    const fixture = socketServer()
+    let client = null
+    let handler = null
+    const received = []
+
+    before( function ( ) {
+        client = new Binance({ APIKEY: 'XXX', APISECRET: 'YYY', timeout: 200, urls: { wsApi: fixture.base, wsFapi: fixture.base } })
+        fixture.server.on( 'connection', ( socket ) => {
+            socket.on( 'message', ( data ) => {
+                const request = JSON.parse( data.toString() )
+                received.push( request )
+                handler( request, ( response ) => socket.send( JSON.stringify( Object.assign({ id: request.id }, response ) ) ) )
+            })
+        })
+    })
+
+    after( function ( ) {
+        client.wsApiClose()
+    })
+
+    beforeEach(() => { received.length = 0 });
+
+    it( 'places a signed order and resolves with its result', async function ( ) {
+        handler = ( request, reply ) => reply({ status: 200, result: { orderId: 12, clientOrderId: request.params.newClientOrderId } })
+        const res = await client.wsApiOrder( 'LIMIT', 'BUY', 'LTCUSDT', 0.5, 100 )
+        assert.equal( res.orderId, 12 )
+        const { method, params } = received[0]
+        assert.equal( method, 'order.place' )
+        assert.equal( params.apiKey, 'XXX' )
+        assert.equal( params.timeInForce, 'GTC' )
+        assert.isTrue( params.newClientOrderId.startsWith( client.SPOT_PREFIX ) )
+        const { signature, ...unsigned } = params
+        const payload = Object.keys( unsigned ).sort().map( key => `${key}=${unsigned[key]}` ).join( '&' )
+        assert.equal( signature, crypto.createHmac( 'sha256', 'YYY' ).update( payload ).digest( 'hex' ) )
+    })
+
+    it( 'matches concurrent responses by id', async function ( ) {
+        const replies = []
+        handler = ( request, reply ) => {
+            replies.push( () => reply({ status: 200, result: { method: request.method, symbol: request.params.symbol } }) )
+            if ( replies.length === 2 ) replies.reverse().forEach( send => send() )
+        }
+        const [ open, status ] = await Promise.all([
+            client.wsApiOpenOrders( 'BTCUSDT' ),
+            client.wsApiOrderStatus( 'ETHUSDT', 5 ),
+        ])
+        assert.deepEqual( open, { method: 'openOrders.status', symbol: 'BTCUSDT' } )
+        assert.deepEqual( status, { method: 'order.status', symbol: 'ETHUSDT' } )
+    })
+
+    it( 'throws typed errors and timeouts', async function ( ) {
+        handler = ( request, reply ) => reply({ status: 400, error: { code: -2011, msg: 'Unknown order sent.' } })
+        try {
+            await client.wsApiCancel( 'LTCUSDT', 1 )
+            assert.fail( 'should have thrown' )
+        } catch (e) {
+            assert.instanceOf( e, Binance.UnknownOrderError )
+            assert.equal( e.status, 400 )
+            assert.equal( e.method, 'order.cancel' )
+        }
+
+        handler = () => undefined
+        try {
+            await client.wsApiAccount()
+            assert.fail( 'should have thrown' )
+        } catch (e) {
+            assert.instanceOf( e, Binance.RequestTimeoutError )
+        }
+    })
+
+    it( 'sends futures orders on their own connection', async function ( ) {
+        handler = ( request, reply ) => reply({ status: 200, result: { orderId: 99 } })
+        const res = await client.wsApiFuturesOrder( 'MARKET', 'SELL', 'BTCUSDT', 0.01 )
+        assert.equal( res.orderId, 99 )
+        assert.isTrue( received[0].params.newClientOrderId.startsWith( client.CONTRACT_PREFIX ) )
+        assert.notStrictEqual( client.wsApiConnection( 'futures' ), client.wsApiConnection( 'spot' ) )
+    })
+})
+
+describe( 'Static live subscription tests', async function () {
+
+    const fixture = socketServer()
+    const sockets = fixture.connections
+    let client = null
+    let silent = false
+    let failSubscribe = 0
+    const received = []
+
+    before( function ( ) {
+        client = new Binance({ APIKEY: 'XXX', APISECRET: 'YYY', log: () => undefined, urls: { combineStream: `${fixture.base}/stream?streams=` } })
+        fixture.server.on( 'connection', ( socket, request ) => {
+            socket.on( 'message', ( data ) => {
+                const message = JSON.parse( data.toString() )
+                received.push( Object.assign({ socket: sockets.indexOf( socket ), url: request.url, at: Date.now() }, message ) )
+                if ( silent && message.method === 'LIST_SUBSCRIPTIONS' ) return
+                if ( failSubscribe && message.method === 'SUBSCRIBE' ) {
+                    failSubscribe--
+                    return socket.send( JSON.stringify({ error: { code: 2, msg: 'Invalid request' }, id: message.id }) )
+                }
+                socket.send( JSON.stringify({ result: message.method === 'LIST_SUBSCRIPTIONS' ? [ 'btcusdt@trade' ] : null, id: message.id }) )
+            })
+        })
+    })
+
+    after( function ( ) {
+        client.liveClose()
+    })
+
+    beforeEach(() => {
+        client.liveClose()
+        received.length = 0
+        silent = false
+        failSubscribe = 0
+    });
+
+    it( 'subscribes on a shared connection and dispatches by stream', async function ( ) {
+        const trades = []
+        const other = []
+        const onTrade = ( data, stream ) => trades.push( stream )
+        const onOther = ( data, stream ) => other.push( stream )
+        client.liveSubscribe( [ 'btcusdt@trade', 'ethusdt@trade' ], onTrade )
+        client.liveSubscribe( 'btcusdt@trade', onOther )
+        await waitFor( () => received.length === 1 )
+        assert.equal( received[0].url, '/stream' )
+        assert.equal( received[0].method, 'SUBSCRIBE' )
+        assert.deepEqual( received[0].params, [ 'btcusdt@trade', 'ethusdt@trade' ] )
+
+        sockets[0].send( JSON.stringify({ stream: 'btcusdt@trade', data: { p: '1' } }) )
+        sockets[0].send( JSON.stringify({ stream: 'ethusdt@trade', data: { p: '2' } }) )
+        await waitFor( () => trades.length === 2 )
+        assert.deepEqual( trades, [ 'btcusdt@trade', 'ethusdt@trade' ] )
+        assert.deepEqual( other, [ 'btcusdt@trade' ] )
+
+        // the stream still has onOther
+        client.liveUnsubscribe( 'btcusdt@trade', onTrade )
+        client.liveUnsubscribe( 'ethusdt@trade', onTrade )
+        await waitFor( () => received.length === 2 )
+        assert.equal( received[1].method, 'UNSUBSCRIBE' )
+        assert.deepEqual( received[1].params, [ 'ethusdt@trade' ] )
+        assert.deepEqual( client.streamManager().streams(), [ 'btcusdt@trade' ] )
+        assert.deepEqual( await client.liveSubscriptions(), [ 'btcusdt@trade' ] )
+    })
+
+    it( 'throttles messages and shards streams over connections', async function ( ) {
+        const manager = client.streamManager()
+        manager.limits.maxStreams = 2
+        const callback = () => undefined
+        client.liveSubscribe( 'a@trade', callback )
+        await waitFor( () => received.length === 1 )
+        client.liveSubscribe( [ 'b@trade', 'c@trade' ], callback )
+        await waitFor( () => received.length === 3 )
+        assert.equal( manager.shards.length, 2 )
+        const [ first, second ] = received.filter( message => message.socket === 0 )
+        assert.deepEqual( second.params, [ 'b@trade' ] )
+        // spot allows 5 messages per second per connection
+        assert.isAtLeast( second.at - first.at, 180 )
+        assert.deepEqual( received.find( message => message.socket === 1 ).params, [ 'c@trade' ] )
+    })
+
+    it( 'subscribes everything again after a reconnect', async function ( ) {
+        const manager = client.streamManager()
+        manager.options.reconnectPolicy = Object.assign({}, manager.options.reconnectPolicy, { baseDelay: 10, jitter: false })
+        client.liveSubscribe( [ 'btcusdt@trade', 'btcusdt@depth' ], () => undefined )
+        await waitFor( () => received.length === 1 )
+        sockets[0].terminate()
+        await waitFor( () => received.length === 2 )
+        assert.equal( received[1].socket, 1 )
+        assert.equal( received[1].method, 'SUBSCRIBE' )
+        assert.sameMembers( received[1].params, [ 'btcusdt@trade', 'btcusdt@depth' ] )
+    })
+
+    it( 'throttles LIST_SUBSCRIPTIONS and rejects requests that get no answer', async function ( ) {
+        const manager = client.streamManager()
+        client.liveSubscribe( 'btcusdt@trade', () => undefined )
+        await waitFor( () => received.length === 1 )
+        assert.deepEqual( await client.liveSubscriptions(), [ 'btcusdt@trade' ] )
+        assert.equal( received[1].method, 'LIST_SUBSCRIPTIONS' )
+        assert.isAtLeast( received[1].at - received[0].at, 180 )
+
+        silent = true
+        manager.options.requestTimeout = 50
+        try {
+            await client.liveSubscriptions()
+            assert.fail( 'the request did not time out' )
+        } catch ( error ) {
+            assert.include( error.message, 'LIST_SUBSCRIPTIONS got no answer within 50ms' )
+        } finally {
+            delete manager.options.requestTimeout
+        }
+        assert.equal( manager.shards[0].requests.size, 0 )
+    })
+
+    it( 'reports a failed SUBSCRIBE and subscribes its streams again', async function ( ) {
+        const manager = client.streamManager()
+        manager.options.reconnectPolicy = Object.assign({}, manager.options.reconnectPolicy, { baseDelay: 10, jitter: false })
+        const errors = []
+        const onError = event => errors.push( event )
+        client.on( 'error', onError )
+        failSubscribe = 1
+        try {
+            client.liveSubscribe( [ 'btcusdt@trade', 'ethusdt@trade' ], () => undefined )
+            await waitFor( () => received.length === 2 )
+        } finally {
+            client.off( 'error', onError )
+        }
+        assert.equal( errors.length, 1 )
+        assert.include( errors[0].error.message, 'SUBSCRIBE of btcusdt@trade, ethusdt@trade failed: Invalid request (2)' )
+        assert.equal( received[1].method, 'SUBSCRIBE' )
+        assert.deepEqual( received[1].params, [ 'btcusdt@trade', 'ethusdt@trade' ] )
+        await new Promise( resolve => setTimeout( resolve, 50 ) )
+        assert.equal( received.length, 2 )
+        assert.equal( manager.shards[0].subscribeAttempts, 0 )
+    })
+})
+
+describe( 'Static reconnect policy tests', async function () {
+    let refuse = false
+    let handshakes = 0
+    const fixture = socketServer({ verifyClient: () => { handshakes++; return !refuse } })
+    const { connections } = fixture
+    let client
+    const events = []
+
+    before( function ( ) {
+        client = new Binance({
+            APIKEY: 'XXX',
+            APISECRET: 'YYY',
+            log: () => undefined,
+            urls: { stream: `${fixture.base}/ws/` },
+            reconnectPolicy: {
+                maxAttempts: 2,
+                baseDelay: 20,
+                maxDelay: 40,
+                jitter: false,
+                onReconnecting: event => events.push( [ 'reconnecting', event.attempt, event.delay ] ),
+                onReconnected: event => events.push( [ 'reconnected', event.attempt ] ),
+                onGiveUp: event => events.push( [ 'giveUp', event.attempt ] ),
+            },
+        })
+    })
+
+    beforeEach(() => {
+        refuse = false
+        events.length = 0
+    });
+
+    const subscribe = ( reconnectPolicy? ) => {
+        let ws
+        const reconnect = () => {
+            ws = client.subscribe( 'btcusdt@trade', () => undefined, reconnect )
+        }
+        ws = client.subscribe( 'btcusdt@trade', () => undefined, reconnect, undefined, reconnectPolicy )
+        return () => ws
+    }
+
+    it( 'reconnects with backoff and reports the reconnect', async function ( ) {
+        const socket = subscribe()
+        await waitFor( () => connections.length === 1 && socket().readyState === WebSocket.OPEN )
+        for ( const connection of fixture.server.clients ) connection.terminate()
+        await waitFor( () => events.length === 2 )
+        assert.deepEqual( events, [ [ 'reconnecting', 1, 20 ], [ 'reconnected', 1 ] ] )
+        assert.equal( connections.length, 2 )
+        client.terminate( socket().url )
+    })
+
+    it( 'doubles the delay and gives up after maxAttempts', async function ( ) {
+        const socket = subscribe()
+        await waitFor( () => socket().readyState === WebSocket.OPEN )
+        refuse = true
+        for ( const connection of fixture.server.clients ) connection.terminate()
+        await waitFor( () => events.length === 3 )
+        assert.deepEqual( events, [ [ 'reconnecting', 1, 20 ], [ 'reconnecting', 2, 40 ], [ 'giveUp', 2 ] ] )
+        assert.isEmpty( client.reconnectStates )
+    })
+
+    it( 'applies a per subscription policy and cancels it on terminate', async function ( ) {
+        const override = []
+        const socket = subscribe({ maxAttempts: 1, baseDelay: 500, onReconnecting: event => override.push( event.attempt ) })
+        await waitFor( () => socket().readyState === WebSocket.OPEN )
+        refuse = true
+        const url = socket().url
+        for ( const connection of fixture.server.clients ) connection.terminate()
+        await waitFor( () => override.length === 1 )
+        assert.isEmpty( events )
+        // still waiting for the first attempt
+        const before = handshakes
+        client.terminate( url )
+        assert.isUndefined( client.reconnectStates[url] )
+        await new Promise( resolve => setTimeout( resolve, 600 ) )
+        assert.equal( handshakes, before )
+    })
+})
+
+describe( 'Static socket rotation tests', async function () {
+    const fixture = socketServer()
+    const { connections } = fixture
+    let client
+    const received = []
+
+    before( function ( ) {
+        client = new Binance({ APIKEY: 'XXX', APISECRET: 'YYY', log: () => undefined, socketRotation: 0, urls: { stream: `${fixture.base}/ws/` } })
+    })
+
+    beforeEach(() => {
+        received.length = 0
+        client.Options.socketRotation = 0
+    });
+
+    const send = ( index, n ) => connections[index].send( JSON.stringify({ e: 'trade', n }) )
+
+    it( 'switches to the replacement without gaps or duplicates', async function ( ) {
+        const ws = client.subscribe( 'btcusdt@trade', data => received.push( data.n ), () => undefined )
+        await waitFor( () => ws.readyState === WebSocket.OPEN && connections.length === 1 )
+        send( 0, 1 )
+        await waitFor( () => received.length === 1 )
+
+        const closes = []
+        const logs = []
+        const onClose = event => closes.push( event )
+        client.on( 'close', onClose )
+        client.Options.log = ( ...args ) => logs.push( args.join( ' ' ) )
+        try {
+            const replacement = client.rotateSocket( ws )
+            await waitFor( () => replacement.readyState === WebSocket.OPEN && connections.length === 2 )
+            assert.strictEqual( client.subscriptions[ws.url], replacement )
+            send( 0, 2 )
+            await waitFor( () => received.length === 2 )
+            // the replacement repeats 2 before its first new event
+            send( 1, 2 )
+            send( 1, 3 )
+            await waitFor( () => received.length === 3 )
+            await waitFor( () => ws.readyState === WebSocket.CLOSED )
+            await new Promise( resolve => setTimeout( resolve, 20 ) )
+        } finally {
+            client.off( 'close', onClose )
+            client.Options.log = () => undefined
+        }
+        // retiring the old socket is planned, nothing reports it as a closed feed
+        assert.isEmpty( closes )
+        assert.isFalse( logs.some( line => line.includes( 'closed' ) ) )
+        const replacement = client.subscriptions[ws.url]
+        send( 1, 4 )
+        await waitFor( () => received.length === 4 )
+        assert.deepEqual( received, [ 1, 2, 3, 4 ] )
+        assert.strictEqual( client.subscriptions[ws.url], replacement )
+        assert.isTrue( replacement.reconnect )
+        assert.equal( connections.length, 2 )
+        client.terminate( ws.url )
+        await waitFor( () => replacement.readyState === WebSocket.CLOSED )
+    })
+
+    it( 'rotates on the timer and hands over when the old socket is dropped first', async function ( ) {
+        client.Options.socketRotation = 50
+        const ws = client.subscribe( 'btcusdt@trade', data => received.push( data.n ), () => undefined )
+        await waitFor( () => connections.length === 2 && ws.rotation && ws.rotation.replacement.readyState === WebSocket.OPEN )
+        const replacement = ws.rotation.replacement
+        clearTimeout( replacement.rotationTimer )
+        client.Options.socketRotation = 0
+        connections[0].terminate()
+        await waitFor( () => ws.readyState === WebSocket.CLOSED )
+        send( 1, 1 )
+        await waitFor( () => received.length === 1 )
+        await new Promise( resolve => setTimeout( resolve, 50 ) )
+        assert.equal( connections.length, 2 )
+        assert.strictEqual( client.subscriptions[ws.url], replacement )
+        client.terminate( ws.url )
+        await waitFor( () => replacement.readyState === WebSocket.CLOSED )
+    })
+})
+
+describe( 'Static stream iterator tests', async function () {
+    const fixture = socketServer()
+    const { connections } = fixture
+    let client
+
+    before( function ( ) {
+        client = new Binance({ APIKEY: 'XXX', APISECRET: 'YYY', log: () => undefined, urls: { stream: `${fixture.base}/ws/`, combineStream: `${fixture.base}/stream?streams=` } })
+    })
+
+    it( 'yields stream messages and terminates the socket on break', async function ( ) {
+        const iterator = client.iterate( push => client.tradesStream( 'BTCUSDT', push ) )
+        await waitFor( () => connections.length === 1 && Object.keys( client.subscriptions ).length === 1 )
+        for ( let n = 1; n <= 3; n++ ) connections[0].send( JSON.stringify({ e: 'trade', n }) )
+        const received = []
+        for await ( const trade of iterator ) {
+            received.push( trade.n )
+            if ( trade.n === 3 ) break
+        }
+        assert.deepEqual( received, [ 1, 2, 3 ] )
+        assert.isTrue( iterator.done )
+        await waitFor( () => Object.keys( client.subscriptions ).length === 0 )
+        await new Promise( resolve => setTimeout( resolve, 50 ) )
+        assert.equal( connections.length, 1 )
+    })
+
+    it( 'applies the overflow policies of the bounded buffer', async function ( ) {
+        const fill = ( overflow ) => {
+            let push
+            const iterator = client.iterate( callback => { push = callback }, { bufferSize: 2, overflow })
+            for ( let n = 1; n <= 4; n++ ) push( n )
+            return iterator
+        }
+        const oldest = fill( 'dropOldest' )
+        assert.deepEqual( [ ( await oldest.next() ).value, ( await oldest.next() ).value ], [ 3, 4 ] )
+        assert.equal( oldest.dropped, 2 )
+        const newest = fill( 'dropNewest' )
+        assert.deepEqual( [ ( await newest.next() ).value, ( await newest.next() ).value ], [ 1, 2 ] )
+        const failing = fill( 'error' )
+        try {
+            await failing.next()
+            assert.fail( 'should have thrown' )
+        } catch ( error ) {
+            assert.instanceOf( error, Binance.StreamOverflowError )
+        }
+        assert.isTrue( ( await failing.next() ).done )
+    })
+
+    it( 'yields the data of combined streams without the stream name', async function ( ) {
+        const iterator = client.iterate( push => client.tradesStream( [ 'BTCUSDT', 'ETHUSDT' ], push ) )
+        await waitFor( () => connections.length === 1 )
+        try {
+            connections[0].send( JSON.stringify({ stream: 'btcusdt@trade', data: { e: 'trade', s: 'BTCUSDT' } }) )
+            connections[0].send( JSON.stringify({ stream: 'ethusdt@trade', data: { e: 'trade', s: 'ETHUSDT' } }) )
+            assert.deepEqual( ( await iterator.next() ).value, { e: 'trade', s: 'BTCUSDT' } )
+            assert.deepEqual( ( await iterator.next() ).value, { e: 'trade', s: 'ETHUSDT' } )
+        } finally {
+            await iterator.return()
+        }
+        await waitFor( () => Object.keys( client.subscriptions ).length === 0 )
+    })
+
+    it( 'yields callbacks with several arguments as arrays', async function ( ) {
+        let push
+        const iterator = client.iterate( callback => { push = callback } )
+        push( 'BTCUSDT', '1m', { close: '1' })
+        assert.deepEqual( ( await iterator.next() ).value, [ 'BTCUSDT', '1m', { close: '1' } ] )
+        await iterator.return()
+        push( 'ignored' )
+        assert.isTrue( ( await iterator.next() ).done )
+    })
+})
+
+describe( 'Static stream event tests', async function () {
+    const fixture = socketServer()
+    const { connections } = fixture
+    let client
+    let events = []
+    const types = [ 'open', 'close', 'error', 'reconnect', 'stale', 'message' ]
+    const listeners = {}
+
+    before( function ( ) {
+        client = new Binance({
+            APIKEY: 'XXX',
+            APISECRET: 'YYY',
+            log: () => undefined,
+            reconnectPolicy: { baseDelay: 10, jitter: false },
+            urls: { stream: `${fixture.base}/ws/`, combineStream: `${fixture.base}/stream?streams=` },
+        })
+        for ( const type of types ) {
+            listeners[type] = event => events.push( Object.assign({ type }, event ) )
+            client.on( type, listeners[type] )
+        }
+    })
+
+    after( function ( ) {
+        for ( const type of types ) client.off( type, listeners[type] )
+    })
+
+    beforeEach(() => {
+        events = []
+    });
+
+    it( 'emits open, message, close and reconnect with market and streams', async function ( ) {
+        const streams = [ 'btcusdt@trade', 'ethusdt@trade' ]
+        const reconnect = () => client.subscribeCombined( streams, () => undefined, reconnect )
+        const ws = client.subscribeCombined( streams, () => undefined, reconnect )
+        await waitFor( () => events.length === 1 && connections.length === 1 )
+        assert.deepInclude( events[0], { type: 'open', market: 'spot', url: ws.url, streams } )
+        connections[0].send( JSON.stringify({ stream: 'ethusdt@trade', data: { p: '1' } }) )
+        await waitFor( () => events.length === 2 )
+        assert.deepInclude( events[1], { type: 'message', stream: 'ethusdt@trade', data: { p: '1' } } )
+        connections[0].terminate()
+        await waitFor( () => events.length === 4 )
+        assert.deepInclude( events[2], { type: 'close', market: 'spot', code: 1006 } )
+        assert.deepInclude( events[3], { type: 'reconnect', attempt: 1, delay: 10, streams } )
+        await waitFor( () => events.length === 5 )
+        assert.equal( events[4].type, 'open' )
+        client.terminate( ws.url )
+        await waitFor( () => events.length === 6 )
+    })
+
+    it( 'emits stale when a socket misses its heartbeat', async function ( ) {
+        const ws = client.subscribe( 'btcusdt@depth', () => undefined )
+        await waitFor( () => events.length === 1 )
+        ws.isAlive = false
+        client.socketHeartbeat()
+        await waitFor( () => events.length === 3 )
+        assert.deepInclude( events[1], { type: 'stale', market: 'spot', endpoint: 'btcusdt@depth', streams: [ 'btcusdt@depth' ] } )
+        assert.equal( events[2].type, 'close' )
+    })
+
+    it( 'only emits error events when someone listens', function ( ) {
+        const ws = { market: 'futures', endpoint: 'x', url: 'wss://x', streams: [ 'x' ] }
+        client.handleFuturesSocketError( ws, new Error( 'boom' ) )
+        assert.equal( events[0].error.message, 'boom' )
+        client.off( 'error', listeners.error )
+        try {
+            assert.doesNotThrow( () => client.handleFuturesSocketError( ws, new Error( 'unheard' ) ) )
+        } finally {
+            client.on( 'error', listeners.error )
+        }
+    })
+
+    it( 'still calls the stream callback when a message listener throws', async function ( ) {
+        const received = []
+        const logs = []
+        const log = client.Options.log
+        const throwing = () => { throw new Error( 'listener boom' ) }
+        client.Options.log = ( ...args ) => logs.push( args.join( ' ' ) )
+        client.on( 'message', throwing )
+        try {
+            const ws = client.subscribe( 'btcusdt@trade', data => received.push( data ) )
+            await waitFor( () => connections.length === 1 )
+            connections[0].send( JSON.stringify({ p: '1' }) )
+            await waitFor( () => received.length === 1 )
+            assert.deepEqual( received[0], { p: '1' } )
+            assert.include( logs, 'Stream message listener error: listener boom' )
+            assert.isFalse( logs.some( line => line.includes( 'Parse error' ) ) )
+            client.terminate( ws.url )
+        } finally {
+            client.off( 'message', throwing )
+            client.Options.log = log
+        }
+    })
+})
+
+describe( 'Static futures depth cache tests', async function () {
+    const fixture = socketServer()
+    const { connections } = fixture
+    let client
+
+    before( function ( ) {
+        nock.cleanAll()
+        client = new Binance({ APIKEY: 'XXX', APISECRET: 'YYY', log: () => undefined, urls: { fstreamSingle: `${fixture.base}/ws/` } })
+    })
+
+    after( function ( ) {
+        nock.cleanAll()
+    })
+
+    const depth = ( U, u, pu, b = [], a = [] ) => JSON.stringify({ e: 'depthUpdate', E: u, s: 'BTCUSDT', U, u, pu, b, a })
+
+    it( 'syncs the snapshot with the pu chain and resyncs on a gap', async function ( ) {
+        const snapshots = nock( 'https://fapi.binance.com' )
+            .get( '/fapi/v1/depth' ).query({ symbol: 'BTCUSDT', limit: 500 })
+            .delay( 50 )
+            .reply( 200, { lastUpdateId: 100, bids: [ [ '10', '1' ], [ '9', '2' ] ], asks: [ [ '11', '1' ], [ '12', '1' ] ] })
+            .get( '/fapi/v1/depth' ).query({ symbol: 'BTCUSDT', limit: 500 })
+            .reply( 200, { lastUpdateId: 111, bids: [ [ '8', '4' ] ], asks: [ [ '13', '1' ] ] })
+        const updates = []
+        const url = client.futuresDepthCacheStream( 'BTCUSDT', ( symbol, book, context ) => updates.push( context.lastEventUpdateId ) )
+        await waitFor( () => connections.length === 1 && connections[0].readyState === WebSocket.OPEN )
+        // older than the snapshot, then the first event covering it
+        connections[0].send( depth( 95, 99, 94, [ [ '10', '5' ] ] ) )
+        connections[0].send( depth( 100, 102, 99, [ [ '10', '3' ] ] ) )
+        await waitFor( () => updates.length === 1 )
+        assert.deepEqual( client.getDepthCache( 'BTCUSDT', 'futures' ).bids, { 10: 3, 9: 2 } )
+        assert.isEmpty( client.getDepthCache( 'BTCUSDT' ).bids )
+
+        connections[0].send( depth( 103, 105, 102, [], [ [ '11', '0' ] ] ) )
+        await waitFor( () => updates.length === 2 )
+        assert.deepEqual( Object.keys( client.sortAsks( 'BTCUSDT', Infinity, undefined, 'futures' ) ), [ '12' ] )
+        assert.deepEqual( client.depthVolume( 'BTCUSDT', 'futures' ), { bids: 48, asks: 12, bidQty: 5, askQty: 1 } )
+
+        // pu 108 does not follow u 105: resync from a new snapshot, the event is replayed on it
+        connections[0].send( depth( 110, 112, 108, [ [ '8', '6' ] ] ) )
+        await waitFor( () => updates.length === 3 )
+        assert.isTrue( snapshots.isDone() )
+        assert.deepEqual( client.sortBids( 'BTCUSDT', Infinity, undefined, 'futures' ), { 8: 6 } )
+        assert.equal( client.futuresDepthCacheContext.BTCUSDT.lastEventUpdateId, 112 )
+        assert.equal( client.futuresDepthCacheContext.BTCUSDT.resyncCount, 1 )
+        client.futuresTerminate( url )
+    })
+
+    it( 'keeps a delivery book on a combined stream apart from spot', async function ( ) {
+        client.dstream = `${fixture.base}/stream?streams=`
+        client.depthCache.BTCUSD_PERP = { bids: { 1: 1 }, asks: {} }
+        nock( 'https://dapi.binance.com' )
+            .get( '/dapi/v1/depth' ).query({ symbol: 'BTCUSD_PERP', limit: 100 })
+            .reply( 200, { lastUpdateId: 100, bids: [ [ '50000', '10' ] ], asks: [ [ '50001', '5' ] ] })
+        const updates = []
+        const url = client.deliveryDepthCacheStream( [ 'BTCUSD_PERP' ], symbol => updates.push( symbol ), 100 )
+        await waitFor( () => connections.length === 1 && connections[0].readyState === WebSocket.OPEN )
+        const event = JSON.parse( depth( 99, 101, 98, [ [ '50000', '12' ] ] ).replace( 'BTCUSDT', 'BTCUSD_PERP' ) )
+        connections[0].send( JSON.stringify({ stream: 'btcusd_perp@depth@100ms', data: event }) )
+        await waitFor( () => updates.length === 1 )
+        assert.deepEqual( client.getDepthCache( 'BTCUSD_PERP', 'delivery' ), { lastUpdateId: 100, eventTime: 101, bids: { 50000: 12 }, asks: { 50001: 5 } } )
+        assert.deepEqual( client.getDepthCache( 'BTCUSD_PERP' ).bids, { 1: 1 } )
+        assert.isUndefined( client.futuresDepthCache.BTCUSD_PERP )
+        client.deliveryTerminate( url )
+    })
+})
+
+describe( 'Static depth cache resync tests', async function () {
+    const fixture = socketServer()
+    const { connections } = fixture
+    let client
+
+    before( function ( ) {
+        nock.cleanAll()
+        client = new Binance({ APIKEY: 'XXX', APISECRET: 'YYY', log: () => undefined, urls: { combineStream: `${fixture.base}/stream?streams=` } })
+    })
+
+    after( function ( ) {
+        nock.cleanAll()
+    })
+
+    const send = ( s, U, u, b = [] ) => connections[0].send( JSON.stringify({ stream: s.toLowerCase() + '@depth@100ms', data: { e: 'depthUpdate', E: u, s, U, u, b, a: [] } }) )
+
+    it( 'resyncs only the broken symbol and keeps the socket open', async function ( ) {
+        const snapshot = ( symbol, lastUpdateId, price ) => nock( 'https://api.binance.com' )
+            .get( '/api/v3/depth' ).query({ symbol, limit: 500 })
+            .reply( 200, { lastUpdateId, bids: [ [ price, '1' ] ], asks: [] })
+        snapshot( 'BTCUSDT', 100, '10' )
+        snapshot( 'ETHUSDT', 200, '20' )
+        const resyncs = []
+        const closes = []
+        const onResync = event => resyncs.push( event )
+        const onClose = event => closes.push( event )
+        client.on( 'resync', onResync )
+        client.on( 'close', onClose )
+        const updates = []
+        const url = client.depthCacheStream( [ 'BTCUSDT', 'ETHUSDT' ], ( symbol, book ) => updates.push( symbol ) )
+        await waitFor( () => updates.length === 2 )
+
+        send( 'BTCUSDT', 101, 101, [ [ '10', '2' ] ] )
+        send( 'ETHUSDT', 201, 201, [ [ '20', '2' ] ] )
+        await waitFor( () => updates.length === 4 )
+
+        // 105 skips 102: only BTCUSDT fetches a new snapshot
+        snapshot( 'BTCUSDT', 106, '11' )
+        send( 'BTCUSDT', 105, 106, [ [ '10', '0' ] ] )
+        send( 'ETHUSDT', 202, 202, [ [ '20', '3' ] ] )
+        await waitFor( () => resyncs.length === 1 && updates.length === 6 )
+        send( 'BTCUSDT', 107, 107, [ [ '11', '5' ] ] )
+        await waitFor( () => updates.length === 7 )
+
+        assert.deepInclude( resyncs[0], { market: 'spot', symbol: 'BTCUSDT', count: 1 } )
+        assert.include( resyncs[0].reason, 'Expected "102", got "105"' )
+        assert.equal( client.depthCacheContext.BTCUSDT.resyncCount, 1 )
+        assert.isUndefined( client.depthCacheContext.ETHUSDT.resyncCount )
+        assert.deepEqual( client.getDepthCache( 'BTCUSDT' ).bids, { 11: 5 } )
+        assert.deepEqual( client.getDepthCache( 'ETHUSDT' ).bids, { 20: 3 } )
+        assert.isEmpty( closes )
+        assert.equal( connections.length, 1 )
+        client.off( 'resync', onResync )
+        client.off( 'close', onClose )
+        client.terminate( url )
+    })
+
+    it( 'retries a failed first snapshot and empties the book while it resyncs', async function ( ) {
+        const logs = []
+        const rejections = []
+        const onRejection = reason => rejections.push( reason )
+        process.on( 'unhandledRejection', onRejection )
+        client.Options.log = ( ...args ) => logs.push( args.join( ' ' ) )
+        const depth = () => nock( 'https://api.binance.com' ).get( '/api/v3/depth' ).query({ symbol: 'BTCUSDT', limit: 500 })
+        const updates = []
+        let url
+        try {
+            depth().reply( 500, { code: -1000, msg: 'unknown' })
+            url = client.depthCacheStream( [ 'BTCUSDT' ], ( symbol, book ) => updates.push( book ) )
+            await waitFor( () => logs.some( line => line.includes( 'snapshot failed' ) ) )
+            // the next diff asks again, without waiting for the throttle in this test
+            client.depthCacheContext.BTCUSDT.snapshotFailed = 0
+            depth().reply( 200, { lastUpdateId: 100, bids: [ [ '10', '1' ] ], asks: [] })
+            send( 'BTCUSDT', 101, 101, [ [ '10', '2' ] ] )
+            await waitFor( () => updates.length === 1 )
+            assert.deepEqual( client.getDepthCache( 'BTCUSDT' ).bids, { 10: 2 } )
+
+            depth().delay( 100 ).reply( 200, { lastUpdateId: 110, bids: [ [ '12', '1' ] ], asks: [] })
+            send( 'BTCUSDT', 105, 106, [ [ '10', '0' ] ] )
+            await waitFor( () => client.depthCacheContext.BTCUSDT.snapshotPending )
+            assert.isEmpty( client.getDepthCache( 'BTCUSDT' ).bids )
+            await waitFor( () => !client.depthCacheContext.BTCUSDT.snapshotPending )
+            assert.deepEqual( client.getDepthCache( 'BTCUSDT' ).bids, { 12: 1 } )
+            assert.isEmpty( rejections )
+        } finally {
+            process.off( 'unhandledRejection', onRejection )
+            client.Options.log = () => undefined
+            if ( url ) client.terminate( url )
+        }
+    })
+})
+
+describe( 'Static order book tests', async function () {
+    const client = new Binance({ log: () => undefined })
+    const depth = ( u, b, a ) => ({ e: 'depthUpdate', E: u, s: 'BTCUSDT', U: u, u, b, a })
+
+    it( 'keeps the depth cache sorted through updates', function ( ) {
+        client.depthCache.BTCUSDT = client.depthData({ lastUpdateId: 1, bids: [ [ '99.5', '1' ], [ '100', '2' ] ], asks: [ [ '101', '3' ], [ '100.5', '4' ] ] })
+        const context = {}
+        // deterministic pseudo random levels, quantity 0 removes a level
+        let seed = 7
+        const random = () => ( seed = seed * 16807 % 2147483647 ) / 2147483647
+        for ( let u = 2; u < 300; u++ ) {
+            const level = ( base ) => [ ( base + Math.floor( random() * 50 ) / 10 ).toFixed( 2 ), random() < 0.3 ? '0.00000000' : ( random() * 10 ).toFixed( 8 ) ]
+            client.applyDepthUpdate( client.depthCache.BTCUSDT, context, depth( u, [ level( 95 ) ], [ level( 100.5 ) ] ) )
+        }
+        const book = client.getDepthCache( 'BTCUSDT' )
+        const bids = Object.keys( book.bids ).sort( ( a, b ) => parseFloat( b ) - parseFloat( a ) )
+        const asks = Object.keys( book.asks ).sort( ( a, b ) => parseFloat( a ) - parseFloat( b ) )
+        const prices = levels => levels.map( level => parseFloat( level[0] ) )
+        assert.deepEqual( prices( client.topBids( 'BTCUSDT' ) ), bids.map( parseFloat ) )
+        assert.deepEqual( prices( client.topAsks( 'BTCUSDT' ) ), asks.map( parseFloat ) )
+        assert.sameMembers( client.topBids( 'BTCUSDT' ).map( level => level[0] ), bids )
+        assert.equal( client.bestBid( 'BTCUSDT' )[1], book.bids[client.bestBid( 'BTCUSDT' )[0]] )
+        assert.equal( parseFloat( client.bestAsk( 'BTCUSDT' )[0] ), parseFloat( asks[0] ) )
+        assert.deepEqual( Object.keys( client.sortAsks( 'BTCUSDT', 5 ) ).map( parseFloat ), asks.slice( 0, 5 ).map( parseFloat ) )
+        assert.deepEqual( Object.keys( book ), [ 'lastUpdateId', 'bids', 'asks', 'eventTime' ] )
+    })
+
+    it( 'returns the best levels and removes emptied ones', function ( ) {
+        client.depthCache.ETHUSDT = { bids: { '9.5': 1, '10': 2 }, asks: {}}
+        assert.deepEqual( client.topBids( 'ETHUSDT', 1 ), [ [ '10', 2 ] ] )
+        client.applyDepthUpdate( client.depthCache.ETHUSDT, {}, depth( 2, [ [ '10', '0' ], [ '9.75', '3' ] ], [ [ '11', '1' ] ] ) )
+        assert.deepEqual( client.bestBid( 'ETHUSDT' ), [ '9.75', 3 ] )
+        assert.deepEqual( client.bestAsk( 'ETHUSDT' ), [ '11', 1 ] )
+        assert.deepEqual( client.getDepthCache( 'ETHUSDT' ).bids, { '9.5': 1, '9.75': 3 } )
+        assert.isUndefined( client.bestAsk( 'XRPUSDT' ) )
+        assert.deepEqual( client.topBids( 'XRPUSDT', 5, 'futures' ), [] )
+    })
+})
+
+describe( 'Static order book analytics tests', async function () {
+    const client = new Binance({ log: () => undefined })
+
+    before( function ( ) {
+        client.futuresDepthCache.BTCUSDT = client.depthData({ lastUpdateId: 1, bids: [ [ '99', '1' ], [ '98', '3' ] ], asks: [ [ '101', '1' ], [ '102', '2' ], [ '104', '1' ] ] })
+    })
+
+    it( 'estimates market orders by quantity and quote quantity', function ( ) {
+        const buy = client.estimateFill( 'BTCUSDT', 'BUY', 2, { market: 'futures' })
+        assert.deepInclude( buy, { quantity: 2, quoteQuantity: 203, averagePrice: 101.5, worstPrice: 102, midPrice: 100, levels: 2, filled: true, remaining: 0 } )
+        assert.closeTo( buy.slippageBps, 150, 1e-9 )
+        const sell = client.estimateFill( 'BTCUSDT', 'SELL', 0, { quoteOrderQty: 148, market: 'futures' })
+        assert.deepInclude( sell, { quoteQuantity: 148, averagePrice: 148 / 1.5, levels: 2, filled: true } )
+        assert.closeTo( sell.quantity, 1.5, 1e-12 )
+        const tooBig = client.estimateFill( 'BTCUSDT', 'BUY', 10, { market: 'futures' })
+        assert.deepInclude( tooBig, { quantity: 4, levels: 3, worstPrice: 104, filled: false, remaining: 6 } )
+        assert.isUndefined( client.estimateFill( 'BTCUSDT', 'BUY', 1 ) )
+    })
+
+    it( 'computes spread, mid price, microprice and imbalance', function ( ) {
+        assert.equal( client.spread( 'BTCUSDT', 'futures' ), 2 )
+        assert.equal( client.midPrice( 'BTCUSDT', 'futures' ), 100 )
+        assert.equal( client.microprice( 'BTCUSDT', 'futures' ), 100 )
+        assert.equal( client.bookImbalance( 'BTCUSDT', 1, 'futures' ), 0 )
+        assert.equal( client.bookImbalance( 'BTCUSDT', 2, 'futures' ), ( 4 - 3 ) / 7 )
+        client.applyDepthUpdate( client.futuresDepthCache.BTCUSDT, {}, { E: 2, u: 2, b: [ [ '99', '3' ] ], a: [] })
+        assert.equal( client.microprice( 'BTCUSDT', 'futures' ), ( 99 * 1 + 101 * 3 ) / 4 )
+        assert.isUndefined( client.spread( 'BTCUSDT' ) )
+    })
+})
+
+describe( 'Static partial depth stream tests', async function () {
+    const fixture = socketServer()
+    const { connections, urls } = fixture
+    let client
+
+    before( function ( ) {
+        client = new Binance({ APIKEY: 'XXX', APISECRET: 'YYY', log: () => undefined, urls: { combineStream: `${fixture.base}/stream?streams=`, fstream: `${fixture.base}/stream?streams=`, fstreamSingle: `${fixture.base}/ws/` } })
+    })
+
+    it( 'parses combined spot partial depth with the symbol of the stream name', async function ( ) {
+        const books = []
+        const url = client.partialDepthStream( [ 'BTCUSDT', 'ETHUSDT' ], book => books.push( book ), 5 )
+        await waitFor( () => connections.length === 1 )
+        assert.equal( urls[0], '/stream?streams=btcusdt@depth5@100ms/ethusdt@depth5@100ms' )
+        connections[0].send( JSON.stringify({ stream: 'ethusdt@depth5@100ms', data: { lastUpdateId: 7, bids: [ [ '20.1', '1.5' ] ], asks: [ [ '20.2', '3' ] ] } }) )
+        await waitFor( () => books.length === 1 )
+        assert.deepEqual( books[0], { symbol: 'ETHUSDT', lastUpdateId: 7, bids: [ { price: '20.1', quantity: '1.5' } ], asks: [ { price: '20.2', quantity: '3' } ] } )
+        client.terminate( url )
+    })
+
+    it( 'parses futures partial depth with event and transaction times', async function ( ) {
+        const books = []
+        const url = client.futuresPartialDepthStream( 'BTCUSDT', book => books.push( book ), 10, 500 )
+        await waitFor( () => connections.length === 1 )
+        assert.equal( urls[0], '/ws/btcusdt@depth10@500ms' )
+        connections[0].send( JSON.stringify({ e: 'depthUpdate', E: 12, T: 11, s: 'BTCUSDT', U: 8, u: 9, pu: 7, b: [ [ '100', '2' ] ], a: [] }) )
+        await waitFor( () => books.length === 1 )
+        assert.deepEqual( books[0], { symbol: 'BTCUSDT', lastUpdateId: 9, bids: [ { price: '100', quantity: '2' } ], asks: [], eventTime: 12, transactionTime: 11 } )
+        assert.throws( () => client.deliveryPartialDepthStream( 'BTCUSD_PERP', () => undefined, 15 ), /"levels" must be 5, 10 or 20/ )
+        client.futuresTerminate( url )
+    })
+
+    it( 'passes the stream name to futuresSubscribe callbacks with withStreamName', async function ( ) {
+        const received = []
+        const ws = client.futuresSubscribe( [ 'btcusdt@depth5', 'ethusdt@depth5' ], ( data, stream ) => received.push( [ data.u, stream ] ), { withStreamName: true } )
+        await waitFor( () => connections.length === 1 )
+        connections[0].send( JSON.stringify({ stream: 'ethusdt@depth5', data: { u: 3, b: [], a: [] } }) )
+        await waitFor( () => received.length === 1 )
+        assert.deepEqual( received, [ [ 3, 'ethusdt@depth5' ] ] )
+        client.futuresTerminate( ws.url )
+    })
+})
+
+describe( 'Static market metadata tests', async function () {
+    const spotInfo = {
+        rateLimits: [],
+        symbols: [ {
+            symbol: 'BTCFDUSD', status: 'TRADING', baseAsset: 'BTC', quoteAsset: 'FDUSD', orderTypes: [ 'LIMIT', 'MARKET' ], permissions: [], permissionSets: [ [ 'SPOT', 'TRD_GRP_002' ] ],
+            filters: [
+                { filterType: 'PRICE_FILTER', minPrice: '0.01000000', maxPrice: '1000000.00000000', tickSize: '0.01000000' },
+                { filterType: 'LOT_SIZE', minQty: '0.00001000', maxQty: '9000.00000000', stepSize: '0.00001000' },
+                { filterType: 'NOTIONAL', minNotional: '5.00000000', maxNotional: '9000000.00000000' },
+            ]
+        } ]
+    }
+
+    beforeEach( function ( ) {
+        nock.cleanAll()
+    })
+
+    it( 'loads a market once and serves getMarket and symbolInfo from it', async function ( ) {
+        const client = new Binance({ marketMetadata: { refreshInterval: 0 } })
+        assert.equal( client.getMarket( 'BTCUSDT' ), 'USDT' )
+        const scope = nock( 'https://api.binance.com' ).get( '/api/v3/exchangeInfo' ).once().reply( 200, spotInfo )
+        const [ markets, info ] = await Promise.all( [ client.loadMarkets(), client.symbolInfo( 'BTCFDUSD' ) ] )
+        assert.isTrue( scope.isDone() )
+        assert.deepEqual( Object.keys( markets ), [ 'BTCFDUSD' ] )
+        assert.deepInclude( info, { market: 'spot', baseAsset: 'BTC', quoteAsset: 'FDUSD', status: 'TRADING', tickSize: '0.01000000', stepSize: '0.00001000', minQty: '0.00001000', minNotional: '5.00000000' } )
+        assert.deepEqual( info.permissions, [ 'SPOT', 'TRD_GRP_002' ] )
+        assert.equal( client.getMarket( 'BTCFDUSD' ), 'FDUSD' )
+        assert.isUndefined( client.getMarket( 'BTCUSDT' ) )
+        assert.isUndefined( await client.symbolInfo( 'ABCDEFG' ) )
+    })
+
+    it( 'keeps the contract details of futures symbols', async function ( ) {
+        const client = new Binance({ marketMetadata: { refreshInterval: 0 } })
+        nock( 'https://fapi.binance.com' ).get( '/fapi/v1/exchangeInfo' ).reply( 200, { symbols: [ {
+            symbol: 'BTCUSDT', pair: 'BTCUSDT', contractType: 'PERPETUAL', deliveryDate: 4133404800000, onboardDate: 1569398400000, status: 'TRADING',
+            baseAsset: 'BTC', quoteAsset: 'USDT', marginAsset: 'USDT', pricePrecision: 2, quantityPrecision: 3, orderTypes: [ 'LIMIT' ],
+            filters: [ { filterType: 'PRICE_FILTER', minPrice: '556.80', maxPrice: '4529764', tickSize: '0.10' }, { filterType: 'MIN_NOTIONAL', notional: '100' } ]
+        } ] })
+        const info = await client.symbolInfo( 'BTCUSDT', 'futures' )
+        assert.deepInclude( info, { market: 'futures', tickSize: '0.10', minNotional: '100', permissions: [] } )
+        assert.deepEqual( info.contract, { pair: 'BTCUSDT', contractType: 'PERPETUAL', marginAsset: 'USDT', deliveryDate: 4133404800000, onboardDate: 1569398400000, pricePrecision: 2, quantityPrecision: 3 } )
+        assert.equal( client.getMarket( 'BTCUSDT', 'futures' ), 'USDT' )
+    })
+})
+
+describe( 'Static order validation tests', async function () {
+    const exchangeInfo = { symbols: [ {
+        symbol: 'BTCUSDT', status: 'TRADING', baseAsset: 'BTC', quoteAsset: 'USDT',
+        filters: [
+            { filterType: 'PRICE_FILTER', minPrice: '0.01000000', maxPrice: '1000000.00000000', tickSize: '0.01000000' },
+            { filterType: 'LOT_SIZE', minQty: '0.00001000', maxQty: '9000.00000000', stepSize: '0.00001000' },
+            { filterType: 'NOTIONAL', minNotional: '5.00000000', applyMinToMarket: true, maxNotional: '9000000.00000000', applyMaxToMarket: false },
+            { filterType: 'PERCENT_PRICE_BY_SIDE', bidMultiplierUp: '5', bidMultiplierDown: '0.2', askMultiplierUp: '5', askMultiplierDown: '0.2', avgPriceMins: 5 },
+            { filterType: 'MAX_NUM_ORDERS', maxNumOrders: 200 },
+        ]
+    } ] }
+
+    beforeEach( function ( ) {
+        nock.cleanAll()
+        nock( 'https://api.binance.com' ).get( '/api/v3/exchangeInfo' ).reply( 200, exchangeInfo )
+    })
+
+    after( function ( ) {
+        nock.cleanAll()
+    })
+
+    it( 'sends rounded prices and quantities as exact decimal strings', async function ( ) {
+        const client = new Binance({ APIKEY: 'XXX', APISECRET: 'YYY', orderValidation: true, marketMetadata: { refreshInterval: 0 } })
+        let sent
+        nock( 'https://api.binance.com' ).post( '/api/v3/order' ).reply( 200, function ( uri, body ) {
+            sent = urlToObject( body )
+            return { orderId: 1 }
+        })
+        await client.order( 'LIMIT', 'BUY', 'BTCUSDT', 0.1 + 0.2, 60123.456 )
+        assert.equal( sent.quantity, '0.3' )
+        assert.equal( sent.price, '60123.46' )
+        const validated = await client.validateOrder( 'LIMIT', 'SELL', 'BTCUSDT', '0.1234567', '100.005', { stopPrice: 1e-1 }, 'spot', { quantityRounding: 'up' })
+        assert.deepEqual( validated, { quantity: '0.12346', price: '100.01', stopPrice: '0.1' } )
+    })
+
+    it( 'rejects orders that break a filter before sending them', async function ( ) {
+        const client = new Binance({ APIKEY: 'XXX', APISECRET: 'YYY', orderValidation: { round: false }, marketMetadata: { refreshInterval: 0 } })
+        const rejection = async ( promise ) => {
+            try {
+                await promise
+            } catch ( error ) {
+                return error
+            }
+            assert.fail( 'the order was not rejected' )
+        }
+        const offGrid = await rejection( client.order( 'LIMIT', 'BUY', 'BTCUSDT', '0.000015', '100' ) )
+        assert.instanceOf( offGrid, Binance.OrderValidationError )
+        assert.instanceOf( offGrid, Binance.FilterFailureError )
+        assert.deepInclude( offGrid, { symbol: 'BTCUSDT', filterType: 'LOT_SIZE', msg: 'Filter failure: LOT_SIZE' } )
+        const tooSmall = await rejection( client.order( 'LIMIT', 'BUY', 'BTCUSDT', '0.0001', '100' ) )
+        assert.equal( tooSmall.filterType, 'NOTIONAL' )
+        assert.include( tooSmall.message, 'notional 0.01 is below the minimum 5.00000000' )
+
+        nock( 'https://api.binance.com' ).get( '/api/v3/avgPrice' ).query( true ).reply( 200, { mins: 5, price: '100.00' } )
+        nock( 'https://api.binance.com' ).get( '/api/v3/openOrders' ).query( true ).reply( 200, [] )
+        const farAway = await rejection( client.validateOrder( 'LIMIT', 'BUY', 'BTCUSDT', '1', '600', {}, 'spot', { marketChecks: true }) )
+        assert.equal( farAway.filterType, 'PERCENT_PRICE_BY_SIDE' )
+    })
+
+    it( 'rounds floats as the decimals they were meant to be', async function ( ) {
+        const client = new Binance({ APIKEY: 'XXX', APISECRET: 'YYY', orderValidation: { quantityRounding: 'up' }, marketMetadata: { refreshInterval: 0 } })
+        const validated = await client.validateOrder( 'LIMIT', 'BUY', 'BTCUSDT', 0.1 * 3, 0.1 * 3 * 1000 )
+        assert.deepEqual( validated, { quantity: '0.3', price: '300' } )
+    })
+
+    it( 'overlays explicit options on the orderValidation option', async function ( ) {
+        const client = new Binance({ APIKEY: 'XXX', APISECRET: 'YYY', orderValidation: { round: false }, marketMetadata: { refreshInterval: 0 } })
+        try {
+            await client.validateOrder( 'LIMIT', 'BUY', 'BTCUSDT', '1.000015', '100', {}, 'spot', { priceRounding: 'up' })
+            assert.fail( 'the order was not rejected' )
+        } catch ( error ) {
+            assert.equal( error.filterType, 'LOT_SIZE' )
+        }
+        const validated = await client.validateOrder( 'LIMIT', 'BUY', 'BTCUSDT', '1.000015', '100', {}, 'spot', { round: true })
+        assert.equal( validated.quantity, '1.00001' )
+    })
+
+    it( 'only exempts reduce only orders flagged true or \'true\' from the notional filter', async function ( ) {
+        const client = new Binance({ APIKEY: 'XXX', APISECRET: 'YYY', orderValidation: true, marketMetadata: { refreshInterval: 0 } })
+        const validated = await client.validateOrder( 'LIMIT', 'SELL', 'BTCUSDT', '0.0001', '100', { reduceOnly: 'true' })
+        assert.equal( validated.quantity, '0.0001' )
+        try {
+            await client.validateOrder( 'LIMIT', 'SELL', 'BTCUSDT', '0.0001', '100', { reduceOnly: 'false' })
+            assert.fail( 'the order was not rejected' )
+        } catch ( error ) {
+            assert.equal( error.filterType, 'NOTIONAL' )
+        }
+    })
+})
+
+describe( 'Static precise mode tests', async function () {
+    const client = new Binance({ APIKEY: 'XXX', APISECRET: 'YYY', precise: true })
+
+    afterEach( function ( ) {
+        nock.cleanAll()
+    })
+
+    it( 'signs and sends floats without binary artifacts', async function ( ) {
+        let sent
+        nock( 'https://api.binance.com' ).post( '/api/v3/order' ).reply( 200, function ( uri, body ) {
+            sent = body
+            return { orderId: 1 }
+        })
+        await client.order( 'LIMIT', 'BUY', 'BTCUSDT', 0.1 + 0.2, 1e-7 )
+        const params = urlToObject( sent )
+        assert.equal( params.quantity, '0.3' )
+        assert.equal( params.price, '0.0000001' )
+        const query = sent.slice( 0, sent.indexOf( '&signature=' ) )
+        assert.equal( params.signature, crypto.createHmac( 'sha256', 'YYY' ).update( query ).digest( 'hex' ) )
+        assert.equal( client.makeQueryString({ quantity: 1.1 * 3, limit: 500 }), 'quantity=3.3&limit=500' )
+    })
+
+    it( 'keeps prices and quantities as decimal strings', function ( ) {
+        const book = client.depthData({ lastUpdateId: 1, bids: [ [ '0.10000000', '0.30000000' ], [ '0.09000000', '1.00000000' ] ], asks: [ [ '0.20000000', '0.10000000' ] ] })
+        client.depthCache.BNBBTC = book
+        client.applyDepthUpdate( book, {}, { E: 2, u: 2, b: [ [ '0.09000000', '0.00000000' ], [ '0.10000000', '0.20000000' ] ], a: [] })
+        assert.deepEqual( book.bids, { '0.10000000': '0.20000000' } )
+        assert.deepEqual( client.depthVolume( 'BNBBTC' ), { bids: '0.02', asks: '0.02', bidQty: '0.2', askQty: '0.1' } )
+        assert.deepEqual( client.sortBids( 'BNBBTC', Infinity, 'cumulative' ), { '0.10000000': '0.2' } )
+        assert.equal( client.bestBid( 'BNBBTC' )[1], '0.20000000' )
+        assert.closeTo( client.microprice( 'BNBBTC' ), 0.05 / 0.3, 1e-12 )
+        assert.equal( client.roundStep( '1.23456789', '0.00100000' ), '1.234' )
+        assert.equal( client.roundTicks( 0.1 + 0.2, '0.01000000' ), '0.3' )
+        assert.equal( client.roundStep( 0.7 * 3, '0.1' ), '2.1' )
+        assert.equal( client.roundTicks( 1.1 * 3, '0.01' ), '3.3' )
+        assert.deepEqual( client.populateOHLC({ 1: { open: '1.10', high: '1.20', low: '1.00', close: '1.15', volume: '10' } }).close, [ '1.15' ] )
+    })
+})
+
+describe( 'Static order list tests', async function () {
+    const client = new Binance({ APIKEY: 'XXX', APISECRET: 'YYY' })
+    const orderList = ( contingencyType ) => ({ orderListId: 7, contingencyType, listStatusType: 'EXEC_STARTED', listOrderStatus: 'EXECUTING', listClientOrderId: 'list', transactionTime: 1, symbol: 'BTCUSDT', orders: [] })
+
+    afterEach( function ( ) {
+        nock.cleanAll()
+    })
+
+    it( 'places an OCO with prefixed above and below legs', async function ( ) {
+        let sent
+        nock( 'https://api.binance.com' ).post( '/api/v3/orderList/oco' ).reply( 200, function ( uri, body ) {
+            sent = urlToObject( body )
+            return orderList( 'OCO' )
+        })
+        const response = await client.ocoOrder( 'SELL', 'BTCUSDT', 1, { type: 'LIMIT_MAKER', price: 110 }, { type: 'STOP_LOSS_LIMIT', price: 89, stopPrice: 90 })
+        assert.equal( response.contingencyType, 'OCO' )
+        assert.deepInclude( sent, { symbol: 'BTCUSDT', side: 'SELL', quantity: '1', aboveType: 'LIMIT_MAKER', abovePrice: '110', belowType: 'STOP_LOSS_LIMIT', belowPrice: '89', belowStopPrice: '90', belowTimeInForce: 'GTC' } )
+        assert.notProperty( sent, 'aboveTimeInForce' )
+        assert.notProperty( sent, 'aboveQuantity' )
+        assert.isTrue( sent.listClientOrderId.startsWith( client.SPOT_PREFIX ) )
+        assert.isTrue( sent.aboveClientOrderId.startsWith( client.SPOT_PREFIX ) )
+        assert.notEqual( sent.aboveClientOrderId, sent.belowClientOrderId )
+    })
+
+    it( 'places OTO and OTOCO lists', async function ( ) {
+        const bodies = []
+        nock( 'https://api.binance.com' ).post( '/api/v3/orderList/oto' ).reply( 200, function ( uri, body ) {
+            bodies.push( urlToObject( body ) )
+            return orderList( 'OTO' )
+        })
+        nock( 'https://api.binance.com' ).post( '/api/v3/orderList/otoco' ).reply( 200, function ( uri, body ) {
+            bodies.push( urlToObject( body ) )
+            return orderList( 'OCO' )
+        })
+        await client.otoOrder( 'BTCUSDT', { type: 'LIMIT', side: 'BUY', quantity: 1, price: 100 }, { type: 'LIMIT_MAKER', side: 'SELL', quantity: 1, price: 120 }, { listClientOrderId: 'mine' })
+        assert.deepInclude( bodies[0], { symbol: 'BTCUSDT', listClientOrderId: 'mine', workingType: 'LIMIT', workingSide: 'BUY', workingQuantity: '1', workingPrice: '100', workingTimeInForce: 'GTC', pendingType: 'LIMIT_MAKER', pendingSide: 'SELL', pendingQuantity: '1', pendingPrice: '120' } )
+        await client.otocoOrder( 'BTCUSDT', { type: 'LIMIT', side: 'BUY', quantity: 1, price: 100 }, { side: 'SELL', quantity: 1, above: { type: 'LIMIT_MAKER', price: 120 }, below: { type: 'STOP_LOSS', stopPrice: 90 } })
+        assert.deepInclude( bodies[1], { workingType: 'LIMIT', pendingSide: 'SELL', pendingQuantity: '1', pendingAboveType: 'LIMIT_MAKER', pendingAbovePrice: '120', pendingBelowType: 'STOP_LOSS', pendingBelowStopPrice: '90' } )
+        assert.notProperty( bodies[1], 'pendingAboveSide' )
+        assert.notProperty( bodies[1], 'pendingBelowTimeInForce' )
+    })
+
+    it( 'maps the retired OCO parameters of order to the legs of the current endpoint', async function ( ) {
+        let sent
+        nock( 'https://api.binance.com' ).post( '/api/v3/orderList/oco' ).reply( 200, function ( uri, body ) {
+            sent = urlToObject( body )
+            return orderList( 'OCO' )
+        })
+        await client.order( 'LIMIT', 'BUY', 'BTCUSDT', 1, 90, { type: 'OCO', stopPrice: 110, stopLimitPrice: 111 })
+        assert.deepInclude( sent, { side: 'BUY', belowType: 'LIMIT_MAKER', belowPrice: '90', aboveType: 'STOP_LOSS_LIMIT', abovePrice: '111', aboveStopPrice: '110', aboveTimeInForce: 'GTC' } )
+        assert.notProperty( sent, 'type' )
+        assert.notProperty( sent, 'stopLimitPrice' )
+    })
+
+    it( 'rejects a test OCO without sending an order', async function ( ) {
+        const scope = nock( 'https://api.binance.com' ).post( /\/api\/v3\/order/ ).reply( 200, orderList( 'OCO' ) )
+        try {
+            await client.order( 'LIMIT', 'SELL', 'BTCUSDT', 1, 110, { type: 'OCO', stopPrice: 90, test: true })
+            assert.fail( 'the OCO was not rejected' )
+        } catch ( error ) {
+            assert.include( error.message, 'no order list test endpoint' )
+        }
+        assert.isFalse( scope.isDone() )
+    })
+
+    it( 'weighs order list requests and counts placements as orders', function ( ) {
+        assert.equal( requestWeight( 'spot', 'v3/orderList', 'GET' ), 4 )
+        assert.equal( requestWeight( 'spot', 'v3/orderList', 'DELETE' ), 1 )
+        assert.equal( requestWeight( 'spot', 'v3/allOrderList' ), 20 )
+        assert.equal( requestWeight( 'spot', 'v3/openOrderList' ), 6 )
+        for ( const path of [ 'v3/orderList/oco', 'v3/orderList/oto', 'v3/orderList/otoco' ] ) assert.isTrue( isOrderRequest( 'spot', path, 'POST' ) )
+        assert.isFalse( isOrderRequest( 'spot', 'v3/orderList', 'DELETE' ) )
+    })
+
+    it( 'queries and cancels order lists', async function ( ) {
+        const urls = []
+        const record = function ( uri ) {
+            urls.push( uri )
+            return orderList( 'OCO' )
+        }
+        nock( 'https://api.binance.com' ).get( '/api/v3/orderList' ).query( true ).reply( 200, record )
+        nock( 'https://api.binance.com' ).delete( '/api/v3/orderList' ).query( true ).reply( 200, record )
+        nock( 'https://api.binance.com' ).get( '/api/v3/allOrderList' ).query( true ).reply( 200, function ( uri ) {
+            return [ record( uri ) ]
+        })
+        nock( 'https://api.binance.com' ).get( '/api/v3/openOrderList' ).query( true ).reply( 200, [] )
+        await client.orderListStatus( 7 )
+        await client.cancelOrderList( 'BTCUSDT', undefined, { listClientOrderId: 'list' })
+        const all = await client.allOrderLists({ limit: 10 })
+        assert.deepEqual( await client.openOrderLists(), [] )
+        assert.equal( all[0].orderListId, 7 )
+        assert.deepInclude( urlToObject( urls[0].split( '?' )[1] ), { orderListId: '7' } )
+        assert.deepInclude( urlToObject( urls[1].split( '?' )[1] ), { symbol: 'BTCUSDT', listClientOrderId: 'list' } )
+        assert.notProperty( urlToObject( urls[1].split( '?' )[1] ), 'orderListId' )
+        assert.deepInclude( urlToObject( urls[2].split( '?' )[1] ), { limit: '10' } )
+    })
+})
+
+describe( 'Static cancel-replace and amend tests', async function () {
+    const client = new Binance({ APIKEY: 'XXX', APISECRET: 'YYY' })
+
+    afterEach( function ( ) {
+        nock.cleanAll()
+    })
+
+    it( 'cancels and replaces an order in one request', async function ( ) {
+        let sent
+        const response = { cancelResult: 'SUCCESS', newOrderResult: 'SUCCESS', cancelResponse: { orderId: 1 }, newOrderResponse: { orderId: 2 } }
+        nock( 'https://api.binance.com' ).post( '/api/v3/order/cancelReplace' ).reply( 200, function ( uri, body ) {
+            sent = urlToObject( body )
+            return response
+        })
+        assert.deepEqual( await client.cancelReplace( 'BTCUSDT', 1, 'LIMIT', 'BUY', 1, 101 ), response )
+        assert.deepInclude( sent, { symbol: 'BTCUSDT', cancelOrderId: '1', cancelReplaceMode: 'STOP_ON_FAILURE', type: 'LIMIT', side: 'BUY', quantity: '1', price: '101', timeInForce: 'GTC' } )
+        assert.isTrue( sent.newClientOrderId.startsWith( client.SPOT_PREFIX ) )
+        assert.isTrue( sent.cancelNewClientOrderId.startsWith( client.SPOT_PREFIX ) )
+    })
+
+    it( 'rejects a partial failure with the results of both orders', async function ( ) {
+        const data = { cancelResult: 'FAILURE', newOrderResult: 'SUCCESS', cancelResponse: { code: -2011, msg: 'Unknown order sent.' }, newOrderResponse: { orderId: 2 } }
+        nock( 'https://api.binance.com' ).post( '/api/v3/order/cancelReplace' ).reply( 409, { code: -2021, msg: 'Order cancel-replace partially failed.', data } )
+        try {
+            await client.cancelReplace( 'BTCUSDT', undefined, 'LIMIT', 'BUY', 1, 101, { cancelOrigClientOrderId: 'old', cancelReplaceMode: 'ALLOW_FAILURE' })
+            assert.fail( 'the cancel-replace did not reject' )
+        } catch ( error ) {
+            assert.instanceOf( error, Binance.CancelReplaceError )
+            assert.equal( error.code, -2021 )
+            assert.deepEqual( error.data, data )
+        }
+        assert.equal( Binance.classifyError({ code: -2021, msg: 'Order would immediately trigger.' }), Binance.OrderWouldTriggerError )
+    })
+
+    it( 'skips MAX_NUM_ORDERS for a cancel-replace at the order limit', async function ( ) {
+        const validating = new Binance({ APIKEY: 'XXX', APISECRET: 'YYY', orderValidation: { marketChecks: true }, marketMetadata: { refreshInterval: 0 } })
+        nock( 'https://api.binance.com' ).get( '/api/v3/exchangeInfo' ).reply( 200, { symbols: [ {
+            symbol: 'BTCUSDT', status: 'TRADING', baseAsset: 'BTC', quoteAsset: 'USDT',
+            filters: [
+                { filterType: 'PRICE_FILTER', minPrice: '0.01000000', maxPrice: '1000000.00000000', tickSize: '0.01000000' },
+                { filterType: 'MAX_NUM_ORDERS', maxNumOrders: 1 },
+            ]
+        } ] })
+        nock( 'https://api.binance.com' ).get( '/api/v3/avgPrice' ).query( true ).times( 2 ).reply( 200, { mins: 5, price: '100.00' } )
+        const openOrders = nock( 'https://api.binance.com' ).get( '/api/v3/openOrders' ).query( true ).reply( 200, [ { orderId: 1 } ] )
+        try {
+            await validating.order( 'LIMIT', 'BUY', 'BTCUSDT', 1, 101 )
+            assert.fail( 'the order was not rejected' )
+        } catch ( error ) {
+            assert.equal( error.filterType, 'MAX_NUM_ORDERS' )
+        }
+        assert.isTrue( openOrders.isDone() )
+        const response = { cancelResult: 'SUCCESS', newOrderResult: 'SUCCESS', cancelResponse: { orderId: 1 }, newOrderResponse: { orderId: 2 } }
+        nock( 'https://api.binance.com' ).post( '/api/v3/order/cancelReplace' ).reply( 200, response )
+        const again = nock( 'https://api.binance.com' ).get( '/api/v3/openOrders' ).query( true ).reply( 200, [ { orderId: 1 } ] )
+        assert.deepEqual( await validating.cancelReplace( 'BTCUSDT', 1, 'LIMIT', 'BUY', 1, 101 ), response )
+        assert.isFalse( again.isDone() )
+    })
+
+    it( 'amends the quantity of an order keeping its priority', async function ( ) {
+        let url
+        nock( 'https://api.binance.com' ).put( '/api/v3/order/amend/keepPriority' ).query( true ).reply( 200, function ( uri ) {
+            url = uri
+            return { transactTime: 1, executionId: 3, amendedOrder: { orderId: 1, qty: '0.5' } }
+        })
+        const response = await client.amendKeepPriority( 'BTCUSDT', 1, '0.5' )
+        assert.equal( response.amendedOrder.qty, '0.5' )
+        const sent = urlToObject( url.split( '?' )[1] )
+        assert.deepInclude( sent, { symbol: 'BTCUSDT', orderId: '1', newQty: '0.5' } )
+        assert.isTrue( sent.newClientOrderId.startsWith( client.SPOT_PREFIX ) )
+    })
+
+    it( 'counts cancel-replace as an order and weighs amends', function ( ) {
+        assert.isTrue( isOrderRequest( 'spot', 'v3/order/cancelReplace', 'POST' ) )
+        assert.equal( requestWeight( 'spot', 'v3/order/cancelReplace', 'POST' ), 1 )
+        // an amend keeps the unfilled order count as it is
+        assert.isFalse( isOrderRequest( 'spot', 'v3/order/amend/keepPriority', 'PUT' ) )
+        assert.equal( requestWeight( 'spot', 'v3/order/amend/keepPriority', 'PUT' ), 4 )
+    })
+})
+
+describe( 'Static futures modify order tests', async function () {
+    const client = new Binance({ APIKEY: 'XXX', APISECRET: 'YYY' })
+    const query = ( uri ) => urlToObject( uri.split( '?' )[1] )
+
+    afterEach( function ( ) {
+        nock.cleanAll()
+    })
+
+    it( 'modifies futures and delivery orders in place', async function ( ) {
+        const urls = []
+        nock( 'https://fapi.binance.com' ).put( '/fapi/v1/order' ).query( true ).reply( 200, function ( uri ) {
+            urls.push( uri )
+            return { orderId: 1, price: '101', origQty: '2' }
+        })
+        nock( 'https://dapi.binance.com' ).put( '/dapi/v1/order' ).query( true ).reply( 200, function ( uri ) {
+            urls.push( uri )
+            return { orderId: 2 }
+        })
+        const order = await client.futuresModifyOrder( 'BTCUSDT', 1, 'BUY', 2, 101 )
+        assert.equal( order.price, '101' )
+        await client.deliveryModifyOrder( 'BTCUSD_PERP', undefined, 'SELL', 3, undefined, { origClientOrderId: 'mine', priceMatch: 'QUEUE' })
+        assert.deepInclude( query( urls[0] ), { symbol: 'BTCUSDT', orderId: '1', side: 'BUY', quantity: '2', price: '101' } )
+        assert.deepInclude( query( urls[1] ), { symbol: 'BTCUSD_PERP', origClientOrderId: 'mine', side: 'SELL', quantity: '3', priceMatch: 'QUEUE' } )
+        assert.notProperty( query( urls[1] ), 'orderId' )
+        assert.notProperty( query( urls[1] ), 'price' )
+    })
+
+    it( 'modifies several futures orders and reads the amendment history', async function ( ) {
+        let batchUrl, historyUrl
+        nock( 'https://fapi.binance.com' ).put( '/fapi/v1/batchOrders' ).query( true ).reply( 200, function ( uri ) {
+            batchUrl = uri
+            return [ { orderId: 1 }, { code: -5027, msg: 'No need to modify the order.' } ]
+        })
+        nock( 'https://fapi.binance.com' ).get( '/fapi/v1/orderAmendment' ).query( true ).reply( 200, function ( uri ) {
+            historyUrl = uri
+            return [ { amendmentId: 5, symbol: 'BTCUSDT', orderId: 1, amendment: { price: { before: '100', after: '101' }, origQty: { before: '2', after: '2' }, count: 1 } } ]
+        })
+        const orders = [ { symbol: 'BTCUSDT', orderId: 1, side: 'BUY', quantity: 2, price: 101 }, { symbol: 'BTCUSDT', origClientOrderId: 'mine', side: 'SELL', quantity: 1, price: 120 } ] as any
+        const results = await client.futuresModifyMultipleOrders( orders )
+        assert.equal( ( results[1] as any ).code, -5027 )
+        assert.deepEqual( JSON.parse( query( batchUrl ).batchOrders ), orders )
+        const history = await client.futuresOrderAmendment( 'BTCUSDT', { orderId: 1 })
+        assert.equal( history[0].amendment.price.after, '101' )
+        assert.deepInclude( query( historyUrl ), { symbol: 'BTCUSDT', orderId: '1' } )
+    })
+
+    it( 'validates each modification and rejects more than 5 before sending', async function ( ) {
+        const validating = new Binance({ APIKEY: 'XXX', APISECRET: 'YYY', orderValidation: true, marketMetadata: { refreshInterval: 0 } })
+        let batchUrl
+        nock( 'https://fapi.binance.com' ).get( '/fapi/v1/exchangeInfo' ).reply( 200, { symbols: [ {
+            symbol: 'BTCUSDT', status: 'TRADING', baseAsset: 'BTC', quoteAsset: 'USDT',
+            filters: [ { filterType: 'PRICE_FILTER', minPrice: '0.10', maxPrice: '1000000', tickSize: '0.10' }, { filterType: 'LOT_SIZE', minQty: '0.001', maxQty: '1000', stepSize: '0.001' } ]
+        } ] })
+        const scope = nock( 'https://fapi.binance.com' ).put( '/fapi/v1/batchOrders' ).query( true ).reply( 200, function ( uri ) {
+            batchUrl = uri
+            return [ { orderId: 1 } ]
+        })
+        const order = { symbol: 'BTCUSDT', orderId: 1, side: 'BUY', quantity: 0.0029, price: 101.04 } as any
+        try {
+            await validating.futuresModifyMultipleOrders( Array( 6 ).fill( order ) )
+            assert.fail( 'the batch was not rejected' )
+        } catch ( error ) {
+            assert.include( error.message, 'at most 5 orders' )
+        }
+        assert.isFalse( scope.isDone() )
+        await validating.futuresModifyMultipleOrders( [ order ] )
+        assert.deepInclude( JSON.parse( query( batchUrl ).batchOrders )[0], { quantity: '0.002', price: '101' } )
+        assert.equal( order.quantity, 0.0029 )
+    })
+
+    it( 'skips MAX_NUM_ORDERS and the open orders request for modifies at the order limit', async function ( ) {
+        const validating = new Binance({ APIKEY: 'XXX', APISECRET: 'YYY', orderValidation: { marketChecks: true }, marketMetadata: { refreshInterval: 0 } })
+        nock( 'https://fapi.binance.com' ).get( '/fapi/v1/exchangeInfo' ).reply( 200, { symbols: [ {
+            symbol: 'BTCUSDT', status: 'TRADING', baseAsset: 'BTC', quoteAsset: 'USDT',
+            filters: [ { filterType: 'PRICE_FILTER', minPrice: '0.10', maxPrice: '1000000', tickSize: '0.10' }, { filterType: 'MAX_NUM_ORDERS', limit: 1 } ]
+        } ] })
+        nock( 'https://fapi.binance.com' ).get( '/fapi/v1/premiumIndex' ).query( true ).times( 3 ).reply( 200, { symbol: 'BTCUSDT', markPrice: '100' } )
+        const openOrders = nock( 'https://fapi.binance.com' ).get( '/fapi/v1/openOrders' ).query( true ).reply( 200, [ { orderId: 1 } ] )
+        try {
+            await validating.validateOrder( 'LIMIT', 'BUY', 'BTCUSDT', 1, 101, {}, 'futures' )
+            assert.fail( 'the order was not rejected' )
+        } catch ( error ) {
+            assert.equal( error.filterType, 'MAX_NUM_ORDERS' )
+        }
+        assert.isTrue( openOrders.isDone() )
+        const again = nock( 'https://fapi.binance.com' ).get( '/fapi/v1/openOrders' ).query( true ).reply( 200, [ { orderId: 1 } ] )
+        nock( 'https://fapi.binance.com' ).put( '/fapi/v1/order' ).query( true ).reply( 200, { orderId: 1 } )
+        nock( 'https://fapi.binance.com' ).put( '/fapi/v1/batchOrders' ).query( true ).reply( 200, [ { orderId: 1 } ] )
+        await validating.futuresModifyOrder( 'BTCUSDT', 1, 'BUY', 1, 101 )
+        await validating.futuresModifyMultipleOrders( [ { symbol: 'BTCUSDT', orderId: 1, side: 'BUY', quantity: 1, price: 102 } ] as any )
+        assert.isFalse( again.isDone() )
+    })
+})
+
+describe( 'Static smart order routing tests', async function () {
+    const client = new Binance({ APIKEY: 'XXX', APISECRET: 'YYY', marketMetadata: { refreshInterval: 0 } })
+
+    afterEach( function ( ) {
+        nock.cleanAll()
+    })
+
+    it( 'places and tests SOR orders with the spot order parameters', async function ( ) {
+        const bodies = []
+        nock( 'https://api.binance.com' ).post( '/api/v3/sor/order' ).reply( 200, function ( uri, body ) {
+            bodies.push( urlToObject( body ) )
+            return { orderId: 1, workingFloor: 'SOR', usedSor: true, fills: [ { matchType: 'ONE_PARTY_TRADE_REPORT', price: '100', qty: '1', commission: '0', commissionAsset: 'BTC', tradeId: -1, allocId: 0 } ] }
+        })
+        nock( 'https://api.binance.com' ).post( '/api/v3/sor/order/test' ).reply( 200, function ( uri, body ) {
+            bodies.push( urlToObject( body ) )
+            return {}
+        })
+        const order = await client.sorOrder( 'LIMIT', 'BUY', 'BTCUSDT', 1, 100 )
+        assert.isTrue( order.usedSor )
+        assert.equal( order.fills[0].allocId, 0 )
+        assert.deepInclude( bodies[0], { symbol: 'BTCUSDT', side: 'BUY', type: 'LIMIT', quantity: '1', price: '100', timeInForce: 'GTC' } )
+        assert.isTrue( bodies[0].newClientOrderId.startsWith( client.SPOT_PREFIX ) )
+        const params = { computeCommissionRates: true }
+        assert.deepEqual( await client.sorOrderTest( 'MARKET', 'SELL', 'BTCUSDT', 1, undefined, params ), {} )
+        assert.deepInclude( bodies[1], { type: 'MARKET', side: 'SELL', computeCommissionRates: 'true' } )
+        assert.notProperty( bodies[1], 'test' )
+        assert.notProperty( params, 'test' )
+    })
+
+    it( 'queries allocations and exposes the SOR configuration', async function ( ) {
+        let url
+        nock( 'https://api.binance.com' ).get( '/api/v3/myAllocations' ).query( true ).reply( 200, function ( uri ) {
+            url = uri
+            return [ { symbol: 'BTCUSDT', allocationId: 0, allocationType: 'SOR', orderId: 1, qty: '1' } ]
+        })
+        nock( 'https://api.binance.com' ).get( '/api/v3/exchangeInfo' ).reply( 200, { symbols: [ { symbol: 'BTCUSDT', status: 'TRADING', filters: [] } ], sors: [ { baseAsset: 'BTC', symbols: [ 'BTCUSDT', 'BTCUSDC' ] } ] } )
+        const allocations = await client.myAllocations( 'BTCUSDT', { orderId: 1 })
+        assert.equal( allocations[0].allocationType, 'SOR' )
+        assert.deepInclude( urlToObject( url.split( '?' )[1] ), { symbol: 'BTCUSDT', orderId: '1' } )
+        assert.deepEqual( await client.sorConfig( 'BTC' ), { baseAsset: 'BTC', symbols: [ 'BTCUSDT', 'BTCUSDC' ] } )
+        assert.isUndefined( await client.sorConfig( 'ETH' ) )
+        assert.lengthOf( await client.sorConfigs(), 1 )
+    })
+
+    it( 'rejects order types the router does not take before sending them', async function ( ) {
+        const scope = nock( 'https://api.binance.com' ).post( /\/api\/v3\/sor\/order/ ).reply( 200, {} )
+        try {
+            await client.sorOrder( 'STOP_LOSS_LIMIT', 'BUY', 'BTCUSDT', 1, 100, { stopPrice: 99 })
+            assert.fail( 'the order was not rejected' )
+        } catch ( error ) {
+            assert.include( error.message, 'only takes LIMIT and MARKET orders' )
+        }
+        assert.isFalse( scope.isDone() )
+    })
+
+    it( 'weighs allocations and counts SOR orders towards the order limits', function ( ) {
+        assert.equal( requestWeight( 'spot', 'v3/myAllocations' ), 20 )
+        assert.isTrue( isOrderRequest( 'spot', 'v3/sor/order', 'POST' ) )
+        assert.isFalse( isOrderRequest( 'spot', 'v3/sor/order/test', 'POST' ) )
+    })
+})